@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `elections` ADD COLUMN `status` ENUM('DRAFT', 'NOMINATIONS', 'VOTING', 'CLOSED', 'CERTIFIED') NOT NULL DEFAULT 'DRAFT';
+
+-- Elections that already issued ballots have finished voting
+UPDATE `elections` SET `status` = 'CLOSED'
+WHERE `id` IN (SELECT DISTINCT `election_id` FROM `ballots`);
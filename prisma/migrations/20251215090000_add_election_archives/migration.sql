@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE `election_archives` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `election_name` VARCHAR(191) NOT NULL,
+    `reason` VARCHAR(191) NULL,
+    `bundle_file` VARCHAR(191) NOT NULL,
+    `bundle_hash` VARCHAR(191) NOT NULL,
+    `pdf_file` VARCHAR(191) NOT NULL,
+    `pdf_hash` VARCHAR(191) NOT NULL,
+    `created_by` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `election_archives` ADD CONSTRAINT `election_archives_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
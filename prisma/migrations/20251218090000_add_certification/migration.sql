@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE `certifications` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `status` ENUM('PENDING', 'CERTIFIED') NOT NULL DEFAULT 'PENDING',
+    `quorum` INTEGER NOT NULL,
+    `results` JSON NOT NULL,
+    `results_hash` VARCHAR(191) NOT NULL,
+    `frozen_by` VARCHAR(191) NOT NULL,
+    `frozen_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `document` JSON NULL,
+    `signature` TEXT NULL,
+    `key_id` VARCHAR(191) NULL,
+    `certified_at` DATETIME(3) NULL,
+
+    UNIQUE INDEX `certifications_election_id_key`(`election_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `certification_signoffs` (
+    `id` VARCHAR(191) NOT NULL,
+    `certification_id` VARCHAR(191) NOT NULL,
+    `officer_id` VARCHAR(191) NOT NULL,
+    `results_hash` VARCHAR(191) NOT NULL,
+    `comment` VARCHAR(191) NULL,
+    `signed_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `certification_signoffs_certification_id_officer_id_key`(`certification_id`, `officer_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `certifications` ADD CONSTRAINT `certifications_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `certification_signoffs` ADD CONSTRAINT `certification_signoffs_certification_id_fkey` FOREIGN KEY (`certification_id`) REFERENCES `certifications`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `certification_signoffs` ADD CONSTRAINT `certification_signoffs_officer_id_fkey` FOREIGN KEY (`officer_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `voting_method` ENUM('PLURALITY', 'IRV') NOT NULL DEFAULT 'PLURALITY';
+
+-- AlterTable (existing votes are first choices)
+ALTER TABLE `votes` ADD COLUMN `rank` INTEGER NOT NULL DEFAULT 1;
+
+-- CreateIndex (created before the old index is dropped, which still backs the ballot_id foreign key)
+CREATE UNIQUE INDEX `votes_ballot_id_position_id_rank_key` ON `votes`(`ballot_id`, `position_id`, `rank`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `votes_ballot_id_position_id_candidate_id_key` ON `votes`(`ballot_id`, `position_id`, `candidate_id`);
+
+-- DropIndex
+DROP INDEX `votes_ballot_id_position_id_key` ON `votes`;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `positions` MODIFY `voting_method` ENUM('PLURALITY', 'IRV', 'STV') NOT NULL DEFAULT 'PLURALITY';
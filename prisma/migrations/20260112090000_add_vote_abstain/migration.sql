@@ -0,0 +1,9 @@
+-- DropForeignKey
+ALTER TABLE `votes` DROP FOREIGN KEY `votes_candidate_id_fkey`;
+
+-- AlterTable
+ALTER TABLE `votes` ADD COLUMN `abstain` BOOLEAN NOT NULL DEFAULT false,
+    MODIFY `candidate_id` VARCHAR(191) NULL;
+
+-- AddForeignKey
+ALTER TABLE `votes` ADD CONSTRAINT `votes_candidate_id_fkey` FOREIGN KEY (`candidate_id`) REFERENCES `candidates`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
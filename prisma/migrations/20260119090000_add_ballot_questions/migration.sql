@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE `ballot_questions` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `title` VARCHAR(191) NOT NULL,
+    `text` TEXT NOT NULL,
+    `threshold` ENUM('SIMPLE_MAJORITY', 'TWO_THIRDS') NOT NULL DEFAULT 'SIMPLE_MAJORITY',
+    `voting_opens_at` DATETIME(3) NOT NULL,
+    `voting_closes_at` DATETIME(3) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `question_responses` (
+    `id` VARCHAR(191) NOT NULL,
+    `ballot_id` VARCHAR(191) NOT NULL,
+    `question_id` VARCHAR(191) NOT NULL,
+    `choice` ENUM('YES', 'NO', 'ABSTAIN') NOT NULL,
+    `cast_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `question_responses_ballot_id_question_id_key`(`ballot_id`, `question_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ballot_questions` ADD CONSTRAINT `ballot_questions_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `question_responses` ADD CONSTRAINT `question_responses_ballot_id_fkey` FOREIGN KEY (`ballot_id`) REFERENCES `ballots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `question_responses` ADD CONSTRAINT `question_responses_question_id_fkey` FOREIGN KEY (`question_id`) REFERENCES `ballot_questions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
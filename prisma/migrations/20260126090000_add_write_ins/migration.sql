@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `allow_write_ins` BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE `votes` ADD COLUMN `write_in_key` VARCHAR(191) NULL,
+    ADD COLUMN `write_in_name` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `write_in_merges` (
+    `id` VARCHAR(191) NOT NULL,
+    `position_id` VARCHAR(191) NOT NULL,
+    `from_key` VARCHAR(191) NOT NULL,
+    `to_key` VARCHAR(191) NOT NULL,
+    `merged_by` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `write_in_merges_position_id_from_key_key`(`position_id`, `from_key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `votes_position_id_write_in_key_idx` ON `votes`(`position_id`, `write_in_key`);
+
+-- AddForeignKey
+ALTER TABLE `write_in_merges` ADD CONSTRAINT `write_in_merges_position_id_fkey` FOREIGN KEY (`position_id`) REFERENCES `positions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `candidate_order` ENUM('ALPHABETICAL', 'RANDOMIZED', 'ROTATED') NOT NULL DEFAULT 'ALPHABETICAL';
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `eligible_voters` ADD COLUMN `groups` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `eligible_groups` JSON NULL,
+    ADD COLUMN `eligible_programs` JSON NULL;
@@ -0,0 +1,92 @@
+-- CreateTable
+CREATE TABLE `cast_ballots` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Move the contents of existing ballots to anonymous cast ballots.
+-- The ballot -> cast ballot mapping only exists in a temporary table during this migration.
+-- Cast ballot ids are hashes of random input (not time-based UUIDs), so sorting them
+-- reveals nothing about the ballots they came from.
+CREATE TEMPORARY TABLE `cast_ballot_map` (
+    `ballot_id` VARCHAR(191) NOT NULL,
+    `cast_ballot_id` VARCHAR(191) NOT NULL,
+
+    PRIMARY KEY (`ballot_id`)
+);
+
+INSERT INTO `cast_ballot_map` (`ballot_id`, `cast_ballot_id`)
+SELECT `b`.`id`, LOWER(LEFT(SHA2(CONCAT(UUID(), RAND(), `b`.`id`), 256), 36))
+FROM `ballots` `b`
+WHERE EXISTS (SELECT 1 FROM `votes` `v` WHERE `v`.`ballot_id` = `b`.`id`)
+   OR EXISTS (SELECT 1 FROM `question_responses` `r` WHERE `r`.`ballot_id` = `b`.`id`);
+
+INSERT INTO `cast_ballots` (`id`, `election_id`)
+SELECT `m`.`cast_ballot_id`, `b`.`election_id`
+FROM `cast_ballot_map` `m`
+JOIN `ballots` `b` ON `b`.`id` = `m`.`ballot_id`;
+
+-- AlterTable
+ALTER TABLE `votes` ADD COLUMN `cast_ballot_id` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `question_responses` ADD COLUMN `cast_ballot_id` VARCHAR(191) NULL;
+
+UPDATE `votes` `v`
+JOIN `cast_ballot_map` `m` ON `m`.`ballot_id` = `v`.`ballot_id`
+SET `v`.`cast_ballot_id` = `m`.`cast_ballot_id`;
+
+UPDATE `question_responses` `r`
+JOIN `cast_ballot_map` `m` ON `m`.`ballot_id` = `r`.`ballot_id`
+SET `r`.`cast_ballot_id` = `m`.`cast_ballot_id`;
+
+DROP TEMPORARY TABLE `cast_ballot_map`;
+
+-- DropForeignKey
+ALTER TABLE `votes` DROP FOREIGN KEY `votes_ballot_id_fkey`;
+
+-- DropForeignKey
+ALTER TABLE `question_responses` DROP FOREIGN KEY `question_responses_ballot_id_fkey`;
+
+-- DropIndex
+DROP INDEX `votes_ballot_id_position_id_rank_key` ON `votes`;
+
+-- DropIndex
+DROP INDEX `votes_ballot_id_position_id_candidate_id_key` ON `votes`;
+
+-- DropIndex
+DROP INDEX `question_responses_ballot_id_question_id_key` ON `question_responses`;
+
+-- AlterTable (cast timestamps could be matched against ballots.consumed_at)
+ALTER TABLE `votes` DROP COLUMN `ballot_id`,
+    DROP COLUMN `cast_at`,
+    MODIFY `cast_ballot_id` VARCHAR(191) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `question_responses` DROP COLUMN `ballot_id`,
+    DROP COLUMN `cast_at`,
+    MODIFY `cast_ballot_id` VARCHAR(191) NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `votes_cast_ballot_id_position_id_rank_key` ON `votes`(`cast_ballot_id`, `position_id`, `rank`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `votes_cast_ballot_id_position_id_candidate_id_key` ON `votes`(`cast_ballot_id`, `position_id`, `candidate_id`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `question_responses_cast_ballot_id_question_id_key` ON `question_responses`(`cast_ballot_id`, `question_id`);
+
+-- AddForeignKey
+ALTER TABLE `cast_ballots` ADD CONSTRAINT `cast_ballots_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `votes` ADD CONSTRAINT `votes_cast_ballot_id_fkey` FOREIGN KEY (`cast_ballot_id`) REFERENCES `cast_ballots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `question_responses` ADD CONSTRAINT `question_responses_cast_ballot_id_fkey` FOREIGN KEY (`cast_ballot_id`) REFERENCES `cast_ballots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Remove the choices recorded in existing CAST_VOTE audit entries
+UPDATE `audit_logs` SET `payload` = JSON_REMOVE(`payload`, '$.positions', '$.answers')
+WHERE `action` = 'CAST_VOTE' AND `payload` IS NOT NULL;
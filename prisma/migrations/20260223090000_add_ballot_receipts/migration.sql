@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `cast_ballots` ADD COLUMN `content_hash` VARCHAR(191) NULL,
+    ADD COLUMN `tracking_code` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `cast_ballots_tracking_code_key` ON `cast_ballots`(`tracking_code`);
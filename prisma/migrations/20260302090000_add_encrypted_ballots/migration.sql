@@ -0,0 +1,70 @@
+-- CreateTable
+CREATE TABLE `encrypted_votes` (
+    `id` VARCHAR(191) NOT NULL,
+    `cast_ballot_id` VARCHAR(191) NOT NULL,
+    `position_id` VARCHAR(191) NOT NULL,
+    `ciphertexts` JSON NOT NULL,
+
+    UNIQUE INDEX `encrypted_votes_cast_ballot_id_position_id_key`(`cast_ballot_id`, `position_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `encrypted_responses` (
+    `id` VARCHAR(191) NOT NULL,
+    `cast_ballot_id` VARCHAR(191) NOT NULL,
+    `question_id` VARCHAR(191) NOT NULL,
+    `ciphertexts` JSON NOT NULL,
+
+    UNIQUE INDEX `encrypted_responses_cast_ballot_id_question_id_key`(`cast_ballot_id`, `question_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `election_keys` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `scheme` VARCHAR(191) NOT NULL,
+    `public_key` TEXT NOT NULL,
+    `threshold` INTEGER NOT NULL,
+    `commitments` JSON NOT NULL,
+    `tally` JSON NULL,
+    `created_by` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `decrypted_at` DATETIME(3) NULL,
+
+    UNIQUE INDEX `election_keys_election_id_key`(`election_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trustee_shares` (
+    `id` VARCHAR(191) NOT NULL,
+    `key_id` VARCHAR(191) NOT NULL,
+    `trustee_index` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `share` TEXT NULL,
+    `submitted_by` VARCHAR(191) NULL,
+    `submitted_at` DATETIME(3) NULL,
+
+    UNIQUE INDEX `trustee_shares_key_id_trustee_index_key`(`key_id`, `trustee_index`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `encrypted_votes` ADD CONSTRAINT `encrypted_votes_cast_ballot_id_fkey` FOREIGN KEY (`cast_ballot_id`) REFERENCES `cast_ballots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `encrypted_votes` ADD CONSTRAINT `encrypted_votes_position_id_fkey` FOREIGN KEY (`position_id`) REFERENCES `positions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `encrypted_responses` ADD CONSTRAINT `encrypted_responses_cast_ballot_id_fkey` FOREIGN KEY (`cast_ballot_id`) REFERENCES `cast_ballots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `encrypted_responses` ADD CONSTRAINT `encrypted_responses_question_id_fkey` FOREIGN KEY (`question_id`) REFERENCES `ballot_questions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `election_keys` ADD CONSTRAINT `election_keys_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `trustee_shares` ADD CONSTRAINT `trustee_shares_key_id_fkey` FOREIGN KEY (`key_id`) REFERENCES `election_keys`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE `audit_logs` ADD COLUMN `seq` INTEGER NULL,
+    ADD COLUMN `prev_hash` VARCHAR(191) NULL,
+    ADD COLUMN `hash` VARCHAR(191) NULL;
+
+-- Number existing entries in the order they were written.
+-- They keep a null hash and stay outside the hash chain, which starts with the next entry.
+UPDATE `audit_logs` AS `a`
+    JOIN (
+        SELECT `id`, ROW_NUMBER() OVER (ORDER BY `created_at`, `id`) AS `rn`
+        FROM `audit_logs`
+    ) AS `numbered` ON `numbered`.`id` = `a`.`id`
+    SET `a`.`seq` = `numbered`.`rn`;
+
+ALTER TABLE `audit_logs` MODIFY `seq` INTEGER NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `audit_logs_seq_key` ON `audit_logs`(`seq`);
+
+-- CreateTable
+CREATE TABLE `audit_anchors` (
+    `id` VARCHAR(191) NOT NULL,
+    `seq` INTEGER NOT NULL,
+    `hash` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `audit_anchors_seq_idx`(`seq`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
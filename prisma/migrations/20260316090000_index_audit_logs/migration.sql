@@ -0,0 +1,8 @@
+-- CreateIndex
+CREATE INDEX `audit_logs_actor_id_idx` ON `audit_logs`(`actor_id`);
+
+-- CreateIndex
+CREATE INDEX `audit_logs_entity_entity_id_idx` ON `audit_logs`(`entity`, `entity_id`);
+
+-- CreateIndex
+CREATE INDEX `audit_logs_created_at_idx` ON `audit_logs`(`created_at`);
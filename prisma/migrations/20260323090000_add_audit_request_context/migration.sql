@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE `audit_logs` ADD COLUMN `request_id` VARCHAR(191) NULL,
+    ADD COLUMN `ip` VARCHAR(191) NULL,
+    ADD COLUMN `user_agent` VARCHAR(500) NULL,
+    ADD COLUMN `route` VARCHAR(191) NULL,
+    ADD COLUMN `user_id` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `audit_logs_request_id_idx` ON `audit_logs`(`request_id`);
+
+-- CreateIndex
+CREATE INDEX `audit_logs_ip_idx` ON `audit_logs`(`ip`);
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `eligible_voters` ADD COLUMN `otp_failures` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `otp_lockouts` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `otp_locked_until` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `verifications` ADD COLUMN `attempts` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `invalidated_at` DATETIME(3) NULL;
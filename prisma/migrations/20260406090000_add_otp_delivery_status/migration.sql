@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `verifications` ADD COLUMN `delivery_status` VARCHAR(191) NOT NULL DEFAULT 'PENDING',
+    ADD COLUMN `fallback_used` BOOLEAN NOT NULL DEFAULT false;
+
+-- Earlier OTPs were always sent by email and SMS together
+UPDATE `verifications` SET `delivery_status` = 'SENT';
@@ -0,0 +1,50 @@
+-- CreateTable
+CREATE TABLE `notifications` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NULL,
+    `verification_id` VARCHAR(191) NULL,
+    `template` VARCHAR(191) NOT NULL,
+    `channel` VARCHAR(191) NOT NULL,
+    `recipient` VARCHAR(191) NOT NULL,
+    `payload` JSON NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'PENDING',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `max_attempts` INTEGER NOT NULL,
+    `next_attempt_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `locked_until` DATETIME(3) NULL,
+    `expires_at` DATETIME(3) NULL,
+    `fallback_for_id` VARCHAR(191) NULL,
+    `provider` VARCHAR(191) NULL,
+    `provider_message_id` VARCHAR(191) NULL,
+    `last_error` TEXT NULL,
+    `sent_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `notifications_status_next_attempt_at_idx`(`status`, `next_attempt_at`),
+    INDEX `notifications_election_id_created_at_idx`(`election_id`, `created_at`),
+    INDEX `notifications_verification_id_idx`(`verification_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `notification_attempts` (
+    `id` VARCHAR(191) NOT NULL,
+    `notification_id` VARCHAR(191) NOT NULL,
+    `attempt` INTEGER NOT NULL,
+    `status` VARCHAR(191) NOT NULL,
+    `provider` VARCHAR(191) NULL,
+    `provider_message_id` VARCHAR(191) NULL,
+    `error` TEXT NULL,
+    `duration_ms` INTEGER NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `notification_attempts_notification_id_idx`(`notification_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `notifications` ADD CONSTRAINT `notifications_verification_id_fkey` FOREIGN KEY (`verification_id`) REFERENCES `verifications`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `notification_attempts` ADD CONSTRAINT `notification_attempts_notification_id_fkey` FOREIGN KEY (`notification_id`) REFERENCES `notifications`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `ballots` ADD COLUMN `expires_at` DATETIME(3) NULL,
+    ADD COLUMN `revoked_at` DATETIME(3) NULL,
+    ADD COLUMN `revoked_reason` VARCHAR(191) NULL;
+
+-- Existing tokens get the default lifetime of 30 minutes from when they were issued
+UPDATE `ballots` SET `expires_at` = DATE_ADD(`issued_at`, INTERVAL 30 MINUTE);
+
+ALTER TABLE `ballots` MODIFY `expires_at` DATETIME(3) NOT NULL;
+
+-- Only a voter's latest active token stays valid
+UPDATE `ballots` b
+    JOIN (
+        SELECT `voter_id`, MAX(`issued_at`) AS `latest`
+        FROM `ballots`
+        WHERE `status` = 'ACTIVE'
+        GROUP BY `voter_id`
+    ) l ON b.`voter_id` = l.`voter_id`
+SET b.`status` = 'REVOKED', b.`revoked_at` = CURRENT_TIMESTAMP(3), b.`revoked_reason` = 'REISSUED'
+WHERE b.`status` = 'ACTIVE' AND b.`issued_at` < l.`latest`;
+
+-- CreateIndex
+CREATE INDEX `ballots_voter_id_status_idx` ON `ballots`(`voter_id`, `status`);
@@ -0,0 +1,56 @@
+-- AlterTable
+ALTER TABLE `ballots` ADD COLUMN `station_id` VARCHAR(191) NULL,
+    ADD COLUMN `kiosk_id` VARCHAR(191) NULL,
+    ADD COLUMN `issued_by_id` VARCHAR(191) NULL,
+    ADD COLUMN `id_document` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `polling_stations` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `location` VARCHAR(191) NULL,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `polling_stations_election_id_name_key`(`election_id`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `kiosks` (
+    `id` VARCHAR(191) NOT NULL,
+    `station_id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `key_hash` VARCHAR(191) NOT NULL,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `last_seen_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `kiosks_key_hash_key`(`key_hash`),
+    UNIQUE INDEX `kiosks_station_id_name_key`(`station_id`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `ballots_station_id_idx` ON `ballots`(`station_id`);
+
+-- CreateIndex
+CREATE INDEX `ballots_kiosk_id_status_idx` ON `ballots`(`kiosk_id`, `status`);
+
+-- AddForeignKey
+ALTER TABLE `ballots` ADD CONSTRAINT `ballots_station_id_fkey` FOREIGN KEY (`station_id`) REFERENCES `polling_stations`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ballots` ADD CONSTRAINT `ballots_kiosk_id_fkey` FOREIGN KEY (`kiosk_id`) REFERENCES `kiosks`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ballots` ADD CONSTRAINT `ballots_issued_by_id_fkey` FOREIGN KEY (`issued_by_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `polling_stations` ADD CONSTRAINT `polling_stations_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `kiosks` ADD CONSTRAINT `kiosks_station_id_fkey` FOREIGN KEY (`station_id`) REFERENCES `polling_stations`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `cast_ballots` ADD COLUMN `content_salt` VARCHAR(191) NULL;
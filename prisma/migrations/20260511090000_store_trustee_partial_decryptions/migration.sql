@@ -0,0 +1,10 @@
+-- Shares submitted for a tally that is not decrypted yet are dropped with the column,
+-- so their trustees submit them again
+UPDATE `trustee_shares`
+    INNER JOIN `election_keys` ON `election_keys`.`id` = `trustee_shares`.`key_id`
+SET `trustee_shares`.`submitted_by` = NULL, `trustee_shares`.`submitted_at` = NULL
+WHERE `election_keys`.`decrypted_at` IS NULL;
+
+-- AlterTable
+ALTER TABLE `trustee_shares` DROP COLUMN `share`,
+    ADD COLUMN `partial_decryption` JSON NULL;
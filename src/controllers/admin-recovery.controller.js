@@ -33,8 +33,6 @@ exports.recoverAdmin = async (req, res) => {
         entity: 'user',
         payload: { 
           reason: 'Invalid recovery token',
-          ip: req.ip,
-          userAgent: req.get('user-agent'),
         },
       });
 
@@ -86,8 +84,6 @@ exports.recoverAdmin = async (req, res) => {
       entityId: admin.id,
       payload: { 
         adminEmail: admin.email,
-        ip: req.ip,
-        userAgent: req.get('user-agent'),
       },
     });
 
@@ -114,7 +110,6 @@ exports.recoverAdmin = async (req, res) => {
       entity: 'system',
       payload: { 
         error: error.message,
-        ip: req.ip,
       },
     });
 
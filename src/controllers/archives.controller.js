@@ -0,0 +1,100 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { createElectionArchive, readArchiveFile } = require('../utils/electionArchive');
+
+// List archives of the election (newest first)
+exports.getArchives = async (req, res) => {
+  try {
+    const archives = await prisma.electionArchive.findMany({
+      where: { electionId: req.election.id },
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    res.json(archives);
+  } catch (error) {
+    console.error('Get archives error:', error);
+    res.status(500).json({ error: 'Failed to fetch archives' });
+  }
+};
+
+// Create an archive snapshot of the election (Admin only)
+exports.createArchive = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const archive = await createElectionArchive({
+      election: req.election,
+      actorId: req.user.id,
+      reason: reason?.trim() || 'Manual archive',
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'ARCHIVE_ELECTION',
+      entity: 'election_archive',
+      entityId: archive.id,
+      payload: {
+        reason: archive.reason,
+        bundleHash: archive.bundleHash,
+        pdfHash: archive.pdfHash,
+      },
+    });
+
+    res.status(201).json({
+      message: 'Election archived successfully',
+      archive,
+    });
+  } catch (error) {
+    console.error('Create archive error:', error);
+    res.status(500).json({ error: 'Failed to archive election' });
+  }
+};
+
+// Download an archive file (?format=json|pdf)
+exports.downloadArchive = async (req, res) => {
+  try {
+    const { archiveId } = req.params;
+    const format = req.query.format === 'pdf' ? 'pdf' : 'json';
+
+    const archive = await prisma.electionArchive.findUnique({
+      where: { id: archiveId, electionId: req.election.id },
+    });
+
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' });
+    }
+
+    const { buffer, hash, intact } = await readArchiveFile(archive, format);
+
+    if (!intact) {
+      await logAudit({
+        actorType: 'system',
+        electionId: req.election.id,
+        action: 'ARCHIVE_INTEGRITY_FAILED',
+        entity: 'election_archive',
+        entityId: archive.id,
+        payload: { format, actualHash: hash },
+      });
+
+      return res.status(409).json({
+        error: 'Archive file does not match its recorded hash',
+        hint: 'The file on disk has been modified since it was archived',
+      });
+    }
+
+    res.setHeader('Content-Type', format === 'pdf' ? 'application/pdf' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename=election-archive-${archive.id}.${format}`);
+    res.setHeader('X-Content-SHA256', hash);
+    res.send(buffer);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(410).json({ error: 'Archive file is missing from the archive directory' });
+    }
+    console.error('Download archive error:', error);
+    res.status(500).json({ error: 'Failed to download archive' });
+  }
+};
@@ -0,0 +1,90 @@
+const { prisma } = require('../config/prisma');
+const { verifyAuditChain, createAuditAnchor } = require('../utils/auditChain');
+const { EXPORT_FORMATS, buildAuditWhere, findAuditPage, streamAuditExport } = require('../utils/auditQuery');
+
+// Search the whole audit log, across elections (Admin only)
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { where, error } = buildAuditWhere(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = await findAuditPage(where, req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    res.json(page);
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+};
+
+// Stream every matching entry as CSV or NDJSON (Admin only)
+exports.exportAuditLog = async (req, res) => {
+  try {
+    const { format } = req.params;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid export format. Must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { where, error } = buildAuditWhere(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await streamAuditExport(res, where, format, 'audit-log');
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    // A streamed export that fails part-way can only be cut off
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+};
+
+// Walk the audit hash chain and report the first break (Admin only)
+exports.verifyAuditLog = async (req, res) => {
+  try {
+    const report = await verifyAuditChain();
+    res.json(report);
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+};
+
+// List the recorded anchors of the audit chain, newest first (Admin only)
+exports.getAuditAnchors = async (req, res) => {
+  try {
+    const anchors = await prisma.auditAnchor.findMany({
+      orderBy: { seq: 'desc' },
+      take: 100,
+    });
+
+    res.json({ anchors });
+  } catch (error) {
+    console.error('Get audit anchors error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit anchors' });
+  }
+};
+
+// Anchor the current head of the chain now (Admin only)
+exports.createAuditAnchor = async (req, res) => {
+  try {
+    const anchor = await createAuditAnchor();
+
+    if (!anchor) {
+      return res.status(400).json({ error: 'The audit log has no chained entries yet' });
+    }
+
+    res.status(201).json({ anchor });
+  } catch (error) {
+    console.error('Create audit anchor error:', error);
+    res.status(500).json({ error: 'Failed to create audit anchor' });
+  }
+};
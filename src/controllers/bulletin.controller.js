@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/prisma');
+const { canonicalJson } = require('../utils/canonicalJson');
+const { normalizeTrackingCode, buildBallotChoices, buildEncryptedBallotContents } = require('../utils/ballotReceipts');
+
+/**
+ * Public ballot bulletin board (once voting is over, VIEW_RESULTS)
+ *
+ * Lists the tracking code and content hash of every cast ballot so voters can check
+ * their receipt. While voting is open the board stays hidden: codes appearing one by
+ * one could be matched to the time each voter voted.
+ * The ballot contents are published without tracking codes, together with the
+ * position and question definitions needed to re-run the tally, so no receipt shows
+ * how its ballot was filled in. Entries are sorted by tracking code, which is random,
+ * and contents by their canonical JSON, so the order says nothing about when a ballot
+ * was cast.
+ * Encrypted ballots are published as their ciphertexts with their tracking codes,
+ * together with the election public key and, once decrypted, the totals.
+ */
+
+const compareCodes = (a, b) => {
+  if (a.trackingCode === b.trackingCode) return 0;
+  if (a.trackingCode === null) return 1; // Ballots cast before receipts go last
+  if (b.trackingCode === null) return -1;
+  return a.trackingCode < b.trackingCode ? -1 : 1;
+};
+
+const castBallotInclude = {
+  votes: {
+    select: {
+      positionId: true,
+      candidateId: true,
+      writeInName: true,
+      rank: true,
+      abstain: true,
+    },
+  },
+  responses: {
+    select: {
+      questionId: true,
+      choice: true,
+    },
+  },
+  encryptedVotes: {
+    select: {
+      positionId: true,
+      ciphertexts: true,
+    },
+  },
+  encryptedResponses: {
+    select: {
+      questionId: true,
+      ciphertexts: true,
+    },
+  },
+};
+
+// Needs encryptedVotes and encryptedResponses (at least their first entry)
+const isEncrypted = (castBallot) => castBallot.encryptedVotes.length + castBallot.encryptedResponses.length > 0;
+
+// Content hash as published. The hash of a plain ballot cast before content salts is
+// withheld: hashing every possible choice until one matched would reveal the ballot.
+const publishedHash = (castBallot, encrypted) =>
+  (encrypted || castBallot.contentSalt ? castBallot.contentHash : null);
+
+// Published contents of an encrypted ballot: its ciphertexts
+const encryptedContents = (castBallot, electionId) => buildEncryptedBallotContents({
+  trackingCode: castBallot.trackingCode,
+  electionId,
+  votes: castBallot.encryptedVotes,
+  answers: castBallot.encryptedResponses,
+});
+
+// Get every tracking code with its content hash (Public)
+exports.getBulletinBoard = async (req, res) => {
+  try {
+    const castBallots = await prisma.castBallot.findMany({
+      where: { electionId: req.election.id },
+      select: {
+        trackingCode: true,
+        contentHash: true,
+        contentSalt: true,
+        encryptedVotes: { select: { id: true }, take: 1 },
+        encryptedResponses: { select: { id: true }, take: 1 },
+      },
+    });
+
+    const entries = castBallots
+      .filter((castBallot) => castBallot.trackingCode)
+      .map((castBallot) => ({
+        trackingCode: castBallot.trackingCode,
+        contentHash: publishedHash(castBallot, isEncrypted(castBallot)),
+      }))
+      .sort(compareCodes);
+
+    res.json({
+      election: {
+        id: req.election.id,
+        name: req.election.name,
+        status: req.election.status,
+      },
+      totalBallots: castBallots.length,
+      ballotsWithoutReceipt: castBallots.length - entries.length,
+      // Hash of the canonical entry list, so observers can compare snapshots of the board
+      boardHash: crypto.createHash('sha256').update(canonicalJson(entries)).digest('hex'),
+      entries,
+    });
+  } catch (error) {
+    console.error('Get bulletin board error:', error);
+    res.status(500).json({ error: 'Failed to fetch bulletin board' });
+  }
+};
+
+// Get the published ballot contents and the definitions needed to re-tally them (Public)
+// Plain ballots are listed by their choices only; encrypted ones with their receipt
+exports.getPublishedBallots = async (req, res) => {
+  try {
+    const electionId = req.election.id;
+
+    const [positions, questions, castBallots, electionKey] = await Promise.all([
+      prisma.position.findMany({
+        where: { electionId },
+        select: {
+          id: true,
+          name: true,
+          seats: true,
+          votingMethod: true,
+          candidates: {
+            where: { status: 'APPROVED' },
+            select: { id: true, name: true },
+            orderBy: { name: 'asc' },
+          },
+          writeInMerges: {
+            select: { fromKey: true, toKey: true },
+          },
+        },
+        orderBy: { name: 'asc' },
+      }),
+      prisma.ballotQuestion.findMany({
+        where: { electionId },
+        select: { id: true, title: true, threshold: true },
+        orderBy: { createdAt: 'asc' },
+      }),
+      prisma.castBallot.findMany({
+        where: { electionId },
+        include: castBallotInclude,
+      }),
+      prisma.electionKey.findUnique({
+        where: { electionId },
+        select: { scheme: true, publicKey: true, tally: true },
+      }),
+    ]);
+
+    const encryptedBallots = castBallots
+      .filter((castBallot) => isEncrypted(castBallot))
+      .map((castBallot) => ({
+        trackingCode: castBallot.trackingCode,
+        contentHash: castBallot.contentHash,
+        contents: encryptedContents(castBallot, electionId),
+      }))
+      .sort(compareCodes);
+
+    const plainBallots = castBallots
+      .filter((castBallot) => !isEncrypted(castBallot))
+      .map((castBallot) => {
+        const contents = buildBallotChoices({ votes: castBallot.votes, answers: castBallot.responses });
+        return { sortKey: canonicalJson(contents), contents };
+      })
+      .sort((a, b) => (a.sortKey < b.sortKey ? -1 : a.sortKey > b.sortKey ? 1 : 0))
+      .map(({ contents }) => ({ contents }));
+
+    const ballots = [...encryptedBallots, ...plainBallots];
+
+    res.json({
+      election: {
+        id: electionId,
+        name: req.election.name,
+        status: req.election.status,
+      },
+      positions,
+      questions,
+      // Ciphertexts multiply to the encrypted totals; tally holds the decrypted ones
+      encryption: electionKey,
+      totalBallots: ballots.length,
+      ballots,
+    });
+  } catch (error) {
+    console.error('Get published ballots error:', error);
+    res.status(500).json({ error: 'Failed to fetch published ballots' });
+  }
+};
+
+// Look up a receipt by tracking code (Public)
+// Only an encrypted ballot's contents are shown: plain contents would prove the vote
+exports.lookupReceipt = async (req, res) => {
+  try {
+    const trackingCode = normalizeTrackingCode(req.params.trackingCode);
+
+    if (!trackingCode) {
+      return res.status(400).json({ error: 'Invalid tracking code', hint: 'Tracking codes look like 7K2M-QX9D-R4TB-W1HC' });
+    }
+
+    const castBallot = await prisma.castBallot.findUnique({
+      where: { trackingCode, electionId: req.election.id },
+      include: castBallotInclude,
+    });
+
+    if (!castBallot) {
+      return res.status(404).json({
+        found: false,
+        error: 'No ballot with this tracking code in this election',
+      });
+    }
+
+    const encrypted = isEncrypted(castBallot);
+
+    res.json({
+      found: true,
+      trackingCode,
+      contentHash: publishedHash(castBallot, encrypted),
+      ...(encrypted && {
+        contents: encryptedContents(castBallot, req.election.id),
+      }),
+    });
+  } catch (error) {
+    console.error('Lookup receipt error:', error);
+    res.status(500).json({ error: 'Failed to look up tracking code' });
+  }
+};
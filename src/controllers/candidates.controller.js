@@ -1,5 +1,6 @@
 const { prisma } = require('../config/prisma');
 const { logAudit } = require('../utils/auditLogger');
+const { isActionAllowed, stateError, ELECTION_ACTIONS } = require('../utils/electionLifecycle');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -88,12 +89,19 @@ exports.submitNomination = async (req, res) => {
     // Check if position exists and nomination window is open
     const position = await prisma.position.findUnique({
       where: { id: positionId },
+      include: {
+        election: true,
+      },
     });
 
     if (!position) {
       return res.status(404).json({ error: 'Position not found' });
     }
 
+    if (!isActionAllowed(position.election.status, 'SUBMIT_NOMINATION')) {
+      return res.status(409).json(stateError(position.election, 'SUBMIT_NOMINATION'));
+    }
+
     const now = new Date();
     if (now < position.nominationOpens || now > position.nominationCloses) {
       return res.status(400).json({ 
@@ -153,6 +161,7 @@ exports.submitNomination = async (req, res) => {
     await logAudit({
       actorType: 'candidate',
       actorId: userId,
+      electionId: position.electionId,
       action: 'SUBMIT_NOMINATION',
       entity: 'candidate',
       entityId: candidate.id,
@@ -185,6 +194,7 @@ exports.getMyNominations = async (req, res) => {
         position: {
           select: {
             id: true,
+            electionId: true,
             name: true,
             nominationOpens: true,
             nominationCloses: true,
@@ -208,7 +218,7 @@ exports.getMyNominations = async (req, res) => {
 // Get all nominations (Officer/Admin)
 exports.getAllNominations = async (req, res) => {
   try {
-    const { status, positionId } = req.query;
+    const { status, positionId, electionId } = req.query;
 
     const where = {};
     if (status) {
@@ -217,6 +227,9 @@ exports.getAllNominations = async (req, res) => {
     if (positionId) {
       where.positionId = positionId;
     }
+    if (electionId) {
+      where.position = { electionId };
+    }
 
     const nominations = await prisma.candidate.findMany({
       where,
@@ -233,6 +246,7 @@ exports.getAllNominations = async (req, res) => {
         position: {
           select: {
             id: true,
+            electionId: true,
             name: true,
           },
         },
@@ -276,6 +290,12 @@ exports.approveNomination = async (req, res) => {
         position: {
           select: {
             name: true,
+            electionId: true,
+            election: {
+              select: {
+                status: true,
+              },
+            },
           },
         },
         user: {
@@ -291,6 +311,10 @@ exports.approveNomination = async (req, res) => {
       return res.status(404).json({ error: 'Nomination not found' });
     }
 
+    if (!isActionAllowed(candidate.position.election.status, 'REVIEW_NOMINATION')) {
+      return res.status(409).json(stateError(candidate.position.election, 'REVIEW_NOMINATION'));
+    }
+
     if (candidate.status === 'APPROVED') {
       return res.status(400).json({ error: 'Nomination is already approved' });
     }
@@ -308,6 +332,7 @@ exports.approveNomination = async (req, res) => {
     await logAudit({
       actorType: 'officer',
       actorId: officerId,
+      electionId: candidate.position.electionId,
       action: 'APPROVE_NOMINATION',
       entity: 'candidate',
       entityId: id,
@@ -346,6 +371,12 @@ exports.rejectNomination = async (req, res) => {
         position: {
           select: {
             name: true,
+            electionId: true,
+            election: {
+              select: {
+                status: true,
+              },
+            },
           },
         },
         user: {
@@ -361,6 +392,10 @@ exports.rejectNomination = async (req, res) => {
       return res.status(404).json({ error: 'Nomination not found' });
     }
 
+    if (!isActionAllowed(candidate.position.election.status, 'REVIEW_NOMINATION')) {
+      return res.status(409).json(stateError(candidate.position.election, 'REVIEW_NOMINATION'));
+    }
+
     if (candidate.status === 'REJECTED') {
       return res.status(400).json({ error: 'Nomination is already rejected' });
     }
@@ -378,6 +413,7 @@ exports.rejectNomination = async (req, res) => {
     await logAudit({
       actorType: 'officer',
       actorId: officerId,
+      electionId: candidate.position.electionId,
       action: 'REJECT_NOMINATION',
       entity: 'candidate',
       entityId: id,
@@ -412,6 +448,12 @@ exports.deleteCandidate = async (req, res) => {
         position: {
           select: {
             name: true,
+            electionId: true,
+            election: {
+              select: {
+                status: true,
+              },
+            },
           },
         },
         user: {
@@ -432,6 +474,11 @@ exports.deleteCandidate = async (req, res) => {
       return res.status(404).json({ error: 'Candidate not found' });
     }
 
+    // Candidates can only be removed while nominations are still open
+    if (!isActionAllowed(candidate.position.election.status, 'REVIEW_NOMINATION')) {
+      return res.status(409).json(stateError(candidate.position.election, 'REVIEW_NOMINATION'));
+    }
+
     // Check if candidate has votes
     if (candidate._count.votes > 0) {
       return res.status(400).json({ 
@@ -466,6 +513,7 @@ exports.deleteCandidate = async (req, res) => {
     await logAudit({
       actorType: 'admin',
       actorId: adminId,
+      electionId: candidate.position.electionId,
       action: 'DELETE_CANDIDATE',
       entity: 'candidate',
       entityId: id,
@@ -483,13 +531,23 @@ exports.deleteCandidate = async (req, res) => {
   }
 };
 
-// Delete all candidates (Admin only)
+// Delete all candidates (Admin only), optionally limited to one election
 exports.deleteAllCandidates = async (req, res) => {
   try {
     const adminId = req.user.id;
+    const { electionId } = req.query;
+
+    // Only elections still taking nominations can lose their candidates
+    const scope = {
+      position: {
+        ...(electionId && { electionId }),
+        election: { status: { in: ELECTION_ACTIONS.REVIEW_NOMINATION } },
+      },
+    };
 
     // Get all candidates with their file paths
     const candidates = await prisma.candidate.findMany({
+      where: scope,
       select: {
         id: true,
         manifestoUrl: true,
@@ -521,6 +579,7 @@ exports.deleteAllCandidates = async (req, res) => {
     // Get candidates with votes to exclude them from deletion
     const candidatesWithVotes = await prisma.candidate.findMany({
       where: {
+        ...scope,
         votes: {
           some: {},
         },
@@ -535,6 +594,7 @@ exports.deleteAllCandidates = async (req, res) => {
     // Delete only candidates without votes
     const result = await prisma.candidate.deleteMany({
       where: {
+        ...scope,
         id: {
           notIn: candidatesWithVotesIds.length > 0 ? candidatesWithVotesIds : [],
         },
@@ -546,6 +606,7 @@ exports.deleteAllCandidates = async (req, res) => {
       await logAudit({
         actorType: 'admin',
         actorId: adminId,
+        electionId: electionId || null,
         action: 'DELETE_ALL_CANDIDATES',
         entity: 'candidate',
         payload: {
@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { getElectionResults } = require('../utils/electionReports');
+const { canonicalJson } = require('../utils/canonicalJson');
+const { getPublicKey, signDocument, verifyDocument } = require('../utils/resultSigning');
+require('dotenv').config();
+
+/**
+ * Results Certification
+ *
+ * 1. Admin freezes the tallies of a CLOSED election (hash of the canonical results JSON)
+ * 2. OFFICER users review the frozen results and sign off on that hash
+ * 3. Once CERTIFICATION_QUORUM sign-offs are in, the certified result record is
+ *    signed with the Ed25519 results key and the election moves to CERTIFIED
+ *
+ * Configuration from .env:
+ * - CERTIFICATION_QUORUM: Officer sign-offs required (default: 2)
+ */
+
+const CERTIFIED_RESULTS_FORMAT = 'ballot-buddy-certified-results/v1';
+
+const getCertificationQuorum = () => {
+  const quorum = parseInt(process.env.CERTIFICATION_QUORUM, 10);
+  return Number.isInteger(quorum) && quorum > 0 ? quorum : 2;
+};
+
+const hashResults = (results) => crypto.createHash('sha256').update(canonicalJson(results)).digest('hex');
+
+const signoffInclude = {
+  signoffs: {
+    include: {
+      officer: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+    },
+    orderBy: { signedAt: 'asc' },
+  },
+};
+
+// Build, sign and store the certified result record once quorum is reached
+async function finalizeCertification(certification, election) {
+  const certifiedAt = new Date();
+
+  const document = {
+    format: CERTIFIED_RESULTS_FORMAT,
+    certificationId: certification.id,
+    election: {
+      id: election.id,
+      name: election.name,
+    },
+    results: certification.results,
+    resultsHash: certification.resultsHash,
+    frozenAt: certification.frozenAt.toISOString(),
+    certifiedAt: certifiedAt.toISOString(),
+    quorum: certification.quorum,
+    signoffs: certification.signoffs.map((signoff) => ({
+      officerId: signoff.officerId,
+      officerName: signoff.officer.name,
+      signedAt: signoff.signedAt.toISOString(),
+    })),
+  };
+
+  const { signature, keyId } = signDocument(document);
+
+  // Conditional updates: only one of two concurrent final sign-offs publishes the record
+  return prisma.$transaction(async (tx) => {
+    const published = await tx.certification.updateMany({
+      where: { id: certification.id, status: 'PENDING' },
+      data: {
+        status: 'CERTIFIED',
+        document,
+        signature,
+        keyId,
+        certifiedAt,
+      },
+    });
+
+    if (published.count === 0) {
+      return false;
+    }
+
+    await tx.election.updateMany({
+      where: { id: election.id, status: 'CLOSED' },
+      data: { status: 'CERTIFIED' },
+    });
+
+    return true;
+  });
+}
+
+// Get certification status for the election (Admin/Officer)
+exports.getCertification = async (req, res) => {
+  try {
+    const certification = await prisma.certification.findUnique({
+      where: { electionId: req.election.id },
+      include: signoffInclude,
+    });
+
+    if (!certification) {
+      return res.status(404).json({
+        error: 'Results have not been frozen for certification',
+        quorum: getCertificationQuorum(),
+      });
+    }
+
+    res.json({
+      ...certification,
+      signoffsRemaining: Math.max(certification.quorum - certification.signoffs.length, 0),
+    });
+  } catch (error) {
+    console.error('Get certification error:', error);
+    res.status(500).json({ error: 'Failed to fetch certification' });
+  }
+};
+
+// Freeze the results for officer sign-off (Admin only, election must be CLOSED)
+exports.freezeResults = async (req, res) => {
+  try {
+    const electionId = req.election.id;
+    const quorum = getCertificationQuorum();
+
+    const existing = await prisma.certification.findUnique({
+      where: { electionId },
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'Results are already frozen for this election',
+        hint: existing.status === 'PENDING'
+          ? 'Discard the pending certification first to freeze again'
+          : 'The election has already been certified',
+      });
+    }
+
+    // Fail early on a missing key rather than after officers have signed off
+    try {
+      getPublicKey();
+    } catch (keyError) {
+      return res.status(500).json({
+        error: 'Result signing key is not configured',
+        hint: keyError.message,
+      });
+    }
+
+    const activeOfficers = await prisma.user.count({
+      where: { role: 'OFFICER', status: 'ACTIVE' },
+    });
+
+    if (activeOfficers < quorum) {
+      return res.status(400).json({
+        error: `Certification requires ${quorum} officer sign-offs but only ${activeOfficers} active officers exist`,
+        hint: 'Create more officer accounts or lower CERTIFICATION_QUORUM',
+      });
+    }
+
+    const results = await getElectionResults(electionId);
+    const resultsHash = hashResults(results);
+
+    const certification = await prisma.certification.create({
+      data: {
+        electionId,
+        quorum,
+        results,
+        resultsHash,
+        frozenBy: req.user.id,
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId,
+      action: 'FREEZE_RESULTS',
+      entity: 'certification',
+      entityId: certification.id,
+      payload: { resultsHash, quorum },
+    });
+
+    res.status(201).json({
+      message: 'Results frozen for certification',
+      certification,
+    });
+  } catch (error) {
+    if (error.code === 'RESULTS_SEALED') {
+      return res.status(409).json({
+        error: error.message,
+        hint: 'Trustees submit their shares with POST /api/elections/:electionId/encryption/shares',
+      });
+    }
+    console.error('Freeze results error:', error);
+    res.status(500).json({ error: 'Failed to freeze results' });
+  }
+};
+
+// Discard a pending certification (Admin only) - e.g. after officers report a discrepancy
+exports.discardCertification = async (req, res) => {
+  try {
+    const electionId = req.election.id;
+
+    const certification = await prisma.certification.findUnique({
+      where: { electionId },
+      include: { _count: { select: { signoffs: true } } },
+    });
+
+    if (!certification) {
+      return res.status(404).json({ error: 'Results have not been frozen for certification' });
+    }
+
+    if (certification.status !== 'PENDING') {
+      return res.status(409).json({ error: 'Certified results cannot be discarded' });
+    }
+
+    await prisma.certification.delete({
+      where: { id: certification.id },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId,
+      action: 'DISCARD_CERTIFICATION',
+      entity: 'certification',
+      entityId: certification.id,
+      payload: {
+        resultsHash: certification.resultsHash,
+        signoffs: certification._count.signoffs,
+      },
+    });
+
+    res.json({ message: 'Pending certification discarded' });
+  } catch (error) {
+    console.error('Discard certification error:', error);
+    res.status(500).json({ error: 'Failed to discard certification' });
+  }
+};
+
+/**
+ * Sign off on the frozen results (Officer only)
+ *
+ * The officer sends back the resultsHash they reviewed, so a sign-off can only
+ * ever apply to exactly the tallies that were frozen.
+ */
+exports.signOff = async (req, res) => {
+  try {
+    const electionId = req.election.id;
+    const { resultsHash, comment } = req.body;
+
+    if (!resultsHash) {
+      return res.status(400).json({ error: 'resultsHash of the reviewed results is required' });
+    }
+
+    const certification = await prisma.certification.findUnique({
+      where: { electionId },
+    });
+
+    if (!certification) {
+      return res.status(404).json({ error: 'Results have not been frozen for certification' });
+    }
+
+    if (certification.status !== 'PENDING') {
+      return res.status(409).json({ error: 'Results have already been certified' });
+    }
+
+    if (resultsHash !== certification.resultsHash) {
+      return res.status(409).json({
+        error: 'resultsHash does not match the frozen results',
+        hint: 'Reload the certification and review the current frozen results',
+      });
+    }
+
+    try {
+      await prisma.certificationSignoff.create({
+        data: {
+          certificationId: certification.id,
+          officerId: req.user.id,
+          resultsHash,
+          comment: comment?.trim() || null,
+        },
+      });
+    } catch (createError) {
+      if (createError.code === 'P2002') {
+        return res.status(409).json({ error: 'You have already signed off on these results' });
+      }
+      throw createError;
+    }
+
+    await logAudit({
+      actorType: 'officer',
+      actorId: req.user.id,
+      electionId,
+      action: 'SIGNOFF_RESULTS',
+      entity: 'certification',
+      entityId: certification.id,
+      payload: { resultsHash },
+    });
+
+    const current = await prisma.certification.findUnique({
+      where: { id: certification.id },
+      include: signoffInclude,
+    });
+
+    if (current.signoffs.length < current.quorum) {
+      return res.json({
+        message: 'Sign-off recorded',
+        signoffs: current.signoffs.length,
+        quorum: current.quorum,
+        signoffsRemaining: current.quorum - current.signoffs.length,
+      });
+    }
+
+    const published = await finalizeCertification(current, req.election);
+
+    if (published) {
+      await logAudit({
+        actorType: 'system',
+        electionId,
+        action: 'CERTIFY_RESULTS',
+        entity: 'certification',
+        entityId: certification.id,
+        payload: {
+          resultsHash,
+          quorum: current.quorum,
+          officers: current.signoffs.map((signoff) => signoff.officerId),
+        },
+      });
+    }
+
+    res.json({
+      message: 'Sign-off recorded. Quorum reached and results certified.',
+      signoffs: current.signoffs.length,
+      quorum: current.quorum,
+      signoffsRemaining: 0,
+    });
+  } catch (error) {
+    console.error('Sign off results error:', error);
+    res.status(500).json({ error: 'Failed to sign off results' });
+  }
+};
+
+// Download the signed certified result record (Public)
+exports.downloadCertifiedResults = async (req, res) => {
+  try {
+    const certification = await prisma.certification.findUnique({
+      where: { electionId: req.election.id },
+    });
+
+    if (!certification || certification.status !== 'CERTIFIED') {
+      return res.status(404).json({ error: 'Results for this election have not been certified' });
+    }
+
+    const { algorithm } = getPublicKey();
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename=certified-results-${req.election.id}.json`);
+    res.send(JSON.stringify({
+      document: certification.document,
+      signature: certification.signature,
+      keyId: certification.keyId,
+      algorithm,
+    }, null, 2));
+  } catch (error) {
+    console.error('Download certified results error:', error);
+    res.status(500).json({ error: 'Failed to download certified results' });
+  }
+};
+
+// Get the results signing public key (Public)
+exports.getSigningKey = async (req, res) => {
+  try {
+    res.json(getPublicKey());
+  } catch (error) {
+    console.error('Get signing key error:', error);
+    res.status(500).json({ error: 'Result signing key is not configured' });
+  }
+};
+
+/**
+ * Verify a downloaded certified results file (Public)
+ *
+ * Body is the downloaded file ({ document, signature }). An optional publicKey
+ * (PEM) verifies against a key obtained out of band instead of this server's key.
+ */
+exports.verifyCertifiedResults = async (req, res) => {
+  try {
+    const { document, signature, publicKey } = req.body;
+
+    if (!document || typeof document !== 'object' || !signature) {
+      return res.status(400).json({ error: 'document and signature are required' });
+    }
+
+    let signatureValid;
+    try {
+      signatureValid = verifyDocument(document, signature, publicKey);
+    } catch (verifyError) {
+      return res.status(400).json({
+        error: 'Could not verify signature',
+        hint: verifyError.message,
+      });
+    }
+
+    // The embedded hash must also match the embedded results
+    const resultsHashValid = !!document.results && hashResults(document.results) === document.resultsHash;
+
+    res.json({
+      valid: signatureValid && resultsHashValid,
+      signatureValid,
+      resultsHashValid,
+      keyId: publicKey ? null : getPublicKey().keyId,
+      election: document.election || null,
+      certifiedAt: document.certifiedAt || null,
+    });
+  } catch (error) {
+    console.error('Verify certified results error:', error);
+    res.status(500).json({ error: 'Failed to verify certified results' });
+  }
+};
@@ -0,0 +1,330 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const {
+  ELECTION_STATUSES,
+  ELECTION_TRANSITIONS,
+  WORKFLOW_ONLY_STATUSES,
+  canTransition,
+} = require('../utils/electionLifecycle');
+
+// Get all elections (newest first, with counts for the dashboard)
+exports.getAllElections = async (req, res) => {
+  try {
+    const elections = await prisma.election.findMany({
+      orderBy: {
+        createdAt: 'desc',
+      },
+      include: {
+        _count: {
+          select: {
+            positions: true,
+            voters: true,
+            ballots: true,
+          },
+        },
+      },
+    });
+
+    res.json(elections);
+  } catch (error) {
+    console.error('Get elections error:', error);
+    res.status(500).json({ error: 'Failed to fetch elections' });
+  }
+};
+
+// Get public election list (for voters choosing which election to verify for)
+exports.getPublicElections = async (req, res) => {
+  try {
+    const elections = await prisma.election.findMany({
+      where: {
+        status: { not: 'DRAFT' },
+      },
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        status: true,
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    res.json(elections);
+  } catch (error) {
+    console.error('Get public elections error:', error);
+    res.status(500).json({ error: 'Failed to fetch elections' });
+  }
+};
+
+// Get election by ID
+exports.getElectionById = async (req, res) => {
+  try {
+    const election = await prisma.election.findUnique({
+      where: { id: req.params.electionId },
+      include: {
+        positions: {
+          orderBy: {
+            name: 'asc',
+          },
+        },
+        _count: {
+          select: {
+            positions: true,
+            voters: true,
+            ballots: true,
+          },
+        },
+      },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    res.json(election);
+  } catch (error) {
+    console.error('Get election error:', error);
+    res.status(500).json({ error: 'Failed to fetch election' });
+  }
+};
+
+// Create election (Admin only)
+exports.createElection = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Election name is required' });
+    }
+
+    const election = await prisma.election.create({
+      data: {
+        name: name.trim(),
+        description: description?.trim() || null,
+        createdBy: req.user.id,
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: election.id,
+      action: 'CREATE_ELECTION',
+      entity: 'election',
+      entityId: election.id,
+      payload: { name: election.name },
+    });
+
+    res.status(201).json({
+      message: 'Election created successfully',
+      election,
+    });
+  } catch (error) {
+    console.error('Create election error:', error);
+    res.status(500).json({ error: 'Failed to create election' });
+  }
+};
+
+// Update election details (Admin only)
+exports.updateElection = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+    const { name, description } = req.body;
+
+    const existingElection = await prisma.election.findUnique({
+      where: { id: electionId },
+    });
+
+    if (!existingElection) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const election = await prisma.election.update({
+      where: { id: electionId },
+      data: {
+        ...(name && { name: name.trim() }),
+        ...(description !== undefined && { description: description?.trim() || null }),
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId,
+      action: 'UPDATE_ELECTION',
+      entity: 'election',
+      entityId: electionId,
+      payload: { name, description },
+    });
+
+    res.json({
+      message: 'Election updated successfully',
+      election,
+    });
+  } catch (error) {
+    console.error('Update election error:', error);
+    res.status(500).json({ error: 'Failed to update election' });
+  }
+};
+
+/**
+ * Move an election to its next lifecycle state (Admin only)
+ *
+ * Only the transitions in ELECTION_TRANSITIONS are accepted, so an election
+ * can never go back to an earlier state once voting has opened.
+ * CERTIFIED is reached through the certification workflow instead.
+ */
+exports.transitionElection = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+    const { status } = req.body;
+
+    if (!status || !ELECTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of ${ELECTION_STATUSES.join(', ')}`,
+      });
+    }
+
+    if (WORKFLOW_ONLY_STATUSES.includes(status)) {
+      return res.status(409).json({
+        error: 'Elections are certified through the certification workflow',
+        hint: 'Freeze the results with POST /api/elections/:electionId/certification and collect officer sign-offs',
+      });
+    }
+
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+      include: {
+        _count: {
+          select: {
+            positions: true,
+            questions: true,
+            voters: true,
+          },
+        },
+      },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!canTransition(election.status, status)) {
+      return res.status(409).json({
+        error: `Cannot move election from ${election.status} to ${status}`,
+        allowedTransitions: ELECTION_TRANSITIONS[election.status],
+      });
+    }
+
+    // Preconditions for opening nominations and voting
+    if (status === 'NOMINATIONS' && election._count.positions === 0 && election._count.questions === 0) {
+      return res.status(400).json({ error: 'Create at least one position or ballot question before opening nominations' });
+    }
+
+    if (status === 'VOTING') {
+      if (election._count.voters === 0) {
+        return res.status(400).json({ error: 'Import the voter roll before opening voting' });
+      }
+
+      const approvedCandidates = await prisma.candidate.count({
+        where: {
+          status: 'APPROVED',
+          position: { electionId },
+        },
+      });
+
+      // A referendum-only election has questions but no candidates
+      if (approvedCandidates === 0 && election._count.questions === 0) {
+        return res.status(400).json({ error: 'At least one approved candidate or ballot question is required before opening voting' });
+      }
+    }
+
+    // Conditional update guards against two admins transitioning at the same time
+    const result = await prisma.election.updateMany({
+      where: { id: electionId, status: election.status },
+      data: { status },
+    });
+
+    if (result.count === 0) {
+      return res.status(409).json({ error: 'Election status changed in the meantime. Reload and try again.' });
+    }
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId,
+      action: 'TRANSITION_ELECTION',
+      entity: 'election',
+      entityId: electionId,
+      payload: { from: election.status, to: status },
+    });
+
+    const { _count, ...updatedElection } = election;
+
+    res.json({
+      message: `Election moved to ${status}`,
+      election: { ...updatedElection, status },
+    });
+  } catch (error) {
+    console.error('Transition election error:', error);
+    res.status(500).json({ error: 'Failed to change election status' });
+  }
+};
+
+// Delete election (Admin only) - only allowed while it holds no voting data
+exports.deleteElection = async (req, res) => {
+  try {
+    const { electionId } = req.params;
+
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+      include: {
+        _count: {
+          select: {
+            positions: true,
+            voters: true,
+            ballots: true,
+            archives: true,
+          },
+        },
+      },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (election._count.ballots > 0 || election._count.archives > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete an election that has issued ballots or been archived',
+        hint: 'Past elections are kept so their results stay queryable',
+      });
+    }
+
+    if (election._count.positions > 0 || election._count.voters > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete election with existing positions or voters',
+      });
+    }
+
+    await prisma.election.delete({
+      where: { id: electionId },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId,
+      action: 'DELETE_ELECTION',
+      entity: 'election',
+      entityId: electionId,
+      payload: { name: election.name },
+    });
+
+    res.json({ message: 'Election deleted successfully' });
+  } catch (error) {
+    console.error('Delete election error:', error);
+    res.status(500).json({ error: 'Failed to delete election' });
+  }
+};
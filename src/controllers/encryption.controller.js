@@ -0,0 +1,346 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { RANKED_METHODS } = require('../utils/votingMethods');
+const {
+  ENCRYPTION_SCHEME,
+  validateEncryptedPosition,
+  generateElectionKey,
+  parseShare,
+  verifyShare,
+  aggregateBallots,
+  partialDecryption,
+  combinePartialDecryptions,
+} = require('../utils/ballotEncryption');
+
+/**
+ * Encrypted ballots and trustee decryption
+ *
+ * 1. Before voting opens, the admin sets up the election key: the private key is
+ *    split among the named trustees (t of n) and each share is shown exactly once
+ * 2. Ballots are encrypted under the public key when they are cast
+ * 3. After voting closes, trustee shares are submitted through the admin. A share is
+ *    only used to partially decrypt the totals and is never stored; once `threshold`
+ *    partial decryptions are in, the totals are decrypted and the partials wiped.
+ *    Until then the results cannot be computed.
+ */
+
+const MAX_TRUSTEES = 20;
+
+const publicKeyInfo = (electionKey) => ({
+  scheme: electionKey.scheme,
+  publicKey: electionKey.publicKey,
+  threshold: electionKey.threshold,
+  commitments: electionKey.commitments,
+  createdAt: electionKey.createdAt,
+  decrypted: Boolean(electionKey.decryptedAt),
+  decryptedAt: electionKey.decryptedAt,
+  trustees: electionKey.trustees.map((trustee) => ({
+    trusteeIndex: trustee.trusteeIndex,
+    name: trustee.name,
+    submitted: Boolean(trustee.submittedAt),
+    submittedAt: trustee.submittedAt,
+  })),
+});
+
+const trusteesInclude = {
+  trustees: {
+    orderBy: { trusteeIndex: 'asc' },
+  },
+};
+
+// Get the election public key and the trustees' progress (Public)
+exports.getElectionKey = async (req, res) => {
+  try {
+    const electionKey = await prisma.electionKey.findUnique({
+      where: { electionId: req.election.id },
+      include: trusteesInclude,
+    });
+
+    if (!electionKey) {
+      return res.status(404).json({ error: 'This election does not use encrypted ballots' });
+    }
+
+    res.json(publicKeyInfo(electionKey));
+  } catch (error) {
+    console.error('Get election key error:', error);
+    res.status(500).json({ error: 'Failed to fetch election key' });
+  }
+};
+
+// Set up encrypted ballots and hand out the trustee shares (Admin only, before voting)
+exports.setupEncryption = async (req, res) => {
+  try {
+    const electionId = req.election.id;
+    const { trustees, threshold } = req.body;
+
+    const names = Array.isArray(trustees)
+      ? trustees.map((name) => (typeof name === 'string' ? name.trim() : ''))
+      : [];
+
+    if (names.length < 2 || names.length > MAX_TRUSTEES || names.some((name) => !name)) {
+      return res.status(400).json({
+        error: `trustees must list between 2 and ${MAX_TRUSTEES} trustee names`,
+      });
+    }
+
+    if (!Number.isInteger(threshold) || threshold < 2 || threshold > names.length) {
+      return res.status(400).json({
+        error: 'threshold must be a whole number between 2 and the number of trustees',
+      });
+    }
+
+    const existing = await prisma.electionKey.findUnique({
+      where: { electionId },
+      select: { id: true },
+    });
+
+    if (existing) {
+      return res.status(409).json({ error: 'Encrypted ballots are already set up for this election' });
+    }
+
+    // Ranked methods and write-ins cannot be counted from encrypted totals
+    const incompatible = await prisma.position.findMany({
+      where: {
+        electionId,
+        OR: [
+          { votingMethod: { in: RANKED_METHODS } },
+          { allowWriteIns: true },
+        ],
+      },
+      select: { name: true, votingMethod: true, allowWriteIns: true },
+    });
+
+    if (incompatible.length > 0) {
+      return res.status(400).json({
+        error: validateEncryptedPosition(incompatible[0].votingMethod, incompatible[0].allowWriteIns),
+        hint: `Change these positions first: ${incompatible.map((p) => p.name).join(', ')}`,
+      });
+    }
+
+    const { publicKey, commitments, shares } = generateElectionKey(names.length, threshold);
+
+    const electionKey = await prisma.electionKey.create({
+      data: {
+        electionId,
+        scheme: ENCRYPTION_SCHEME,
+        publicKey,
+        threshold,
+        commitments,
+        createdBy: req.user.id,
+        trustees: {
+          create: names.map((name, i) => ({
+            trusteeIndex: i + 1,
+            name,
+          })),
+        },
+      },
+      include: trusteesInclude,
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId,
+      action: 'SETUP_ENCRYPTION',
+      entity: 'election_key',
+      entityId: electionKey.id,
+      payload: { scheme: ENCRYPTION_SCHEME, threshold, trustees: names },
+    });
+
+    res.status(201).json({
+      message: 'Encrypted ballots set up',
+      key: publicKeyInfo(electionKey),
+      shares: shares.map((share, i) => ({ ...share, name: names[i] })),
+      warning: 'Hand each share to its trustee privately. Shares are not stored and cannot be shown again.',
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Encrypted ballots are already set up for this election' });
+    }
+    console.error('Setup encryption error:', error);
+    res.status(500).json({ error: 'Failed to set up encrypted ballots' });
+  }
+};
+
+// Encrypted ballots of a closed election multiplied into one ciphertext per option
+async function loadAggregate(electionId) {
+  const [positions, questions, encryptedVotes, encryptedResponses] = await Promise.all([
+    prisma.position.findMany({
+      where: { electionId },
+      select: {
+        id: true,
+        candidates: {
+          where: { status: 'APPROVED' },
+          select: { id: true },
+        },
+      },
+    }),
+    prisma.ballotQuestion.findMany({
+      where: { electionId },
+      select: { id: true },
+    }),
+    prisma.encryptedVote.findMany({
+      where: { position: { electionId } },
+      select: { positionId: true, ciphertexts: true },
+    }),
+    prisma.encryptedResponse.findMany({
+      where: { question: { electionId } },
+      select: { questionId: true, ciphertexts: true },
+    }),
+  ]);
+
+  return aggregateBallots({ positions, questions, encryptedVotes, encryptedResponses });
+}
+
+// Wipe the partial decryptions so the trustees can submit their shares again
+const resetSubmissions = (electionKey) => prisma.trusteeShare.updateMany({
+  where: { keyId: electionKey.id, electionKey: { decryptedAt: null } },
+  data: { partialDecryption: Prisma.DbNull, submittedBy: null, submittedAt: null },
+});
+
+// Decrypt the totals from the partial decryptions, store them and wipe the partials
+async function finalizeDecryption(electionKey, aggregate, partials) {
+  let tally;
+  try {
+    tally = combinePartialDecryptions(aggregate, partials);
+  } catch (error) {
+    await resetSubmissions(electionKey);
+    error.code = 'DECRYPTION_FAILED';
+    throw error;
+  }
+
+  // Conditional update: only one of two concurrent final submissions stores the tally
+  return prisma.$transaction(async (tx) => {
+    const stored = await tx.electionKey.updateMany({
+      where: { id: electionKey.id, decryptedAt: null },
+      data: { tally, decryptedAt: new Date() },
+    });
+
+    if (stored.count === 0) {
+      return false;
+    }
+
+    await tx.trusteeShare.updateMany({
+      where: { keyId: electionKey.id },
+      data: { partialDecryption: Prisma.DbNull },
+    });
+
+    return true;
+  });
+}
+
+// Submit a trustee's share (Admin only, election must be CLOSED)
+exports.submitShare = async (req, res) => {
+  try {
+    const electionId = req.election.id;
+    const { trusteeIndex, share } = req.body;
+
+    const electionKey = await prisma.electionKey.findUnique({
+      where: { electionId },
+      include: trusteesInclude,
+    });
+
+    if (!electionKey) {
+      return res.status(404).json({ error: 'This election does not use encrypted ballots' });
+    }
+
+    if (electionKey.decryptedAt) {
+      return res.status(409).json({ error: 'The tally has already been decrypted' });
+    }
+
+    const trustee = electionKey.trustees.find((t) => t.trusteeIndex === trusteeIndex);
+    if (!trustee) {
+      return res.status(400).json({
+        error: 'Unknown trustee',
+        hint: `trusteeIndex must be one of ${electionKey.trustees.map((t) => t.trusteeIndex).join(', ')}`,
+      });
+    }
+
+    if (trustee.submittedAt) {
+      return res.status(409).json({ error: `The share of ${trustee.name} has already been submitted` });
+    }
+
+    const value = parseShare(share);
+    if (value === null || !verifyShare(electionKey.commitments, trusteeIndex, value)) {
+      return res.status(400).json({
+        error: 'Invalid share',
+        hint: `This is not the share handed to ${trustee.name}`,
+      });
+    }
+
+    // The share is used here and dropped: only its partial decryption of the totals is kept
+    const aggregate = await loadAggregate(electionId);
+
+    const submitted = await prisma.trusteeShare.updateMany({
+      where: { id: trustee.id, submittedAt: null },
+      data: {
+        partialDecryption: partialDecryption(aggregate, value),
+        submittedBy: req.user.id,
+        submittedAt: new Date(),
+      },
+    });
+
+    if (submitted.count === 0) {
+      return res.status(409).json({ error: `The share of ${trustee.name} has already been submitted` });
+    }
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId,
+      action: 'SUBMIT_TRUSTEE_SHARE',
+      entity: 'election_key',
+      entityId: electionKey.id,
+      payload: { trusteeIndex, trustee: trustee.name },
+    });
+
+    const submittedShares = await prisma.trusteeShare.findMany({
+      where: { keyId: electionKey.id, submittedAt: { not: null } },
+      orderBy: { trusteeIndex: 'asc' },
+    });
+
+    if (submittedShares.length < electionKey.threshold) {
+      return res.json({
+        message: `Share of ${trustee.name} accepted`,
+        submitted: submittedShares.length,
+        threshold: electionKey.threshold,
+        decrypted: false,
+      });
+    }
+
+    const partials = submittedShares
+      .slice(0, electionKey.threshold)
+      .map((s) => ({ trusteeIndex: s.trusteeIndex, partial: s.partialDecryption }));
+
+    const decrypted = await finalizeDecryption(electionKey, aggregate, partials);
+
+    if (decrypted) {
+      await logAudit({
+        actorType: 'admin',
+        actorId: req.user.id,
+        electionId,
+        action: 'DECRYPT_TALLY',
+        entity: 'election_key',
+        entityId: electionKey.id,
+        payload: { trustees: partials.map((p) => p.trusteeIndex) },
+      });
+    }
+
+    res.json({
+      message: 'Quorum reached. The tally has been decrypted.',
+      submitted: submittedShares.length,
+      threshold: electionKey.threshold,
+      decrypted: true,
+    });
+  } catch (error) {
+    console.error('Submit trustee share error:', error);
+    if (error.code === 'DECRYPTION_FAILED') {
+      return res.status(500).json({
+        error: 'Failed to decrypt the tally',
+        hint: 'The submissions have been cleared. Every trustee needs to submit their share again.',
+      });
+    }
+    res.status(500).json({ error: 'Failed to submit trustee share' });
+  }
+};
@@ -0,0 +1,134 @@
+const { prisma } = require('../config/prisma');
+const { NOTIFICATION_STATUSES } = require('../utils/notificationOutbox');
+const { OTP_CHANNELS } = require('../utils/otpDelivery');
+
+const MAX_PAGE_SIZE = 200;
+
+// Everything but the payload, which can hold an OTP until the notification is settled
+const notificationSelect = {
+  id: true,
+  verificationId: true,
+  template: true,
+  channel: true,
+  recipient: true,
+  status: true,
+  attempts: true,
+  maxAttempts: true,
+  nextAttemptAt: true,
+  expiresAt: true,
+  fallbackForId: true,
+  provider: true,
+  providerMessageId: true,
+  lastError: true,
+  sentAt: true,
+  createdAt: true,
+  updatedAt: true,
+  verification: {
+    select: { voter: { select: { regNo: true, name: true } } },
+  },
+};
+
+// Put the voter next to the notification instead of under its verification
+const formatNotification = ({ verification, ...notification }) => ({
+  ...notification,
+  voter: verification?.voter || null,
+});
+
+// List an election's notifications with their delivery status (Admin only)
+exports.getNotifications = async (req, res) => {
+  try {
+    const { status, channel, template, regNo, verificationId } = req.query;
+    const page = req.query.page === undefined ? 1 : parseInt(req.query.page, 10);
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: 'page must be a positive number' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+    }
+    if (status !== undefined && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${NOTIFICATION_STATUSES.join(', ')}` });
+    }
+    if (channel !== undefined && !OTP_CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${OTP_CHANNELS.join(', ')}` });
+    }
+
+    const where = {
+      electionId: req.election.id,
+      ...(status && { status }),
+      ...(channel && { channel }),
+      ...(typeof template === 'string' && template && { template }),
+      ...(typeof verificationId === 'string' && verificationId && { verificationId }),
+      ...(typeof regNo === 'string' && regNo.trim() && {
+        verification: { voter: { regNo: regNo.trim().toUpperCase() } },
+      }),
+    };
+
+    const [notifications, total, byStatus] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        select: notificationSelect,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.notification.count({ where }),
+      prisma.notification.groupBy({
+        by: ['status'],
+        where: { electionId: req.election.id },
+        _count: { _all: true },
+      }),
+    ]);
+
+    res.json({
+      notifications: notifications.map(formatNotification),
+      summary: NOTIFICATION_STATUSES.reduce((summary, notificationStatus) => ({
+        ...summary,
+        [notificationStatus]: byStatus.find((group) => group.status === notificationStatus)?._count._all || 0,
+      }), {}),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+};
+
+// One notification with every delivery attempt (Admin only)
+exports.getNotification = async (req, res) => {
+  try {
+    const notification = await prisma.notification.findFirst({
+      where: { id: req.params.notificationId, electionId: req.election.id },
+      select: {
+        ...notificationSelect,
+        deliveryAttempts: {
+          select: {
+            attempt: true,
+            status: true,
+            provider: true,
+            providerMessageId: true,
+            error: true,
+            durationMs: true,
+            createdAt: true,
+          },
+          orderBy: { attempt: 'asc' },
+        },
+      },
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ notification: formatNotification(notification) });
+  } catch (error) {
+    console.error('Get notification error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification' });
+  }
+};
@@ -0,0 +1,509 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { issueBallotToken } = require('../utils/ballotTokens');
+const {
+  generateKioskKey,
+  hashKioskKey,
+  findWaitingBallot,
+  getStationTurnout,
+} = require('../utils/pollingStations');
+
+const MAX_NAME_LENGTH = 191;
+const MAX_ID_DOCUMENT_LENGTH = 100;
+
+// Everything but the key hash
+const kioskSelect = {
+  id: true,
+  stationId: true,
+  name: true,
+  active: true,
+  lastSeenAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// Trimmed text field from the request body
+// Returns { value } (undefined when not sent, null when cleared) or { error }
+const readText = (body, field, { required = false, max = MAX_NAME_LENGTH } = {}) => {
+  const raw = body[field];
+  if (raw === undefined && !required) return { value: undefined };
+  if (raw === null && !required) return { value: null };
+
+  if (typeof raw !== 'string' || (required && !raw.trim())) {
+    return { error: `${field} is required` };
+  }
+  if (raw.trim().length > max) {
+    return { error: `${field} must be at most ${max} characters` };
+  }
+  return { value: raw.trim() || null };
+};
+
+const readActive = (body) => {
+  if (body.active === undefined) return { value: undefined };
+  if (typeof body.active !== 'boolean') return { error: 'active must be true or false' };
+  return { value: body.active };
+};
+
+const findStation = (req) => prisma.pollingStation.findFirst({
+  where: { id: req.params.stationId, electionId: req.election.id },
+});
+
+const findKiosk = (req) => prisma.kiosk.findFirst({
+  where: { id: req.params.kioskId, stationId: req.params.stationId, station: { electionId: req.election.id } },
+  include: { station: true },
+});
+
+// List the election's polling stations and kiosks with their turnout (Admin, Officer)
+exports.getStations = async (req, res) => {
+  try {
+    const { stations, totals } = await getStationTurnout(req.election.id);
+    res.json({ stations, totals });
+  } catch (error) {
+    console.error('Get polling stations error:', error);
+    res.status(500).json({ error: 'Failed to fetch polling stations' });
+  }
+};
+
+// Create a polling station (Admin only)
+exports.createStation = async (req, res) => {
+  try {
+    const name = readText(req.body, 'name', { required: true });
+    const location = readText(req.body, 'location');
+    const invalid = name.error || location.error;
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const station = await prisma.pollingStation.create({
+      data: {
+        electionId: req.election.id,
+        name: name.value,
+        location: location.value ?? null,
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'CREATE_POLLING_STATION',
+      entity: 'polling_station',
+      entityId: station.id,
+      payload: { name: station.name, location: station.location },
+    });
+
+    res.status(201).json({ message: 'Polling station created', station });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A polling station with this name already exists' });
+    }
+    console.error('Create polling station error:', error);
+    res.status(500).json({ error: 'Failed to create polling station' });
+  }
+};
+
+// Rename, move or (de)activate a polling station (Admin only)
+exports.updateStation = async (req, res) => {
+  try {
+    const name = readText(req.body, 'name');
+    const location = readText(req.body, 'location');
+    const active = readActive(req.body);
+    const invalid = (name.value === null && 'name cannot be empty') || name.error || location.error || active.error;
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const station = await findStation(req);
+    if (!station) {
+      return res.status(404).json({ error: 'Polling station not found' });
+    }
+
+    const data = {
+      ...(name.value !== undefined && { name: name.value }),
+      ...(location.value !== undefined && { location: location.value }),
+      ...(active.value !== undefined && { active: active.value }),
+    };
+
+    const updated = await prisma.pollingStation.update({
+      where: { id: station.id },
+      data,
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'UPDATE_POLLING_STATION',
+      entity: 'polling_station',
+      entityId: station.id,
+      payload: data,
+    });
+
+    res.json({ message: 'Polling station updated', station: updated });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A polling station with this name already exists' });
+    }
+    console.error('Update polling station error:', error);
+    res.status(500).json({ error: 'Failed to update polling station' });
+  }
+};
+
+// Register a kiosk at a polling station (Admin only)
+// The kiosk key is only shown in this response
+exports.createKiosk = async (req, res) => {
+  try {
+    const name = readText(req.body, 'name', { required: true });
+    if (name.error) {
+      return res.status(400).json({ error: name.error });
+    }
+
+    const station = await findStation(req);
+    if (!station) {
+      return res.status(404).json({ error: 'Polling station not found' });
+    }
+
+    const kioskKey = generateKioskKey();
+    const kiosk = await prisma.kiosk.create({
+      data: {
+        stationId: station.id,
+        name: name.value,
+        keyHash: hashKioskKey(kioskKey),
+      },
+      select: kioskSelect,
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'REGISTER_KIOSK',
+      entity: 'kiosk',
+      entityId: kiosk.id,
+      payload: { name: kiosk.name, stationId: station.id, stationName: station.name },
+    });
+
+    res.status(201).json({
+      message: 'Kiosk registered',
+      kiosk,
+      kioskKey,
+      hint: 'Enter this key on the kiosk now. It is not shown again; rotate the key if it is lost.',
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'This polling station already has a kiosk with this name' });
+    }
+    console.error('Register kiosk error:', error);
+    res.status(500).json({ error: 'Failed to register kiosk' });
+  }
+};
+
+// Rename or (de)activate a kiosk (Admin only)
+exports.updateKiosk = async (req, res) => {
+  try {
+    const name = readText(req.body, 'name');
+    const active = readActive(req.body);
+    const invalid = (name.value === null && 'name cannot be empty') || name.error || active.error;
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const kiosk = await findKiosk(req);
+    if (!kiosk) {
+      return res.status(404).json({ error: 'Kiosk not found' });
+    }
+
+    const data = {
+      ...(name.value !== undefined && { name: name.value }),
+      ...(active.value !== undefined && { active: active.value }),
+    };
+
+    const updated = await prisma.kiosk.update({
+      where: { id: kiosk.id },
+      data,
+      select: kioskSelect,
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'UPDATE_KIOSK',
+      entity: 'kiosk',
+      entityId: kiosk.id,
+      payload: { stationId: kiosk.stationId, ...data },
+    });
+
+    res.json({ message: 'Kiosk updated', kiosk: updated });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'This polling station already has a kiosk with this name' });
+    }
+    console.error('Update kiosk error:', error);
+    res.status(500).json({ error: 'Failed to update kiosk' });
+  }
+};
+
+// Replace a kiosk's key, e.g. when it was lost or the device was replaced (Admin only)
+exports.rotateKioskKey = async (req, res) => {
+  try {
+    const kiosk = await findKiosk(req);
+    if (!kiosk) {
+      return res.status(404).json({ error: 'Kiosk not found' });
+    }
+
+    const kioskKey = generateKioskKey();
+    await prisma.kiosk.update({
+      where: { id: kiosk.id },
+      data: { keyHash: hashKioskKey(kioskKey) },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'ROTATE_KIOSK_KEY',
+      entity: 'kiosk',
+      entityId: kiosk.id,
+      payload: { name: kiosk.name, stationId: kiosk.stationId },
+    });
+
+    res.json({
+      message: 'Kiosk key replaced. The old key no longer works.',
+      kioskKey,
+    });
+  } catch (error) {
+    console.error('Rotate kiosk key error:', error);
+    res.status(500).json({ error: 'Failed to replace kiosk key' });
+  }
+};
+
+// Look up a voter at the polling station before checking their ID (Officer only)
+exports.lookupVoter = async (req, res) => {
+  try {
+    const station = await findStation(req);
+    if (!station) {
+      return res.status(404).json({ error: 'Polling station not found' });
+    }
+
+    const voter = await prisma.eligibleVoter.findUnique({
+      where: {
+        electionId_regNo: {
+          electionId: req.election.id,
+          regNo: req.params.regNo.toUpperCase(),
+        },
+      },
+      select: {
+        id: true,
+        regNo: true,
+        name: true,
+        program: true,
+        status: true,
+        ballots: {
+          where: { status: { in: ['ACTIVE', 'CONSUMED'] } },
+          select: { status: true, expiresAt: true, consumedAt: true, kiosk: { select: { id: true, name: true } } },
+        },
+      },
+    });
+
+    if (!voter) {
+      return res.status(404).json({ error: 'Registration number not found' });
+    }
+
+    const { ballots, ...details } = voter;
+    const now = new Date();
+    const activeBallot = ballots.find((ballot) => ballot.status === 'ACTIVE' && ballot.expiresAt > now);
+    const hasVoted = ballots.some((ballot) => ballot.status === 'CONSUMED');
+
+    res.json({
+      voter: details,
+      eligible: voter.status === 'ELIGIBLE',
+      hasVoted,
+      canIssue: voter.status === 'ELIGIBLE' && !hasVoted,
+      activeBallot: activeBallot
+        ? { expiresAt: activeBallot.expiresAt, kiosk: activeBallot.kiosk }
+        : null,
+    });
+  } catch (error) {
+    console.error('Look up voter error:', error);
+    res.status(500).json({ error: 'Failed to look up voter' });
+  }
+};
+
+// Issue a ballot on a kiosk after checking the voter's ID, without OTP (Officer only)
+// The token goes to the kiosk, never to the officer
+exports.issueKioskBallot = async (req, res) => {
+  try {
+    const { regNo, idChecked } = req.body;
+    const idDocument = readText(req.body, 'idDocument', { required: true, max: MAX_ID_DOCUMENT_LENGTH });
+
+    if (!regNo || typeof regNo !== 'string') {
+      return res.status(400).json({ error: 'Registration number is required' });
+    }
+    if (idDocument.error) {
+      return res.status(400).json({ error: idDocument.error, hint: 'Name the ID you checked, e.g. "Student ID"' });
+    }
+    if (idChecked !== true) {
+      return res.status(400).json({
+        error: 'Confirm that you checked the voter\'s ID',
+        hint: 'Send idChecked: true once the ID matches the voter',
+      });
+    }
+
+    const kiosk = await findKiosk(req);
+    if (!kiosk) {
+      return res.status(404).json({ error: 'Kiosk not found' });
+    }
+    if (!kiosk.active || !kiosk.station.active) {
+      return res.status(409).json({ error: 'This kiosk or its polling station is not active' });
+    }
+
+    const voter = await prisma.eligibleVoter.findUnique({
+      where: {
+        electionId_regNo: {
+          electionId: req.election.id,
+          regNo: regNo.trim().toUpperCase(),
+        },
+      },
+    });
+
+    if (!voter) {
+      return res.status(404).json({ error: 'Registration number not found' });
+    }
+    if (voter.status !== 'ELIGIBLE') {
+      return res.status(400).json({ error: 'Voter is not eligible' });
+    }
+
+    // Both checks run inside issueBallotToken's transaction, so they cannot race a vote
+    // being cast online or another officer issuing to the same kiosk
+    let issued;
+    try {
+      issued = await issueBallotToken(voter, {
+        stationId: kiosk.stationId,
+        kioskId: kiosk.id,
+        issuedById: req.user.id,
+        idDocument: idDocument.value,
+      });
+    } catch (issueError) {
+      if (issueError.code === 'ALREADY_VOTED') {
+        return res.status(400).json({
+          error: 'This voter has already voted. Ballot already used.',
+          hint: 'Each voter can only vote once',
+        });
+      }
+      if (issueError.code === 'KIOSK_BUSY') {
+        return res.status(409).json({
+          error: `${kiosk.name} already has a ballot waiting`,
+          hint: 'Wait for the voter at this kiosk to finish, or cancel their ballot first',
+        });
+      }
+      throw issueError;
+    }
+    const { ballot, revoked } = issued;
+
+    await logAudit({
+      actorType: 'officer',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'IN_PERSON_BALLOT_ISSUED',
+      entity: 'ballot',
+      entityId: ballot.id,
+      payload: {
+        voterId: voter.id,
+        regNo: voter.regNo,
+        stationId: kiosk.stationId,
+        stationName: kiosk.station.name,
+        kioskId: kiosk.id,
+        kioskName: kiosk.name,
+        idDocument: idDocument.value,
+        idChecked: true,
+        expiresAt: ballot.expiresAt,
+        revokedBallots: revoked,
+      },
+    });
+
+    res.status(201).json({
+      message: `Ballot for ${voter.name} is ready on ${kiosk.name}`,
+      ballotId: ballot.id,
+      kiosk: { id: kiosk.id, name: kiosk.name },
+      expiresAt: ballot.expiresAt,
+    });
+  } catch (error) {
+    console.error('Issue kiosk ballot error:', error);
+    res.status(500).json({ error: 'Failed to issue ballot' });
+  }
+};
+
+// Cancel the ballot waiting on a kiosk, e.g. when the voter left (Officer only)
+exports.cancelKioskBallot = async (req, res) => {
+  try {
+    const kiosk = await findKiosk(req);
+    if (!kiosk) {
+      return res.status(404).json({ error: 'Kiosk not found' });
+    }
+
+    const waiting = await findWaitingBallot(kiosk.id);
+    if (!waiting) {
+      return res.status(404).json({ error: `No ballot is waiting on ${kiosk.name}` });
+    }
+
+    const cancelled = await prisma.ballot.updateMany({
+      where: { id: waiting.id, status: 'ACTIVE' },
+      data: { status: 'REVOKED', revokedAt: new Date(), revokedReason: 'CANCELLED' },
+    });
+    if (cancelled.count === 0) {
+      return res.status(409).json({ error: 'The ballot was used or revoked in the meantime' });
+    }
+
+    await logAudit({
+      actorType: 'officer',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'IN_PERSON_BALLOT_CANCELLED',
+      entity: 'ballot',
+      entityId: waiting.id,
+      payload: {
+        voterId: waiting.voterId,
+        stationId: kiosk.stationId,
+        stationName: kiosk.station.name,
+        kioskId: kiosk.id,
+        kioskName: kiosk.name,
+      },
+    });
+
+    res.json({ message: `Ballot on ${kiosk.name} cancelled` });
+  } catch (error) {
+    console.error('Cancel kiosk ballot error:', error);
+    res.status(500).json({ error: 'Failed to cancel ballot' });
+  }
+};
+
+// The ballot waiting on this kiosk, if any (Kiosk key)
+// The kiosk then loads and casts it through /vote like any ballot token
+exports.getKioskBallot = async (req, res) => {
+  try {
+    const ballot = await findWaitingBallot(req.kiosk.id);
+    const kiosk = { id: req.kiosk.id, name: req.kiosk.name, station: req.kiosk.station.name };
+
+    if (!ballot) {
+      return res.json({ kiosk, ballot: null });
+    }
+
+    const voter = await prisma.eligibleVoter.findUnique({
+      where: { id: ballot.voterId },
+      select: { regNo: true, name: true },
+    });
+
+    res.json({
+      kiosk,
+      ballot: {
+        ballotToken: ballot.token,
+        expiresAt: ballot.expiresAt,
+        voter,
+      },
+    });
+  } catch (error) {
+    console.error('Get kiosk ballot error:', error);
+    res.status(500).json({ error: 'Failed to fetch kiosk ballot' });
+  }
+};
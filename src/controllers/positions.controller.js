@@ -1,5 +1,23 @@
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../config/prisma');
 const { logAudit } = require('../utils/auditLogger');
+const { isActionAllowed } = require('../utils/electionLifecycle');
+const { validatePositionMethod } = require('../utils/votingMethods');
+const { validateEncryptedPosition } = require('../utils/ballotEncryption');
+const { CANDIDATE_ORDERS } = require('../utils/ballotOrder');
+const { parseEligibilityList } = require('../utils/eligibility');
+
+// Json columns need DbNull to store SQL NULL
+const eligibilityData = (programs, groups) => ({
+  ...(programs.list !== undefined && { eligiblePrograms: programs.list ?? Prisma.DbNull }),
+  ...(groups.list !== undefined && { eligibleGroups: groups.list ?? Prisma.DbNull }),
+});
+
+// Elections with encrypted ballots only take positions that can be counted from encrypted totals
+const checkEncryptedPosition = async (electionId, votingMethod, allowWriteIns) => {
+  const encrypted = await prisma.electionKey.count({ where: { electionId } });
+  return encrypted > 0 ? validateEncryptedPosition(votingMethod, allowWriteIns) : null;
+};
 
 // Helper function to parse dates consistently
 // Dates from datetime-local inputs are in format "YYYY-MM-DDTHH:mm" (no timezone)
@@ -24,10 +42,11 @@ const parseDate = (dateString) => {
   return new Date(dateString);
 };
 
-// Get all positions
+// Get all positions in the election
 exports.getAllPositions = async (req, res) => {
   try {
     const positions = await prisma.position.findMany({
+      where: { electionId: req.election.id },
       orderBy: {
         createdAt: 'desc',
       },
@@ -54,7 +73,7 @@ exports.getPositionById = async (req, res) => {
     const { id } = req.params;
 
     const position = await prisma.position.findUnique({
-      where: { id },
+      where: { id, electionId: req.election.id },
       include: {
         candidates: {
           include: {
@@ -104,13 +123,38 @@ exports.createPosition = async (req, res) => {
       return res.status(403).json({ error: 'Only administrators can create positions' });
     }
 
-    const { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
+    const { name, seats, votingMethod = 'PLURALITY', allowWriteIns = false, candidateOrder = 'ALPHABETICAL', nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
 
     // Validation
     if (!name || !seats || !nominationOpens || !nominationCloses || !votingOpens || !votingCloses) {
       return res.status(400).json({ error: 'All fields are required' });
     }
 
+    if (typeof allowWriteIns !== 'boolean') {
+      return res.status(400).json({ error: 'allowWriteIns must be true or false' });
+    }
+
+    if (!CANDIDATE_ORDERS.includes(candidateOrder)) {
+      return res.status(400).json({ error: `Invalid candidate order. Must be one of ${CANDIDATE_ORDERS.join(', ')}` });
+    }
+
+    // Constituency: programs and/or voter groups allowed to vote (none = everyone)
+    const eligiblePrograms = parseEligibilityList(req.body.eligiblePrograms, 'eligiblePrograms');
+    const eligibleGroups = parseEligibilityList(req.body.eligibleGroups, 'eligibleGroups');
+    if (eligiblePrograms.error || eligibleGroups.error) {
+      return res.status(400).json({ error: eligiblePrograms.error || eligibleGroups.error });
+    }
+
+    const methodError = validatePositionMethod(votingMethod, parseInt(seats), allowWriteIns);
+    if (methodError) {
+      return res.status(400).json({ error: methodError });
+    }
+
+    const encryptionError = await checkEncryptedPosition(req.election.id, votingMethod, allowWriteIns);
+    if (encryptionError) {
+      return res.status(400).json({ error: encryptionError });
+    }
+
     // Validate dates
     console.log('Create Position - Raw dates from frontend:', {
       nominationOpens,
@@ -146,8 +190,13 @@ exports.createPosition = async (req, res) => {
     // Create position
     const position = await prisma.position.create({
       data: {
+        electionId: req.election.id,
         name,
         seats: parseInt(seats),
+        votingMethod,
+        allowWriteIns,
+        candidateOrder,
+        ...eligibilityData(eligiblePrograms, eligibleGroups),
         nominationOpens: nomOpen,
         nominationCloses: nomClose,
         votingOpens: voteOpen,
@@ -159,10 +208,23 @@ exports.createPosition = async (req, res) => {
     await logAudit({
       actorType: 'admin',
       actorId: req.user.id,
+      electionId: req.election.id,
       action: 'CREATE_POSITION',
       entity: 'position',
       entityId: position.id,
-      payload: { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses },
+      payload: {
+        name,
+        seats,
+        votingMethod,
+        allowWriteIns,
+        candidateOrder,
+        eligiblePrograms: eligiblePrograms.list ?? null,
+        eligibleGroups: eligibleGroups.list ?? null,
+        nominationOpens,
+        nominationCloses,
+        votingOpens,
+        votingCloses,
+      },
     });
 
     res.status(201).json({
@@ -179,17 +241,55 @@ exports.createPosition = async (req, res) => {
 exports.updatePosition = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
+    const { name, seats, votingMethod, allowWriteIns, candidateOrder, nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
 
     // Check if position exists
     const existingPosition = await prisma.position.findUnique({
-      where: { id },
+      where: { id, electionId: req.election.id },
     });
 
     if (!existingPosition) {
       return res.status(404).json({ error: 'Position not found' });
     }
 
+    if (allowWriteIns !== undefined && typeof allowWriteIns !== 'boolean') {
+      return res.status(400).json({ error: 'allowWriteIns must be true or false' });
+    }
+
+    if (candidateOrder !== undefined && !CANDIDATE_ORDERS.includes(candidateOrder)) {
+      return res.status(400).json({ error: `Invalid candidate order. Must be one of ${CANDIDATE_ORDERS.join(', ')}` });
+    }
+
+    // Omitted lists stay as they are; null or [] removes the restriction
+    const eligiblePrograms = parseEligibilityList(req.body.eligiblePrograms, 'eligiblePrograms');
+    const eligibleGroups = parseEligibilityList(req.body.eligibleGroups, 'eligibleGroups');
+    if (eligiblePrograms.error || eligibleGroups.error) {
+      return res.status(400).json({ error: eligiblePrograms.error || eligibleGroups.error });
+    }
+
+    // Validate the voting method against the resulting seat count and write-in setting
+    if (seats || votingMethod || allowWriteIns !== undefined) {
+      const methodError = validatePositionMethod(
+        votingMethod || existingPosition.votingMethod,
+        seats ? parseInt(seats) : existingPosition.seats,
+        allowWriteIns ?? existingPosition.allowWriteIns
+      );
+      if (methodError) {
+        return res.status(400).json({ error: methodError });
+      }
+    }
+
+    if (votingMethod || allowWriteIns !== undefined) {
+      const encryptionError = await checkEncryptedPosition(
+        req.election.id,
+        votingMethod || existingPosition.votingMethod,
+        allowWriteIns ?? existingPosition.allowWriteIns
+      );
+      if (encryptionError) {
+        return res.status(400).json({ error: encryptionError });
+      }
+    }
+
     // Validate dates if provided
     if (nominationOpens && nominationCloses) {
       const nomOpen = parseDate(nominationOpens);
@@ -213,6 +313,10 @@ exports.updatePosition = async (req, res) => {
       data: {
         ...(name && { name }),
         ...(seats && { seats: parseInt(seats) }),
+        ...(votingMethod && { votingMethod }),
+        ...(allowWriteIns !== undefined && { allowWriteIns }),
+        ...(candidateOrder && { candidateOrder }),
+        ...eligibilityData(eligiblePrograms, eligibleGroups),
         ...(nominationOpens && { nominationOpens: parseDate(nominationOpens) }),
         ...(nominationCloses && { nominationCloses: parseDate(nominationCloses) }),
         ...(votingOpens && { votingOpens: parseDate(votingOpens) }),
@@ -224,10 +328,23 @@ exports.updatePosition = async (req, res) => {
     await logAudit({
       actorType: 'admin',
       actorId: req.user.id,
+      electionId: req.election.id,
       action: 'UPDATE_POSITION',
       entity: 'position',
       entityId: position.id,
-      payload: { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses },
+      payload: {
+        name,
+        seats,
+        votingMethod,
+        allowWriteIns,
+        candidateOrder,
+        eligiblePrograms: eligiblePrograms.list,
+        eligibleGroups: eligibleGroups.list,
+        nominationOpens,
+        nominationCloses,
+        votingOpens,
+        votingCloses,
+      },
     });
 
     res.json({
@@ -247,7 +364,7 @@ exports.deletePosition = async (req, res) => {
 
     // Check if position exists
     const position = await prisma.position.findUnique({
-      where: { id },
+      where: { id, electionId: req.election.id },
       include: {
         _count: {
           select: {
@@ -280,6 +397,7 @@ exports.deletePosition = async (req, res) => {
     await logAudit({
       actorType: 'admin',
       actorId: req.user.id,
+      electionId: req.election.id,
       action: 'DELETE_POSITION',
       entity: 'position',
       entityId: id,
@@ -296,6 +414,11 @@ exports.deletePosition = async (req, res) => {
 // Get open positions (for candidates to nominate)
 exports.getOpenPositions = async (req, res) => {
   try {
+    // Nominations are only accepted while the election is in its NOMINATIONS state
+    if (!isActionAllowed(req.election.status, 'SUBMIT_NOMINATION')) {
+      return res.json([]);
+    }
+
     // Get current time - this will be in the server's local timezone
     // Since positions are stored by parsing datetime-local as local time,
     // we compare using local time (which Prisma/MySQL will handle correctly)
@@ -305,6 +428,7 @@ exports.getOpenPositions = async (req, res) => {
     
     // First, get ALL positions to debug
     const allPositions = await prisma.position.findMany({
+      where: { electionId: req.election.id },
       orderBy: {
         nominationCloses: 'asc',
       },
@@ -333,6 +457,7 @@ exports.getOpenPositions = async (req, res) => {
     // This ensures database-level filtering with consistent timezone handling
     const openPositions = await prisma.position.findMany({
       where: {
+        electionId: req.election.id,
         nominationOpens: {
           lte: now, // Nomination has opened (now >= nominationOpens)
         },
@@ -369,7 +494,7 @@ exports.extendTime = async (req, res) => {
 
     // Check if position exists
     const position = await prisma.position.findUnique({
-      where: { id },
+      where: { id, electionId: req.election.id },
     });
 
     if (!position) {
@@ -424,6 +549,7 @@ exports.extendTime = async (req, res) => {
     await logAudit({
       actorType: 'admin',
       actorId: req.user.id,
+      electionId: req.election.id,
       action: 'EXTEND_POSITION_TIME',
       entity: 'position',
       entityId: position.id,
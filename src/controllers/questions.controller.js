@@ -0,0 +1,226 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { QUESTION_THRESHOLDS } = require('../utils/votingMethods');
+
+// Helper function to parse dates consistently (same as positions controller)
+const parseDate = (dateString) => {
+  if (!dateString) return new Date(dateString);
+  
+  // If date string has timezone info (Z or +/-), use it directly
+  if (dateString.includes('Z') || dateString.match(/[+-]\d{2}:\d{2}$/)) {
+    return new Date(dateString);
+  }
+  
+  // For datetime-local format (YYYY-MM-DDTHH:mm), parse as local time
+  // Add seconds if missing
+  if (dateString.includes(':') && dateString.split(':').length === 2) {
+    return new Date(`${dateString}:00`);
+  }
+  
+  return new Date(dateString);
+};
+
+// Get all ballot questions in the election
+exports.getAllQuestions = async (req, res) => {
+  try {
+    const questions = await prisma.ballotQuestion.findMany({
+      where: { electionId: req.election.id },
+      orderBy: {
+        createdAt: 'asc',
+      },
+      include: {
+        _count: {
+          select: {
+            responses: true,
+          },
+        },
+      },
+    });
+
+    res.json(questions);
+  } catch (error) {
+    console.error('Get questions error:', error);
+    res.status(500).json({ error: 'Failed to fetch ballot questions' });
+  }
+};
+
+// Get ballot question by ID
+exports.getQuestionById = async (req, res) => {
+  try {
+    const question = await prisma.ballotQuestion.findUnique({
+      where: { id: req.params.id, electionId: req.election.id },
+      include: {
+        _count: {
+          select: {
+            responses: true,
+          },
+        },
+      },
+    });
+
+    if (!question) {
+      return res.status(404).json({ error: 'Ballot question not found' });
+    }
+
+    res.json(question);
+  } catch (error) {
+    console.error('Get question error:', error);
+    res.status(500).json({ error: 'Failed to fetch ballot question' });
+  }
+};
+
+// Create ballot question (Admin only)
+exports.createQuestion = async (req, res) => {
+  try {
+    const { title, text, threshold = 'SIMPLE_MAJORITY', votingOpens, votingCloses } = req.body;
+
+    if (!title || !text || !votingOpens || !votingCloses) {
+      return res.status(400).json({ error: 'Title, text and voting window are required' });
+    }
+
+    if (!QUESTION_THRESHOLDS.includes(threshold)) {
+      return res.status(400).json({
+        error: `Invalid threshold. Must be one of ${QUESTION_THRESHOLDS.join(', ')}`,
+      });
+    }
+
+    const voteOpen = parseDate(votingOpens);
+    const voteClose = parseDate(votingCloses);
+
+    if (voteClose <= voteOpen) {
+      return res.status(400).json({ error: 'Voting close date must be after open date' });
+    }
+
+    const question = await prisma.ballotQuestion.create({
+      data: {
+        electionId: req.election.id,
+        title: title.trim(),
+        text: text.trim(),
+        threshold,
+        votingOpens: voteOpen,
+        votingCloses: voteClose,
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'CREATE_QUESTION',
+      entity: 'ballot_question',
+      entityId: question.id,
+      payload: { title, threshold, votingOpens, votingCloses },
+    });
+
+    res.status(201).json({
+      message: 'Ballot question created successfully',
+      question,
+    });
+  } catch (error) {
+    console.error('Create question error:', error);
+    res.status(500).json({ error: 'Failed to create ballot question' });
+  }
+};
+
+// Update ballot question (Admin only)
+exports.updateQuestion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, text, threshold, votingOpens, votingCloses } = req.body;
+
+    const existingQuestion = await prisma.ballotQuestion.findUnique({
+      where: { id, electionId: req.election.id },
+    });
+
+    if (!existingQuestion) {
+      return res.status(404).json({ error: 'Ballot question not found' });
+    }
+
+    if (threshold && !QUESTION_THRESHOLDS.includes(threshold)) {
+      return res.status(400).json({
+        error: `Invalid threshold. Must be one of ${QUESTION_THRESHOLDS.join(', ')}`,
+      });
+    }
+
+    const voteOpen = votingOpens ? parseDate(votingOpens) : existingQuestion.votingOpens;
+    const voteClose = votingCloses ? parseDate(votingCloses) : existingQuestion.votingCloses;
+
+    if (voteClose <= voteOpen) {
+      return res.status(400).json({ error: 'Voting close date must be after open date' });
+    }
+
+    const question = await prisma.ballotQuestion.update({
+      where: { id },
+      data: {
+        ...(title && { title: title.trim() }),
+        ...(text && { text: text.trim() }),
+        ...(threshold && { threshold }),
+        ...(votingOpens && { votingOpens: voteOpen }),
+        ...(votingCloses && { votingCloses: voteClose }),
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'UPDATE_QUESTION',
+      entity: 'ballot_question',
+      entityId: question.id,
+      payload: { title, threshold, votingOpens, votingCloses },
+    });
+
+    res.json({
+      message: 'Ballot question updated successfully',
+      question,
+    });
+  } catch (error) {
+    console.error('Update question error:', error);
+    res.status(500).json({ error: 'Failed to update ballot question' });
+  }
+};
+
+// Delete ballot question (Admin only)
+exports.deleteQuestion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const question = await prisma.ballotQuestion.findUnique({
+      where: { id, electionId: req.election.id },
+      include: {
+        _count: {
+          select: {
+            responses: true,
+          },
+        },
+      },
+    });
+
+    if (!question) {
+      return res.status(404).json({ error: 'Ballot question not found' });
+    }
+
+    if (question._count.responses > 0) {
+      return res.status(400).json({ error: 'Cannot delete ballot question with existing responses' });
+    }
+
+    await prisma.ballotQuestion.delete({
+      where: { id },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'DELETE_QUESTION',
+      entity: 'ballot_question',
+      entityId: id,
+      payload: { title: question.title },
+    });
+
+    res.json({ message: 'Ballot question deleted successfully' });
+  } catch (error) {
+    console.error('Delete question error:', error);
+    res.status(500).json({ error: 'Failed to delete ballot question' });
+  }
+};
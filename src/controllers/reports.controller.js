@@ -1,43 +1,26 @@
 const { prisma } = require('../config/prisma');
 const PDFDocument = require('pdfkit');
-const { loadCandidatePhoto } = require('../utils/pdfHelpers');
-const path = require('path');
-
-// Get audit log
+const { isActionAllowed, stateError } = require('../utils/electionLifecycle');
+const { getTurnoutStats, getPositionParticipation, getElectionResults } = require('../utils/electionReports');
+const { renderResultsPdf } = require('../utils/resultsPdf');
+const { getOtpDeliveryStats } = require('../utils/otpDelivery');
+const { BALLOT_ORDER_SCHEME, getOrderSeed, orderCandidates } = require('../utils/ballotOrder');
+const { buildAuditWhere, findAuditPage, streamAuditExport } = require('../utils/auditQuery');
+
+// Get audit log for the election (filters and cursor pagination in utils/auditQuery.js)
 exports.getAuditLog = async (req, res) => {
   try {
-    const { page = 1, limit = 50, action, actorType } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const where = {};
-    if (action) {
-      where.action = { contains: action, mode: 'insensitive' };
-    }
-    if (actorType) {
-      where.actorType = actorType;
+    const { where, error } = buildAuditWhere(req.query, { electionId: req.election.id });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const [logs, total] = await Promise.all([
-      prisma.auditLog.findMany({
-        where,
-        skip,
-        take: parseInt(limit),
-        orderBy: {
-          createdAt: 'desc',
-        },
-      }),
-      prisma.auditLog.count({ where }),
-    ]);
+    const page = await findAuditPage(where, req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
 
-    res.json({
-      logs,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        totalPages: Math.ceil(total / parseInt(limit)),
-      },
-    });
+    res.json(page);
   } catch (error) {
     console.error('Get audit log error:', error);
     res.status(500).json({ error: 'Failed to fetch audit log' });
@@ -46,145 +29,107 @@ exports.getAuditLog = async (req, res) => {
 // Get turnout report with detailed breakdown
 exports.getTurnout = async (req, res) => {
   try {
-    const totalVoters = await prisma.eligibleVoter.count({
-      where: { status: 'ELIGIBLE' },
-    });
-
-    const verifiedVoters = await prisma.verification.count({
-      where: { verifiedAt: { not: null } },
-    });
-
-    const votesCast = await prisma.ballot.count({
-      where: { status: 'CONSUMED' },
-    });
+    const stats = await getTurnoutStats(req.election.id);
 
-    const ballotsIssued = await prisma.ballot.count();
-
-    const turnout = totalVoters > 0 ? (votesCast / totalVoters) * 100 : 0;
-    const verificationRate =
-      totalVoters > 0 ? (verifiedVoters / totalVoters) * 100 : 0;
-    const ballotUsageRate =
-      ballotsIssued > 0 ? (votesCast / ballotsIssued) * 100 : 0;
-    const nonVoters = totalVoters - votesCast;
-    const nonVoterPercentage =
-      totalVoters > 0 ? (nonVoters / totalVoters) * 100 : 0;
-
-    res.json({
-      totalVoters,
-      verifiedVoters,
-      votesCast,
-      ballotsIssued,
-      nonVoters,
-      turnout: parseFloat(turnout.toFixed(2)),
-      verificationRate: parseFloat(verificationRate.toFixed(2)),
-      ballotUsageRate: parseFloat(ballotUsageRate.toFixed(2)),
-      nonVoterPercentage: parseFloat(nonVoterPercentage.toFixed(2)),
-      breakdown: {
-        voted: votesCast,
-        notVoted: nonVoters,
-        verified: verifiedVoters,
-        notVerified: totalVoters - verifiedVoters,
-      },
-    });
+    res.json(stats);
   } catch (error) {
     console.error('Get turnout error:', error);
     res.status(500).json({ error: 'Failed to fetch turnout report' });
   }
 };
 
+/**
+ * Reproduce the candidate order a ballot was shown (Admin, Officer)
+ * Returns the seed of each position so the order can be recomputed
+ * independently from the scheme described in utils/ballotOrder.js
+ */
+exports.getBallotOrder = async (req, res) => {
+  try {
+    const { ballotId } = req.params;
 
+    const ballot = await prisma.ballot.findUnique({
+      where: { id: ballotId, electionId: req.election.id },
+      select: { id: true },
+    });
 
+    if (!ballot) {
+      return res.status(404).json({ error: 'Ballot not found' });
+    }
 
-// Get results report with detailed analytics
-exports.getResults = async (req, res) => {
-  try {
     const positions = await prisma.position.findMany({
+      where: { electionId: req.election.id },
       include: {
         candidates: {
-          include: {
-            user: {
-              select: {
-                name: true,
-                email: true,
-              },
-            },
-            _count: {
-              select: {
-                votes: true,
-              },
-            },
-          },
-          where: {
-            status: 'APPROVED',
-          },
+          where: { status: 'APPROVED' },
+          select: { id: true, name: true },
         },
       },
       orderBy: { name: 'asc' },
     });
 
-    // Get total votes cast for all positions
-    const totalVotesCast = await prisma.ballot.count({
-      where: { status: 'CONSUMED' },
+    res.json({
+      ballotId: ballot.id,
+      scheme: BALLOT_ORDER_SCHEME,
+      positions: positions.map((position) => ({
+        positionId: position.id,
+        positionName: position.name,
+        candidateOrder: position.candidateOrder,
+        seed: position.candidateOrder === 'ALPHABETICAL' ? null : getOrderSeed(ballot.id, position.id),
+        candidates: orderCandidates(position, position.candidates, ballot.id).map((candidate, index) => ({
+          ballotPosition: index + 1,
+          candidateId: candidate.id,
+          name: candidate.name,
+        })),
+      })),
     });
+  } catch (error) {
+    console.error('Get ballot order error:', error);
+    res.status(500).json({ error: 'Failed to reproduce ballot order' });
+  }
+};
 
-    const results = positions.map((position) => {
-      // Calculate total votes for this position
-      const positionTotalVotes = position.candidates.reduce(
-        (sum, candidate) => sum + candidate._count.votes,
-        0
-      );
-
-      // Sort candidates by votes (descending)
-      const sortedCandidates = [...position.candidates].sort(
-        (a, b) => b._count.votes - a._count.votes
-      );
 
-      // Calculate percentages and rankings
-      const candidatesWithStats = sortedCandidates.map((candidate, index) => {
-        const votePercentage =
-          positionTotalVotes > 0
-            ? ((candidate._count.votes / positionTotalVotes) * 100).toFixed(2)
-            : '0.00';
-        const overallPercentage =
-          totalVotesCast > 0
-            ? ((candidate._count.votes / totalVotesCast) * 100).toFixed(2)
-            : '0.00';
 
-        return {
-          candidateId: candidate.id,
-          name: candidate.name,
-          program: candidate.program,
-          photoUrl: candidate.photoUrl,
-          votes: candidate._count.votes,
-          rank: index + 1,
-          votePercentage: parseFloat(votePercentage),
-          overallPercentage: parseFloat(overallPercentage),
-          isWinner: index < position.seats,
-        };
-      });
 
-      return {
-        positionId: position.id,
-        positionName: position.name,
-        seats: position.seats,
-        totalVotes: positionTotalVotes,
-        candidates: candidatesWithStats,
-        winner: candidatesWithStats[0] || null,
-      };
+// Get results report with detailed analytics
+exports.getResults = async (req, res) => {
+  try {
+    // Once frozen for certification, report the frozen tallies rather than live counts
+    const certification = await prisma.certification.findUnique({
+      where: { electionId: req.election.id },
+      select: {
+        status: true,
+        results: true,
+        resultsHash: true,
+        frozenAt: true,
+        certifiedAt: true,
+      },
     });
 
+    const results = certification ? certification.results : await getElectionResults(req.election.id);
+
     res.json({
-      positions: results,
-      summary: {
-        totalPositions: positions.length,
-        totalCandidates: positions.reduce(
-          (sum, p) => sum + p.candidates.length,
-          0
-        ),
-        totalVotesCast,
+      election: {
+        id: req.election.id,
+        name: req.election.name,
       },
+      ...results,
+      certification: certification
+        ? {
+            status: certification.status,
+            resultsHash: certification.resultsHash,
+            frozenAt: certification.frozenAt,
+            certifiedAt: certification.certifiedAt,
+          }
+        : null,
     });
   } catch (error) {
+    if (error.code === 'RESULTS_SEALED') {
+      return res.status(409).json({
+        error: error.message,
+        hint: 'Trustees submit their shares with POST /api/elections/:electionId/encryption/shares',
+      });
+    }
     console.error('Get results error:', error);
     res.status(500).json({ error: 'Failed to fetch results report' });
   }
@@ -194,14 +139,23 @@ exports.getResults = async (req, res) => {
 exports.exportReport = async (req, res) => {
   try {
     const { type } = req.params; // e.g., 'turnout-csv', 'results-pdf', 'audit-csv'
+    const electionId = req.election.id;
 
     if (type.startsWith('turnout')) {
-      const totalVoters = await prisma.eligibleVoter.count({ where: { status: 'ELIGIBLE' } });
-      const votesCast = await prisma.ballot.count({ where: { status: 'CONSUMED' } });
+      const totalVoters = await prisma.eligibleVoter.count({ where: { electionId, status: 'ELIGIBLE' } });
+      const votesCast = await prisma.ballot.count({ where: { electionId, status: 'CONSUMED' } });
       const turnoutPercent = totalVoters > 0 ? ((votesCast / totalVoters) * 100).toFixed(2) : '0.00';
+      const participation = await getPositionParticipation(electionId);
+      const otpDelivery = await getOtpDeliveryStats(electionId);
       
       if (type.endsWith('csv')) {
-        const csv = `Total Voters,Votes Cast,Turnout %\n${totalVoters},${votesCast},${turnoutPercent}%`;
+        let csv = `Total Voters,Votes Cast,Turnout %\n${totalVoters},${votesCast},${turnoutPercent}%\n`;
+        csv += '\nPosition,Eligible Voters,Ballots Cast,Turnout %,Voted,Abstained,Skipped,Participation %,Abstention %\n';
+        participation.forEach((p) => {
+          csv += `"${p.positionName}",${p.eligibleVoters},${p.ballotsCast},${p.turnout}%,${p.voted},${p.abstained},${p.skipped},${p.participationRate}%,${p.abstentionRate}%\n`;
+        });
+        csv += '\nOTPs Requested,By Email,By SMS,By Email and SMS,Via Fallback,Failed,Pending\n';
+        csv += `${otpDelivery.total},${otpDelivery.byChannel.email},${otpDelivery.byChannel.sms},${otpDelivery.byChannel.both},${otpDelivery.fallbacks},${otpDelivery.failed},${otpDelivery.pending}\n`;
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=turnout-report.csv');
         return res.send(csv);
@@ -215,6 +169,8 @@ exports.exportReport = async (req, res) => {
         // Header
         doc.fontSize(20).text('Election Turnout Report', { align: 'center' });
         doc.moveDown();
+        doc.fontSize(14).text(req.election.name, { align: 'center' });
+        doc.moveDown();
         doc.fontSize(12).text(`Generated: ${new Date().toLocaleString()}`, { align: 'center' });
         doc.moveDown(2);
 
@@ -226,38 +182,76 @@ exports.exportReport = async (req, res) => {
         doc.text(`Votes Cast: ${votesCast}`, { indent: 20 });
         doc.text(`Turnout Percentage: ${turnoutPercent}%`, { indent: 20 });
         doc.moveDown();
+
+        // How verification codes reached the voters
+        doc.fontSize(16).text('OTP Delivery', { underline: true });
+        doc.moveDown();
+        doc.fontSize(12);
+        doc.text(`OTPs Requested: ${otpDelivery.total}`, { indent: 20 });
+        doc.text(
+          `By Email: ${otpDelivery.byChannel.email}   By SMS: ${otpDelivery.byChannel.sms}   ` +
+            `By Email and SMS: ${otpDelivery.byChannel.both}`,
+          { indent: 20 }
+        );
+        doc.text(
+          `Via Fallback Channel: ${otpDelivery.fallbacks}   Failed: ${otpDelivery.failed}   Pending: ${otpDelivery.pending}`,
+          { indent: 20 }
+        );
+        doc.moveDown();
+
+        // Per-position turnout and participation (against each position's constituency)
+        if (participation.length > 0) {
+          doc.fontSize(16).text('Participation by Position', { underline: true });
+          doc.moveDown();
+          doc.fontSize(12);
+          participation.forEach((p) => {
+            doc.text(p.positionName, { indent: 20 });
+            doc.fontSize(10).text(
+              `Eligible Voters: ${p.eligibleVoters}   Ballots Cast: ${p.ballotsCast}   Turnout: ${p.turnout}%`,
+              { indent: 40 }
+            );
+            doc.text(
+              `Voted: ${p.voted}   Abstained: ${p.abstained}   Skipped: ${p.skipped}   ` +
+                `Participation: ${p.participationRate}%   Abstention: ${p.abstentionRate}%`,
+              { indent: 40 }
+            );
+            doc.fontSize(12).moveDown(0.5);
+          });
+          doc.moveDown();
+        }
         doc.fontSize(10).text('E-Voting System - Professional Election Management Platform', { align: 'center' });
 
         doc.end();
         return;
       }
-      res.json({ totalVoters, votesCast, turnout: parseFloat(turnoutPercent) });
+      res.json({ totalVoters, votesCast, turnout: parseFloat(turnoutPercent), otpDelivery, positions: participation });
     } else if (type.startsWith('results')) {
+      // Results are frozen until the election is closed
+      if (!isActionAllowed(req.election.status, 'VIEW_RESULTS')) {
+        return res.status(409).json(stateError(req.election, 'VIEW_RESULTS'));
+      }
+
       // Get results data
-      const positions = await prisma.position.findMany({
-        include: {
-          candidates: {
-            include: {
-              user: {
-                select: { name: true, email: true },
-              },
-              _count: {
-                select: { votes: true },
-              },
-            },
-            where: { status: 'APPROVED' },
-          },
-        },
-        orderBy: { name: 'asc' },
-      });
+      const { positions, questions } = await getElectionResults(electionId);
 
       if (type.endsWith('csv')) {
-        let csv = 'Position,Candidate Name,Program,Votes\n';
+        let csv = 'Position,Voting Method,Seats,Candidate Name,Program,Votes,% of Ballots,Elected\n';
         positions.forEach((position) => {
           position.candidates.forEach((candidate) => {
-            csv += `"${position.name}","${candidate.name}","${candidate.program}",${candidate._count.votes}\n`;
+            // Write-in names are free text from voters, so quotes are escaped
+            const name = candidate.name.replace(/"/g, '""');
+            const program = candidate.isWriteIn ? '(Write-in)' : candidate.program;
+            csv += `"${position.positionName}","${position.votingMethod}",${position.seats},"${name}","${program}",${candidate.votes},${candidate.votePercentage},${candidate.isWinner ? 'Yes' : 'No'}\n`;
           });
+          // Abstentions are reported as their own row, never as a candidate
+          csv += `"${position.positionName}","${position.votingMethod}",${position.seats},"(Abstained)","",${position.abstentions},${position.abstentionRate},\n`;
         });
+        if (questions.length > 0) {
+          csv += '\nQuestion,Threshold,Yes,No,Abstain,Yes %,Outcome\n';
+          questions.forEach((question) => {
+            csv += `"${question.title}","${question.threshold}",${question.yes},${question.no},${question.abstain},${question.yesPercentage},${question.outcome}\n`;
+          });
+        }
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=results-report.csv');
         return res.send(csv);
@@ -271,208 +265,64 @@ exports.exportReport = async (req, res) => {
         res.setHeader('Content-Disposition', 'attachment; filename=results-report.pdf');
         doc.pipe(res);
 
-        // Simple Header
-        doc.fillColor('#000000')
-          .fontSize(24)
-          .font('Helvetica-Bold')
-          .text('Election Results Report', 50, 50, { align: 'center', width: doc.page.width - 100 });
-        
-        doc.fontSize(10)
-          .font('Helvetica')
-          .fillColor('#000000')
-          .text(`Generated: ${new Date().toLocaleString()}`, 50, 80, { align: 'center', width: doc.page.width - 100 });
-        
-        doc.y = 110;
-
-        // Process each position
-        for (let index = 0; index < positions.length; index++) {
-          const position = positions[index];
-          
-          if (index > 0) {
-            doc.addPage();
-            doc.y = 50;
-          }
-
-          // Simple Position Header
-          doc.fillColor('#000000')
-            .fontSize(18)
-            .font('Helvetica-Bold')
-            .text(position.name.toUpperCase(), 50, doc.y);
-          
-          doc.fontSize(10)
-            .font('Helvetica')
-            .fillColor('#000000')
-            .text(`Seats Available: ${position.seats}`, 50, doc.y + 5);
-          
-          doc.y += 30;
-
-          if (position.candidates.length === 0) {
-            doc.fillColor('#000000')
-              .fontSize(12)
-              .font('Helvetica')
-              .text('No candidates for this position.', 50, doc.y);
-            doc.y += 30;
-          } else {
-            // Sort candidates by votes
-            const sortedCandidates = [...position.candidates].sort((a, b) => b._count.votes - a._count.votes);
-            const totalVotes = sortedCandidates.reduce((sum, c) => sum + c._count.votes, 0);
-
-            // Candidate details section
-            let currentY = doc.y;
-
-            // Process candidates sequentially to handle async photo loading
-            for (let idx = 0; idx < sortedCandidates.length; idx++) {
-              const candidate = sortedCandidates[idx];
-              
-              // Check if we need a new page
-              if (currentY > doc.page.height - 150) {
-                doc.addPage();
-                currentY = 50;
-              }
-
-              const isWinner = idx < position.seats;
-              const votePercentage = totalVotes > 0 
-                ? ((candidate._count.votes / totalVotes) * 100).toFixed(2) 
-                : '0.00';
-
-              // Simple candidate entry
-              const photoX = 50;
-              const photoY = currentY;
-              const photoSize = 60;
-
-              // Candidate photo
-              try {
-                const photoBuffer = await loadCandidatePhoto(candidate.photoUrl, candidate.name);
-                if (photoBuffer) {
-                  doc.image(photoBuffer, photoX, photoY, { 
-                    width: photoSize, 
-                    height: photoSize,
-                    fit: [photoSize, photoSize],
-                  });
-                }
-              } catch (photoError) {
-                console.warn(`Photo error for ${candidate.name}:`, photoError.message);
-              }
-
-              // Candidate information (right side of photo)
-              const infoX = photoX + photoSize + 15;
-              const infoY = currentY;
-
-              // Rank
-              doc.fillColor('#000000')
-                .fontSize(12)
-                .font('Helvetica-Bold')
-                .text(`Rank: ${idx + 1}`, infoX, infoY);
-
-              // Candidate name
-              doc.fillColor('#000000')
-                .fontSize(14)
-                .font('Helvetica-Bold')
-                .text(candidate.name, infoX, infoY + 18);
-
-              // Program
-              if (candidate.program) {
-                doc.fillColor('#000000')
-                  .fontSize(10)
-                  .font('Helvetica')
-                  .text(candidate.program, infoX, infoY + 35);
-              }
-
-              // Votes and percentage
-              doc.fillColor('#000000')
-                .fontSize(12)
-                .font('Helvetica')
-                .text(`Votes: ${candidate._count.votes}`, infoX, infoY + 48);
-
-              doc.fillColor('#000000')
-                .fontSize(12)
-                .font('Helvetica')
-                .text(`Percentage: ${votePercentage}%`, infoX, infoY + 62);
-
-              // Winner declaration
-              if (isWinner) {
-                doc.fillColor('#000000')
-                  .fontSize(12)
-                  .font('Helvetica-Bold')
-                  .text('WINNER', infoX, infoY + 78);
-              }
-
-              currentY += photoSize + 30;
-            }
-            
-            doc.y = currentY;
-            doc.moveDown(1);
-
-            // Simple Summary
-            doc.fillColor('#000000')
-              .fontSize(12)
-              .font('Helvetica-Bold')
-              .text('Summary:', 50, doc.y);
-            
-            doc.y += 20;
-            doc.fillColor('#000000')
-              .fontSize(10)
-              .font('Helvetica')
-              .text(`Total Candidates: ${sortedCandidates.length}`, 50, doc.y);
-            
-            doc.y += 15;
-            doc.fillColor('#000000')
-              .fontSize(10)
-              .font('Helvetica')
-              .text(`Total Votes Cast: ${totalVotes}`, 50, doc.y);
-            
-            doc.y += 15;
-            doc.fillColor('#000000')
-              .fontSize(10)
-              .font('Helvetica')
-              .text(`Seats Available: ${position.seats}`, 50, doc.y);
-
-            doc.y += 30;
-          }
-        }
-
-        // Simple Footer
-        const footerY = doc.page.height - 30;
-        doc.fillColor('#000000')
-          .fontSize(8)
-          .font('Helvetica')
-          .text(`Generated on ${new Date().toLocaleString()}`, 50, footerY, { 
-            align: 'center', 
-            width: doc.page.width - 100 
-          });
-
-        doc.end();
+        await renderResultsPdf(doc, req.election, { positions, questions });
         return;
       }
-      res.json(positions.map((p) => ({
-        positionName: p.name,
-        candidates: p.candidates.map((c) => ({
-          name: c.name,
-          votes: c._count.votes,
+      res.json({
+        positions: positions.map((p) => ({
+          positionName: p.positionName,
+          votingMethod: p.votingMethod,
+          abstentions: p.abstentions,
+          skipped: p.skipped,
+          participationRate: p.participationRate,
+          candidates: p.candidates.map((c) => ({
+            name: c.name,
+            votes: c.votes,
+          })),
+          ...(p.quota !== undefined && { quota: p.quota }),
+          ...(p.rounds && { rounds: p.rounds, seatAllocation: p.seatAllocation }),
+        })),
+        questions: questions.map((q) => ({
+          title: q.title,
+          threshold: q.threshold,
+          yes: q.yes,
+          no: q.no,
+          abstain: q.abstain,
+          yesPercentage: q.yesPercentage,
+          outcome: q.outcome,
         })),
-      })));
-    } else if (type.startsWith('audit')) {
-      const logs = await prisma.auditLog.findMany({
-        take: 1000,
-        orderBy: { createdAt: 'desc' },
       });
+    } else if (type.startsWith('audit')) {
+      const { where, error } = buildAuditWhere(req.query, { electionId });
+      if (error) {
+        return res.status(400).json({ error });
+      }
 
-      if (type.endsWith('csv')) {
-        let csv = 'Date,Actor Type,Action,Entity,Details\n';
-        logs.forEach((log) => {
-          const details = log.payload ? JSON.stringify(log.payload) : '';
-          csv += `"${log.createdAt}","${log.actorType}","${log.action}","${log.entity || ''}","${details}"\n`;
-        });
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=audit-log.csv');
-        return res.send(csv);
+      // Full exports are streamed; plain `audit` returns one page like GET /audit
+      if (type === 'audit-csv' || type === 'audit-ndjson') {
+        return await streamAuditExport(res, where, type.slice('audit-'.length), 'audit-log');
+      }
+
+      const page = await findAuditPage(where, req.query);
+      if (page.error) {
+        return res.status(400).json({ error: page.error });
       }
-      res.json({ logs });
+      res.json(page);
     } else {
       res.status(400).json({ error: 'Invalid export type' });
     }
   } catch (error) {
+    if (error.code === 'RESULTS_SEALED') {
+      return res.status(409).json({
+        error: error.message,
+        hint: 'Trustees submit their shares with POST /api/elections/:electionId/encryption/shares',
+      });
+    }
     console.error('Export report error:', error);
+    // A streamed export that fails part-way can only be cut off
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({ error: 'Failed to export report' });
   }
 };
@@ -2,8 +2,24 @@ const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const { prisma } = require('../config/prisma');
 const { logAudit } = require('../utils/auditLogger');
-const { sendOTPSMS } = require('../utils/smsService');
-const { sendOTPEmail } = require('../utils/emailService');
+const { CHANNEL_LABELS, planOtpDelivery, queueOtpDelivery } = require('../utils/otpDelivery');
+const { issueBallotToken } = require('../utils/ballotTokens');
+const {
+  lockoutSecondsRemaining,
+  reserveOtpAttempt,
+  recordOtpFailure,
+  recordOtpSuccess,
+} = require('../utils/otpLockout');
+
+// 429 for a reg number that is locked out after too many wrong codes
+const lockedOut = (res, secondsRemaining) => {
+  const minutes = Math.ceil(secondsRemaining / 60);
+  return res.status(429).json({
+    error: 'Too many wrong codes. Verification is locked for this registration number.',
+    hint: `Try again in ${minutes} minute${minutes !== 1 ? 's' : ''} or contact an election administrator`,
+    retryAfter: secondsRemaining,
+  });
+};
 
 /**
  * Request OTP for voter verification
@@ -12,8 +28,8 @@ const { sendOTPEmail } = require('../utils/emailService');
  * 1. Voter enters registration number
  * 2. System finds eligible voter
  * 3. Generates OTP
- * 4. Sends OTP via Email (nodemailer) and SMS
- * 5. Stores hashed OTP in database
+ * 4. Stores hashed OTP in database
+ * 5. Sends OTP by email and/or SMS as the channel policy says (utils/otpDelivery.js)
  * 6. Returns success
  */
 exports.requestOTP = async (req, res) => {
@@ -24,9 +40,14 @@ exports.requestOTP = async (req, res) => {
       return res.status(400).json({ error: 'Registration number is required' });
     }
 
-    // Find eligible voter
+    // Find eligible voter on this election's roll
     const voter = await prisma.eligibleVoter.findUnique({
-      where: { regNo: reg_no.toUpperCase() },
+      where: {
+        electionId_regNo: {
+          electionId: req.election.id,
+          regNo: reg_no.toUpperCase(),
+        },
+      },
     });
 
     if (!voter) {
@@ -37,6 +58,11 @@ exports.requestOTP = async (req, res) => {
       return res.status(400).json({ error: 'Voter is not eligible' });
     }
 
+    const lockedFor = lockoutSecondsRemaining(voter);
+    if (lockedFor > 0) {
+      return lockedOut(res, lockedFor);
+    }
+
     // Check if voter has already voted (prevent repeat verification)
     const existingBallot = await prisma.ballot.findFirst({
       where: {
@@ -76,6 +102,12 @@ exports.requestOTP = async (req, res) => {
       });
     }
 
+    // Pick the delivery channels from the policy and the voter's contact details
+    const { plan, error: channelError, hint: channelHint } = planOtpDelivery(voter, req.body.channel);
+    if (channelError) {
+      return res.status(400).json({ error: channelError, hint: channelHint });
+    }
+
     // Generate 6-digit OTP
     const otp = crypto.randomInt(100000, 999999).toString();
     const otpHash = await bcrypt.hash(otp, 10);
@@ -83,99 +115,50 @@ exports.requestOTP = async (req, res) => {
     // Set expiration (5 minutes for security)
     const expiresAt = new Date(Date.now() + 5 * 60 * 1000);
 
-    // Validate that voter has both email and phone
-    if (!voter.email) {
-      return res.status(400).json({ 
-        error: 'Voter email not found',
-        hint: 'Contact administrator to update your email address in the CSV file',
-      });
-    }
-
-    if (!voter.phone) {
-      return res.status(400).json({ 
-        error: 'Voter phone number not found',
-        hint: 'Contact administrator to update your phone number in the CSV file',
-      });
-    }
-
-    // Create verification record
+    // Create verification record (method is updated to the channel actually used)
     const verification = await prisma.verification.create({
       data: {
         voterId: voter.id,
-        method: 'both', // Both email and SMS
+        method: plan.parallel && plan.channels.length > 1 ? 'both' : plan.channels[0],
         otpHash,
         expiresAt,
       },
     });
 
-    // Send OTP via Email and SMS (non-blocking - don't wait for slow API response)
-    // Both are being sent, but API responses may be slow, so we respond immediately
-    console.log('📧📱 Initiating OTP send via Email and SMS (non-blocking)...');
-    
-    // Start Email sending in background (don't await)
-    sendOTPEmail(voter.email, otp, voter.regNo)
-      .then(() => {
-        console.log('✅ OTP Email sent successfully (confirmed)');
-      })
-      .catch((emailError) => {
-        console.error('⚠️ Email sending failed:', emailError.message);
-        // Log error but don't block the response
-        logAudit({
-          actorType: 'system',
-          action: 'OTP_EMAIL_FAILED',
-          entity: 'verification',
-          entityId: verification.id,
-          payload: { 
-            voterId: voter.id, 
-            error: emailError.message,
-            regNo: voter.regNo,
-            email: voter.email,
-          },
-        }).catch(err => console.error('Failed to log Email error:', err));
-      });
-    
-    // Start SMS sending in background (don't await)
-    sendOTPSMS(voter.phone, otp, voter.regNo)
-      .then(() => {
-        console.log('✅ OTP SMS sent successfully (confirmed)');
-      })
-      .catch((smsError) => {
-        console.error('⚠️ SMS sending failed (but may have been delivered):', smsError.message);
-        // Log error but don't block the response
-        logAudit({
-          actorType: 'system',
-          action: 'OTP_SMS_FAILED',
-          entity: 'verification',
-          entityId: verification.id,
-          payload: { 
-            voterId: voter.id, 
-            error: smsError.message,
-            regNo: voter.regNo,
-            note: 'SMS may have been delivered despite API timeout',
-          },
-        }).catch(err => console.error('Failed to log SMS error:', err));
-      });
-    
+    // Queue the OTP in the notification outbox; the worker sends it in the background
+    // (don't wait for slow API responses) and retries failed sends until the OTP expires
+    console.log(`📧📱 Queueing OTP via ${plan.channels.join(plan.parallel ? ' and ' : ', then ')}...`);
+    await queueOtpDelivery(verification, voter, plan, otp);
+
     // Log audit (non-blocking)
     logAudit({
       actorType: 'system',
+      electionId: voter.electionId,
       action: 'OTP_REQUESTED',
       entity: 'verification',
       entityId: verification.id,
       payload: { 
         voterId: voter.id,
         regNo: voter.regNo,
-        method: 'both', // Both email and SMS
+        policy: plan.policy,
+        channels: plan.channels,
       },
     }).catch(err => console.error('Failed to log OTP request:', err));
 
-    // Respond immediately - Email and SMS are being sent in background
-    // Even if APIs time out, messages are usually delivered
+    // Respond immediately - the OTP is being sent in the background
+    const destinationOf = (channel) => (channel === 'email' ? 'email' : 'phone');
+    const firstChannels = plan.parallel ? plan.channels : plan.channels.slice(0, 1);
+    const destinations = firstChannels.map(destinationOf);
+    const fallback = plan.parallel ? null : plan.channels[1];
+
     res.json({
-      message: 'OTP is being sent to your email and phone',
+      message: `OTP is being sent to your ${destinations.join(' and ')}`,
       expiresIn: 300, // 5 minutes in seconds
-      hint: 'Check your email and SMS for the verification code. It may take a few moments to arrive.',
-      sentVia: ['Email', 'SMS'],
+      hint: fallback
+        ? `Check your ${destinations[0]} for the verification code. If it cannot be delivered, it will be sent to your ${destinationOf(fallback)} instead.`
+        : `Check your ${destinations.join(' and ')} for the verification code. It may take a few moments to arrive.`,
+      sentVia: firstChannels.map((channel) => CHANNEL_LABELS[channel]),
+      ...(fallback && { fallback: CHANNEL_LABELS[fallback] }),
     });
   } catch (error) {
     console.error('Request OTP error:', error);
@@ -201,21 +184,32 @@ exports.confirmOTP = async (req, res) => {
       return res.status(400).json({ error: 'Registration number and OTP are required' });
     }
 
-    // Find eligible voter
+    // Find eligible voter on this election's roll
     const voter = await prisma.eligibleVoter.findUnique({
-      where: { regNo: reg_no.toUpperCase() },
+      where: {
+        electionId_regNo: {
+          electionId: req.election.id,
+          regNo: reg_no.toUpperCase(),
+        },
+      },
     });
 
     if (!voter) {
       return res.status(404).json({ error: 'Registration number not found' });
     }
 
+    const lockedFor = lockoutSecondsRemaining(voter);
+    if (lockedFor > 0) {
+      return lockedOut(res, lockedFor);
+    }
+
     // Find unverified OTP
     const verification = await prisma.verification.findFirst({
       where: {
         voterId: voter.id,
         verifiedAt: null,
         consumedAt: null,
+        invalidatedAt: null,
         expiresAt: {
           gte: new Date(), // Not expired
         },
@@ -232,21 +226,64 @@ exports.confirmOTP = async (req, res) => {
       });
     }
 
+    // Count the attempt before checking the code, so parallel guesses share the limit
+    if (!(await reserveOtpAttempt(verification))) {
+      return res.status(400).json({
+        error: 'Too many wrong codes for this OTP',
+        hint: 'Request a new OTP',
+      });
+    }
+
     // Verify OTP
-    const validOTP = await bcrypt.compare(otp, verification.otpHash);
+    const validOTP = await bcrypt.compare(String(otp), verification.otpHash);
     if (!validOTP) {
+      const { attemptsRemaining, otpInvalidated, lockout } = await recordOtpFailure(voter, verification);
+
       // Log failed attempt
       await logAudit({
         actorType: 'system',
+        electionId: voter.electionId,
         action: 'OTP_VERIFICATION_FAILED',
         entity: 'verification',
         entityId: verification.id,
-        payload: { voterId: voter.id, regNo: voter.regNo },
+        payload: { voterId: voter.id, regNo: voter.regNo, attemptsRemaining },
       });
 
-      return res.status(401).json({ error: 'Invalid OTP' });
+      if (lockout) {
+        await logAudit({
+          actorType: 'system',
+          electionId: voter.electionId,
+          action: 'VOTER_OTP_LOCKED',
+          entity: 'eligible_voter',
+          entityId: voter.id,
+          payload: {
+            regNo: voter.regNo,
+            lockouts: lockout.lockouts,
+            minutes: lockout.minutes,
+            lockedUntil: lockout.lockedUntil,
+          },
+        });
+
+        return lockedOut(res, lockout.minutes * 60);
+      }
+
+      if (otpInvalidated) {
+        return res.status(401).json({
+          error: 'Invalid OTP',
+          hint: 'This OTP has no attempts left. Request a new OTP.',
+          attemptsRemaining: 0,
+        });
+      }
+
+      return res.status(401).json({
+        error: 'Invalid OTP',
+        hint: `${attemptsRemaining} attempt${attemptsRemaining !== 1 ? 's' : ''} left for this OTP`,
+        attemptsRemaining,
+      });
     }
 
+    await recordOtpSuccess(voter);
+
     // Check if voter has already voted
     const existingBallot = await prisma.ballot.findFirst({
       where: {
@@ -269,17 +306,9 @@ exports.confirmOTP = async (req, res) => {
       },
     });
 
-    // Generate single-use ballot token
-    const ballotToken = crypto.randomBytes(32).toString('hex');
-
-    // Create ballot
-    const ballot = await prisma.ballot.create({
-      data: {
-        voterId: voter.id,
-        token: ballotToken,
-        status: 'ACTIVE',
-      },
-    });
+    // Issue a single-use ballot token; earlier active tokens of this voter are revoked
+    const { ballot, revoked } = await issueBallotToken(voter);
+    const ballotToken = ballot.token;
 
     // Link verification to ballot
     await prisma.verification.update({
@@ -292,6 +321,7 @@ exports.confirmOTP = async (req, res) => {
     // Log audit
     await logAudit({
       actorType: 'system',
+      electionId: voter.electionId,
       action: 'OTP_VERIFIED_BALLOT_ISSUED',
       entity: 'ballot',
       entityId: ballot.id,
@@ -299,16 +329,25 @@ exports.confirmOTP = async (req, res) => {
         voterId: voter.id,
         regNo: voter.regNo,
         ballotToken: ballotToken.substring(0, 8) + '...', // Partial token for logging
+        expiresAt: ballot.expiresAt,
+        revokedBallots: revoked,
       },
     });
 
     res.json({
       message: 'Verification successful',
       ballotToken,
-      expiresAt: ballot.issuedAt,
-      note: 'Use this token to cast your vote. It can only be used once.',
+      expiresAt: ballot.expiresAt,
+      expiresIn: Math.round((ballot.expiresAt.getTime() - Date.now()) / 1000),
+      note: 'Use this token to cast your vote before it expires. It can only be used once.',
     });
   } catch (error) {
+    // The vote was cast while this token was being issued
+    if (error.code === 'ALREADY_VOTED') {
+      return res.status(400).json({
+        error: 'You have already voted. Ballot already used.',
+      });
+    }
     console.error('Confirm OTP error:', error);
     res.status(500).json({ error: 'Failed to verify OTP' });
   }
@@ -1,10 +1,15 @@
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../config/prisma');
 const { logAudit } = require('../utils/auditLogger');
+const { createElectionArchive } = require('../utils/electionArchive');
+const { parseVoterGroups } = require('../utils/eligibility');
+const { revokeBallotTokens } = require('../utils/ballotTokens');
+const { isActionAllowed } = require('../utils/electionLifecycle');
 const csv = require('csv-parser');
 const fs = require('fs');
 const { Readable } = require('stream');
 
-// Import voters from CSV
+// Import voters from CSV into the election's voter roll
 exports.importCSV = async (req, res) => {
   try {
     if (!req.file) {
@@ -24,29 +29,35 @@ exports.importCSV = async (req, res) => {
         .on('data', async (row) => {
           rowNumber++;
           try {
-            // Validate required fields
-            if (!row.reg_no || !row.name || !row.email || !row.phone) {
-              errors.push(`Row ${rowNumber}: Missing required fields (reg_no, name, email, phone)`);
+            // Validate required fields (an OTP needs an email address or a phone number)
+            const email = row.email?.trim() || null;
+            const phone = row.phone?.trim() || null;
+            if (!row.reg_no || !row.name || (!email && !phone)) {
+              errors.push(`Row ${rowNumber}: Missing required fields (reg_no, name, and email or phone)`);
               return;
             }
 
             // Normalize registration number
             const regNo = row.reg_no.trim().toUpperCase();
+            // Optional groups column, e.g. "Hostel A;Sports Council"
+            const groups = parseVoterGroups(row.groups) ?? Prisma.DbNull;
 
-            // Check if voter already exists
+            // Check if voter already exists on this election's roll
+            const voterKey = { electionId_regNo: { electionId: req.election.id, regNo } };
             const existing = await prisma.eligibleVoter.findUnique({
-              where: { regNo },
+              where: voterKey,
             });
 
             if (existing) {
               // Update existing voter
               await prisma.eligibleVoter.update({
-                where: { regNo },
+                where: voterKey,
                 data: {
                   name: row.name.trim(),
-                  email: row.email.trim(),
-                  phone: row.phone.trim(),
+                  email,
+                  phone,
                   program: row.program?.trim() || null,
+                  groups,
                   status: 'ELIGIBLE',
                 },
               });
@@ -55,11 +66,13 @@ exports.importCSV = async (req, res) => {
               // Create new voter
               await prisma.eligibleVoter.create({
                 data: {
+                  electionId: req.election.id,
                   regNo,
                   name: row.name.trim(),
-                  email: row.email.trim(),
-                  phone: row.phone.trim(),
+                  email,
+                  phone,
                   program: row.program?.trim() || null,
+                  groups,
                   status: 'ELIGIBLE',
                 },
               });
@@ -74,12 +87,15 @@ exports.importCSV = async (req, res) => {
     });
 
     // Get actual count from database to verify
-    const actualCount = await prisma.eligibleVoter.count();
+    const actualCount = await prisma.eligibleVoter.count({
+      where: { electionId: req.election.id },
+    });
 
     // Log audit
     await logAudit({
       actorType: 'admin',
       actorId: req.user.id,
+      electionId: req.election.id,
       action: 'IMPORT_VOTERS',
       entity: 'eligible_voter',
       payload: {
@@ -108,13 +124,13 @@ exports.importCSV = async (req, res) => {
   }
 };
 
-// Get all eligible voters
+// Get all eligible voters on the election's roll
 exports.getAllVoters = async (req, res) => {
   try {
     const { page = 1, limit = 100, search } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const where = {};
+    const where = { electionId: req.election.id };
     if (search && typeof search === 'string' && search.trim().length > 0) {
       const searchTerm = search.trim();
       // For MySQL, try without mode first (MySQL is usually case-insensitive by default)
@@ -162,46 +178,230 @@ exports.getAllVoters = async (req, res) => {
   }
 };
 
-// Delete all voters (Admin only) - for re-importing CSV
-// Also deletes all related votes, ballots, verifications, candidates, and positions
-// This clears everything for a new voting cycle
+const lockoutSelect = {
+  id: true,
+  regNo: true,
+  name: true,
+  otpFailures: true,
+  otpLockouts: true,
+  otpLockedUntil: true,
+};
+
+// List voters locked out of OTP verification or with recent wrong codes (Admin only)
+exports.getOtpLockouts = async (req, res) => {
+  try {
+    const now = new Date();
+
+    const voters = await prisma.eligibleVoter.findMany({
+      where: {
+        electionId: req.election.id,
+        OR: [
+          { otpLockedUntil: { gt: now } },
+          { otpFailures: { gt: 0 } },
+          { otpLockouts: { gt: 0 } },
+        ],
+      },
+      select: lockoutSelect,
+      orderBy: [{ otpLockedUntil: 'desc' }, { regNo: 'asc' }],
+    });
+
+    res.json({
+      lockouts: voters.map((voter) => ({
+        ...voter,
+        locked: Boolean(voter.otpLockedUntil && voter.otpLockedUntil > now),
+      })),
+      currentlyLocked: voters.filter((voter) => voter.otpLockedUntil && voter.otpLockedUntil > now).length,
+    });
+  } catch (error) {
+    console.error('Get OTP lockouts error:', error);
+    res.status(500).json({ error: 'Failed to fetch OTP lockouts' });
+  }
+};
+
+// Clear a voter's OTP lockout and failure counts (Admin only)
+exports.clearOtpLockout = async (req, res) => {
+  try {
+    const voter = await prisma.eligibleVoter.findUnique({
+      where: {
+        electionId_regNo: {
+          electionId: req.election.id,
+          regNo: req.params.regNo.toUpperCase(),
+        },
+      },
+      select: lockoutSelect,
+    });
+
+    if (!voter) {
+      return res.status(404).json({ error: 'Registration number not found' });
+    }
+
+    await prisma.eligibleVoter.update({
+      where: { id: voter.id },
+      data: { otpFailures: 0, otpLockouts: 0, otpLockedUntil: null },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'CLEAR_OTP_LOCKOUT',
+      entity: 'eligible_voter',
+      entityId: voter.id,
+      payload: {
+        regNo: voter.regNo,
+        otpFailures: voter.otpFailures,
+        otpLockouts: voter.otpLockouts,
+        otpLockedUntil: voter.otpLockedUntil,
+      },
+    });
+
+    res.json({ message: `OTP lockout cleared for ${voter.regNo}` });
+  } catch (error) {
+    console.error('Clear OTP lockout error:', error);
+    res.status(500).json({ error: 'Failed to clear OTP lockout' });
+  }
+};
+
+// Revoke a voter's outstanding (active) ballot tokens (Admin only)
+// The voter can verify again with a new OTP to get a new token
+exports.revokeBallotTokens = async (req, res) => {
+  try {
+    const voter = await prisma.eligibleVoter.findUnique({
+      where: {
+        electionId_regNo: {
+          electionId: req.election.id,
+          regNo: req.params.regNo.toUpperCase(),
+        },
+      },
+      select: { id: true, regNo: true },
+    });
+
+    if (!voter) {
+      return res.status(404).json({ error: 'Registration number not found' });
+    }
+
+    const revoked = await revokeBallotTokens(voter.id, 'ADMIN');
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId: req.election.id,
+      action: 'REVOKE_BALLOT_TOKENS',
+      entity: 'eligible_voter',
+      entityId: voter.id,
+      payload: {
+        regNo: voter.regNo,
+        revoked,
+      },
+    });
+
+    res.json({
+      message: revoked > 0
+        ? `Revoked ${revoked} ballot token${revoked !== 1 ? 's' : ''} of ${voter.regNo}`
+        : `${voter.regNo} has no active ballot tokens`,
+      revoked,
+    });
+  } catch (error) {
+    console.error('Revoke ballot tokens error:', error);
+    res.status(500).json({ error: 'Failed to revoke ballot tokens' });
+  }
+};
+
+// Delete all voters of an election (Admin only) - for re-importing CSV
+// Also deletes the election's votes, ballots, verifications, candidates, and positions
+// Other elections are left untouched so their results stay queryable
+// An archive snapshot is written first; nothing is deleted if archiving fails
+// Only an election that has not opened voting can be set up again afterwards: a closed
+// or certified one cannot go back, so the next voting cycle needs a new election
 exports.deleteAllVoters = async (req, res) => {
   try {
-    // Get counts before deletion for audit
-    const votersCount = await prisma.eligibleVoter.count();
-    const votesCount = await prisma.vote.count();
-    const ballotsCount = await prisma.ballot.count();
-    const verificationsCount = await prisma.verification.count();
-    const candidatesCount = await prisma.candidate.count();
-    const positionsCount = await prisma.position.count();
+    const electionId = req.election.id;
+    const reusable = isActionAllowed(req.election.status, 'MANAGE_VOTERS');
+
+    let archive;
+    try {
+      archive = await createElectionArchive({
+        election: req.election,
+        actorId: req.user.id,
+        reason: 'Automatic archive before clearing voting data',
+      });
+    } catch (archiveError) {
+      console.error('Archive before reset failed:', archiveError);
+      return res.status(500).json({
+        error: 'Failed to archive election. No voting data was deleted.',
+      });
+    }
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      electionId,
+      action: 'ARCHIVE_ELECTION',
+      entity: 'election_archive',
+      entityId: archive.id,
+      payload: {
+        reason: archive.reason,
+        bundleHash: archive.bundleHash,
+        pdfHash: archive.pdfHash,
+      },
+    });
 
     // Delete in transaction to ensure data consistency
-    // Order: Votes -> Ballots -> Verifications -> Candidates -> Positions -> Voters
+    // Order: Votes -> Question responses -> Cast ballots -> Ballots -> Verifications -> Candidates -> Positions -> Questions -> Voters
     const result = await prisma.$transaction(async (tx) => {
-      // 1. Delete all votes first (they depend on ballots, positions, and candidates)
-      const votesDeleted = await tx.vote.deleteMany({});
+      // 1. Delete the election's votes first (they depend on ballots, positions, and candidates)
+      const votesDeleted = await tx.vote.deleteMany({
+        where: { position: { electionId } },
+      });
+
+      // 1b. Delete answers to the election's ballot questions
+      const responsesDeleted = await tx.questionResponse.deleteMany({
+        where: { question: { electionId } },
+      });
+
+      // 1c. Delete the now empty cast ballots (encrypted entries go with them)
+      await tx.castBallot.deleteMany({
+        where: { electionId },
+      });
       
-      // 2. Delete all ballots (they depend on voters)
-      const ballotsDeleted = await tx.ballot.deleteMany({});
+      // 2. Delete the election's ballots (they depend on voters)
+      const ballotsDeleted = await tx.ballot.deleteMany({
+        where: { electionId },
+      });
       
-      // 3. Delete all verifications (they depend on voters)
-      const verificationsDeleted = await tx.verification.deleteMany({});
+      // 3. Delete verifications of voters on this roll
+      const verificationsDeleted = await tx.verification.deleteMany({
+        where: { voter: { electionId } },
+      });
       
-      // 4. Delete all candidates (they depend on positions and users)
-      const candidatesDeleted = await tx.candidate.deleteMany({});
+      // 4. Delete candidates standing for this election's positions
+      const candidatesDeleted = await tx.candidate.deleteMany({
+        where: { position: { electionId } },
+      });
       
-      // 5. Delete all positions (candidates already deleted, but positions can be deleted now)
-      const positionsDeleted = await tx.position.deleteMany({});
+      // 5. Delete the election's positions (candidates already deleted)
+      const positionsDeleted = await tx.position.deleteMany({
+        where: { electionId },
+      });
+
+      // 5b. Delete the election's ballot questions
+      const questionsDeleted = await tx.ballotQuestion.deleteMany({
+        where: { electionId },
+      });
       
-      // 6. Delete all voters
-      const votersDeleted = await tx.eligibleVoter.deleteMany({});
+      // 6. Delete the voter roll
+      const votersDeleted = await tx.eligibleVoter.deleteMany({
+        where: { electionId },
+      });
 
       return {
         votes: votesDeleted.count,
+        questionResponses: responsesDeleted.count,
         ballots: ballotsDeleted.count,
         verifications: verificationsDeleted.count,
         candidates: candidatesDeleted.count,
         positions: positionsDeleted.count,
+        questions: questionsDeleted.count,
         voters: votersDeleted.count,
       };
     });
@@ -210,6 +410,7 @@ exports.deleteAllVoters = async (req, res) => {
     await logAudit({
       actorType: 'admin',
       actorId: req.user.id,
+      electionId,
       action: 'DELETE_ALL_VOTING_DATA',
       entity: 'eligible_voter',
       payload: {
@@ -219,12 +420,19 @@ exports.deleteAllVoters = async (req, res) => {
         verificationsDeleted: result.verifications,
         candidatesDeleted: result.candidates,
         positionsDeleted: result.positions,
-        reason: 'Admin cleared all voting data for new voting cycle. CSV file removed.',
+        questionsDeleted: result.questions,
+        questionResponsesDeleted: result.questionResponses,
+        archiveId: archive.id,
+        reason: reusable
+          ? 'Admin cleared the election\'s voting data to set it up again. CSV file removed.'
+          : 'Admin cleared the voting data of a finished election. CSV file removed.',
       },
     });
 
     res.json({
-      message: 'All voting data deleted successfully. System is ready for a new voting cycle.',
+      message: reusable
+        ? 'All voting data for this election deleted successfully. It can be set up again.'
+        : 'All voting data for this election deleted successfully. The election is finished and stays empty.',
       deletedCount: {
         voters: result.voters,
         votes: result.votes,
@@ -232,8 +440,13 @@ exports.deleteAllVoters = async (req, res) => {
         verifications: result.verifications,
         candidates: result.candidates,
         positions: result.positions,
+        questions: result.questions,
+        questionResponses: result.questionResponses,
       },
-      hint: 'You can now import a new CSV file and create new positions for the next voting cycle.',
+      archiveId: archive.id,
+      hint: reusable
+        ? 'You can now import a new CSV file and create new positions.'
+        : 'A finished election cannot be reopened. Create a new election for the next voting cycle.',
     });
   } catch (error) {
     console.error('Delete all voting data error:', error);
@@ -1,5 +1,17 @@
 const { prisma } = require('../config/prisma');
 const { logAudit } = require('../utils/auditLogger');
+const { normalizeBallotEntry, getSelectionLimit, QUESTION_CHOICES } = require('../utils/votingMethods');
+const { BALLOT_ORDER_SCHEME, orderCandidates } = require('../utils/ballotOrder');
+const { isVoterEligible } = require('../utils/eligibility');
+const {
+  generateTrackingCode,
+  generateContentSalt,
+  buildBallotContents,
+  buildEncryptedBallotContents,
+  hashBallotContents,
+} = require('../utils/ballotReceipts');
+const { encryptBallot } = require('../utils/ballotEncryption');
+const { ballotTokenError } = require('../utils/ballotTokens');
 
 // Helper function to parse dates consistently (same as positions controller)
 const parseDate = (dateString) => {
@@ -23,6 +35,7 @@ const parseDate = (dateString) => {
 /**
  * Get ballot data (positions and candidates)
  * Uses ballot token to verify voter and get voting data
+ * The token must belong to the election in the route
  */
 exports.getBallot = async (req, res) => {
   try {
@@ -42,20 +55,22 @@ exports.getBallot = async (req, res) => {
             id: true,
             regNo: true,
             name: true,
+            program: true,
+            groups: true,
           },
         },
       },
     });
 
-    if (!ballot) {
+    if (!ballot || ballot.electionId !== req.election.id) {
       return res.status(404).json({ error: 'Invalid ballot token' });
     }
 
-    if (ballot.status === 'CONSUMED') {
-      return res.status(400).json({ 
-        error: 'This ballot has already been used',
-        hint: 'You can only vote once',
-      });
+    // Used, revoked or expired
+    const tokenError = ballotTokenError(ballot);
+    if (tokenError) {
+      const { status, ...body } = tokenError;
+      return res.status(status).json(body);
     }
 
     // Get all positions with open voting windows
@@ -70,6 +85,7 @@ exports.getBallot = async (req, res) => {
     
       // First, get ALL positions to debug
     const allPositions = await prisma.position.findMany({
+      where: { electionId: req.election.id },
       orderBy: {
         name: 'asc',
       },
@@ -97,8 +113,9 @@ exports.getBallot = async (req, res) => {
     
     // Use Prisma query to filter positions where voting window is currently open
     // This ensures database-level filtering with consistent timezone handling
-    const positions = await prisma.position.findMany({
+    const openPositions = await prisma.position.findMany({
       where: {
+        electionId: req.election.id,
         votingOpens: {
           lte: now, // Voting has opened (now >= votingOpens)
         },
@@ -110,6 +127,9 @@ exports.getBallot = async (req, res) => {
         name: 'asc',
       },
     });
+
+    // Constituency-restricted positions are only shown to eligible voters
+    const positions = openPositions.filter((position) => isVoterEligible(position, ballot.voter));
     
     console.log(`Backend getBallot - found ${positions.length} open positions for voting (via Prisma query)`);
     if (positions.length > 0) {
@@ -181,14 +201,48 @@ exports.getBallot = async (req, res) => {
       }
     }
 
+    // Candidates in each position's ballot order (stable for this ballot, see utils/ballotOrder.js)
+    const orderedCandidates = positions.flatMap((position) =>
+      orderCandidates(position, candidates.filter((c) => c.positionId === position.id), ballot.id)
+        .map((candidate, index) => ({ ...candidate, ballotPosition: index + 1 }))
+    );
+
+    // Ballot questions (referendums) with open voting windows
+    const questions = await prisma.ballotQuestion.findMany({
+      where: {
+        electionId: req.election.id,
+        votingOpens: {
+          lte: now,
+        },
+        votingCloses: {
+          gte: now,
+        },
+      },
+      orderBy: {
+        createdAt: 'asc',
+      },
+    });
+
     res.json({
       ballot: {
         id: ballot.id,
         status: ballot.status,
         issuedAt: ballot.issuedAt,
       },
-      positions,
-      candidates,
+      // maxSelections tells the ballot UI how many candidates may be chosen (null = no limit);
+      // every position can also be answered with an explicit abstention, and positions with
+      // allowWriteIns take typed-in names (counted towards maxSelections)
+      positions: positions.map((position) => ({
+        ...position,
+        maxSelections: getSelectionLimit(position),
+        allowAbstain: true,
+      })),
+      candidates: orderedCandidates,
+      candidateOrderScheme: BALLOT_ORDER_SCHEME,
+      questions: questions.map((question) => ({
+        ...question,
+        choices: QUESTION_CHOICES,
+      })),
     });
   } catch (error) {
     console.error('Get ballot error:', error);
@@ -199,16 +253,21 @@ exports.getBallot = async (req, res) => {
 /**
  * Cast vote
  * Records votes for positions using ballot token
+ * Each entry in votes is { positionId, candidateId }, { positionId, ranking: [...] } for
+ * ranked positions, { positionId, candidateIds: [...] } for block/approval positions
+ * or { positionId, abstain: true } for a deliberate blank vote (see utils/votingMethods.js)
+ * Write-in positions also accept { positionId, writeIn } or writeIns: [...] next to candidateIds
+ * Ballot questions are answered in answers as { questionId, choice: 'YES'|'NO'|'ABSTAIN' }
  */
 exports.castVote = async (req, res) => {
   try {
-    const { token, votes } = req.body;
+    const { token, votes = [], answers = [] } = req.body;
 
     if (!token) {
       return res.status(400).json({ error: 'Ballot token is required' });
     }
 
-    if (!votes || !Array.isArray(votes) || votes.length === 0) {
+    if (!Array.isArray(votes) || !Array.isArray(answers) || votes.length + answers.length === 0) {
       return res.status(400).json({ error: 'Votes are required' });
     }
 
@@ -220,20 +279,29 @@ exports.castVote = async (req, res) => {
           select: {
             id: true,
             regNo: true,
+            program: true,
+            groups: true,
           },
         },
       },
     });
 
-    if (!ballot) {
+    if (!ballot || ballot.electionId !== req.election.id) {
       return res.status(404).json({ error: 'Invalid ballot token' });
     }
 
-    if (ballot.status === 'CONSUMED') {
-      return res.status(400).json({ 
-        error: 'This ballot has already been used',
-        hint: 'You can only vote once',
-      });
+    // Used, revoked or expired
+    const tokenError = ballotTokenError(ballot);
+    if (tokenError) {
+      const { status, ...body } = tokenError;
+      return res.status(status).json(body);
+    }
+
+    // Validate one entry per position
+    const positionIds = votes.map((v) => v.positionId);
+    const uniquePositions = new Set(positionIds);
+    if (positionIds.some((id) => !id) || uniquePositions.size !== positionIds.length) {
+      return res.status(400).json({ error: 'Cannot vote multiple times for the same position' });
     }
 
     // Validate voting window is still open
@@ -251,6 +319,7 @@ exports.castVote = async (req, res) => {
         id: {
           in: votes.map((v) => v.positionId),
         },
+        electionId: req.election.id,
         votingOpens: {
           lte: now,
         },
@@ -267,6 +336,7 @@ exports.castVote = async (req, res) => {
       const allPositions = await prisma.position.findMany({
         where: {
           id: { in: votes.map((v) => v.positionId) },
+          electionId: req.election.id,
         },
         select: { id: true, name: true, votingOpens: true, votingCloses: true },
       });
@@ -302,85 +372,224 @@ exports.castVote = async (req, res) => {
       });
     }
 
-    // Validate candidates exist and are approved
-    const candidateIds = votes.map((v) => v.candidateId);
+    // Reject positions outside the voter's constituency
+    const ineligiblePositions = positions.filter((position) => !isVoterEligible(position, ballot.voter));
+    if (ineligiblePositions.length > 0) {
+      return res.status(403).json({
+        error: 'You are not eligible to vote for some of these positions',
+        hint: `Restricted to other programs or voter groups: ${ineligiblePositions.map((p) => p.name).join(', ')}`,
+      });
+    }
+
+    // Expand each entry into vote rows according to the position's voting method
+    const positionsById = new Map(positions.map((p) => [p.id, p]));
+    const selections = [];
+    for (const vote of votes) {
+      const { selections: entrySelections, error } = normalizeBallotEntry(positionsById.get(vote.positionId), vote);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      entrySelections.forEach((selection) => selections.push({ positionId: vote.positionId, ...selection }));
+    }
+
+    // Validate candidates exist and are approved (abstentions and write-ins have no candidate)
+    const chosen = selections.filter((s) => s.candidateId);
+    const candidateIds = [...new Set(chosen.map((s) => s.candidateId))];
     const candidates = await prisma.candidate.findMany({
       where: {
         id: {
           in: candidateIds,
         },
         status: 'APPROVED',
+        position: {
+          electionId: req.election.id,
+        },
       },
     });
 
-    if (candidates.length !== votes.length) {
+    if (candidates.length !== candidateIds.length) {
       return res.status(400).json({ error: 'Some candidates are invalid or not approved' });
     }
 
-    // Validate one vote per position
-    const positionIds = votes.map((v) => v.positionId);
-    const uniquePositions = new Set(positionIds);
-    if (uniquePositions.size !== positionIds.length) {
-      return res.status(400).json({ error: 'Cannot vote multiple times for the same position' });
+    // Validate each candidate is standing for the position it was voted under
+    const candidatePositions = new Map(candidates.map((c) => [c.id, c.positionId]));
+    if (chosen.some((s) => candidatePositions.get(s.candidateId) !== s.positionId)) {
+      return res.status(400).json({ error: 'Some candidates are not standing for the selected position' });
     }
 
-    // Check if voter already voted for any of these positions
-    const existingVotes = await prisma.vote.findMany({
-      where: {
-        ballotId: ballot.id,
-        positionId: {
-          in: positionIds,
+    // Validate answers to ballot questions: one per question, valid choice, window open
+    const questionIds = answers.map((a) => a.questionId);
+    if (questionIds.some((id) => !id) || new Set(questionIds).size !== questionIds.length) {
+      return res.status(400).json({ error: 'Cannot answer the same question more than once' });
+    }
+
+    if (answers.some((a) => !QUESTION_CHOICES.includes(a.choice))) {
+      return res.status(400).json({
+        error: `Invalid answer. Must be one of ${QUESTION_CHOICES.join(', ')}`,
+      });
+    }
+
+    if (answers.length > 0) {
+      const openQuestions = await prisma.ballotQuestion.count({
+        where: {
+          id: {
+            in: questionIds,
+          },
+          electionId: req.election.id,
+          votingOpens: {
+            lte: now,
+          },
+          votingCloses: {
+            gte: now,
+          },
         },
-      },
+      });
+
+      if (openQuestions !== answers.length) {
+        return res.status(400).json({
+          error: 'Some questions are not open for voting',
+          hint: 'Voting window may have closed. Contact administrator to extend voting time.',
+        });
+      }
+    }
+
+    /**
+     * Consume the ballot and store its contents as an anonymous CastBallot (transaction)
+     * The CastBallot has no reference to the ballot, the voter or the time it was cast,
+     * so the record of who voted cannot be joined to what they chose.
+     * The conditional update stops two concurrent submissions of the same token.
+     * The voter's receipt is a random tracking code plus the hash of the ballot contents.
+     * In elections with encrypted ballots only the ciphertexts are stored (utils/ballotEncryption.js).
+     */
+    const trackingCode = generateTrackingCode();
+
+    const electionKey = await prisma.electionKey.findUnique({
+      where: { electionId: ballot.electionId },
+      select: { publicKey: true },
     });
 
-    if (existingVotes.length > 0) {
-      return res.status(400).json({ error: 'You have already voted for some of these positions' });
+    let encrypted = null;
+    if (electionKey) {
+      // Every approved candidate of a voted position gets a ciphertext, chosen or not
+      const slotCandidates = await prisma.candidate.findMany({
+        where: {
+          positionId: { in: positions.map((p) => p.id) },
+          status: 'APPROVED',
+        },
+        select: { id: true, positionId: true },
+      });
+      const candidateSlots = new Map(positions.map((p) => [
+        p.id,
+        slotCandidates.filter((c) => c.positionId === p.id).map((c) => c.id),
+      ]));
+
+      encrypted = encryptBallot(electionKey.publicKey, candidateSlots, selections, answers);
     }
 
-    // Create vote records (transaction)
-    const voteRecords = await prisma.$transaction(
-      votes.map((vote) =>
-        prisma.vote.create({
+    // Ciphertexts need no salt; plain choices do, or their hash could be guessed
+    const contentSalt = encrypted ? null : generateContentSalt();
+    const contentHash = hashBallotContents(encrypted
+      ? buildEncryptedBallotContents({ trackingCode, electionId: ballot.electionId, ...encrypted })
+      : buildBallotContents({
+          trackingCode,
+          electionId: ballot.electionId,
+          salt: contentSalt,
+          votes: selections,
+          answers,
+        }));
+
+    const castBallot = await prisma.$transaction(async (tx) => {
+      // Still active and not expired at the moment it is used
+      const consumed = await tx.ballot.updateMany({
+        where: { id: ballot.id, status: 'ACTIVE', expiresAt: { gt: new Date() } },
+        data: {
+          status: 'CONSUMED',
+          consumedAt: new Date(),
+        },
+      });
+
+      if (consumed.count === 0) {
+        return null;
+      }
+
+      if (encrypted) {
+        return tx.castBallot.create({
           data: {
-            ballotId: ballot.id,
-            positionId: vote.positionId,
-            candidateId: vote.candidateId,
+            electionId: ballot.electionId,
+            trackingCode,
+            contentHash,
+            encryptedVotes: { create: encrypted.votes },
+            encryptedResponses: { create: encrypted.answers },
           },
-        })
-      )
-    );
+        });
+      }
 
-    // Mark ballot as consumed
-    await prisma.ballot.update({
-      where: { id: ballot.id },
-      data: {
-        status: 'CONSUMED',
-        consumedAt: new Date(),
-      },
+      return tx.castBallot.create({
+        data: {
+          electionId: ballot.electionId,
+          trackingCode,
+          contentHash,
+          contentSalt,
+          votes: {
+            create: selections.map((selection) => ({
+              positionId: selection.positionId,
+              candidateId: selection.candidateId,
+              writeInName: selection.writeInName,
+              writeInKey: selection.writeInKey,
+              rank: selection.rank,
+              abstain: selection.abstain,
+            })),
+          },
+          responses: {
+            create: answers.map((answer) => ({
+              questionId: answer.questionId,
+              choice: answer.choice,
+            })),
+          },
+        },
+      });
     });
 
+    if (!castBallot) {
+      // Used, revoked or expired while the vote was being checked
+      const current = await prisma.ballot.findUnique({ where: { id: ballot.id } });
+      const { status, ...body } = ballotTokenError(current) || {
+        status: 400,
+        error: 'This ballot has already been used',
+        hint: 'You can only vote once',
+      };
+      return res.status(status).json(body);
+    }
+
     // Log audit (non-blocking - don't wait for it)
+    // Records that this voter took part, never what they chose
     logAudit({
       actorType: 'voter',
       actorId: ballot.voter.id,
+      electionId: ballot.electionId,
       action: 'CAST_VOTE',
       entity: 'ballot',
       entityId: ballot.id,
       payload: {
         regNo: ballot.voter.regNo,
-        positionsVoted: votes.length,
-        positions: votes.map((v) => ({
-          positionId: v.positionId,
-          candidateId: v.candidateId,
-        })),
       },
+      // No IP address or device next to the moment a voter voted
+      withoutClient: true,
     }).catch(err => console.error('Audit log error (non-critical):', err));
 
     res.json({
       message: 'Vote cast successfully',
-      votes: voteRecords.length,
-      note: 'Your vote has been recorded. Thank you for participating!',
+      votes: votes.length,
+      answers: answers.length,
+      selections: selections.length,
+      // Not stored anywhere that links it to the voter - only the voter has this receipt
+      receipt: {
+        electionId: ballot.electionId,
+        trackingCode,
+        contentHash,
+        bulletinBoard: `/api/elections/${ballot.electionId}/bulletin/${trackingCode}`,
+      },
+      note: 'Your vote has been recorded. Keep your tracking code to check that your ballot appears on the bulletin board once voting closes.',
     });
   } catch (error) {
     console.error('Cast vote error:', error);
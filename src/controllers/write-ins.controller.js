@@ -0,0 +1,194 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { groupWriteIns, normalizeWriteIn, resolveWriteInKey } = require('../utils/writeIns');
+
+/**
+ * Write-in adjudication
+ *
+ * After voting closes, officers review the write-in names per position and merge
+ * spellings that refer to the same person (fromKey is counted as toKey).
+ * Merges are applied whenever results are computed, so they must be settled
+ * before the results are frozen for certification.
+ */
+
+// Write-in merges can no longer change once results have been frozen
+const ensureNotFrozen = async (electionId, res) => {
+  const certification = await prisma.certification.findUnique({
+    where: { electionId },
+    select: { id: true },
+  });
+
+  if (certification) {
+    res.status(409).json({
+      error: 'Results have been frozen for certification',
+      hint: 'Discard the pending certification to adjudicate write-ins again',
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// List write-in groups per position (optionally ?positionId=)
+exports.getWriteIns = async (req, res) => {
+  try {
+    const electionId = req.election.id;
+    const { positionId } = req.query;
+
+    const positions = await prisma.position.findMany({
+      where: {
+        electionId,
+        ...(positionId && { id: positionId }),
+        OR: [
+          { allowWriteIns: true },
+          { votes: { some: { writeInKey: { not: null } } } },
+        ],
+      },
+      include: {
+        votes: {
+          where: { writeInKey: { not: null } },
+          select: { writeInName: true, writeInKey: true },
+        },
+        writeInMerges: {
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+      orderBy: { name: 'asc' },
+    });
+
+    res.json({
+      positions: positions.map((position) => ({
+        positionId: position.id,
+        positionName: position.name,
+        totalWriteIns: position.votes.length,
+        groups: groupWriteIns(position.votes, position.writeInMerges),
+        merges: position.writeInMerges,
+      })),
+    });
+  } catch (error) {
+    console.error('Get write-ins error:', error);
+    res.status(500).json({ error: 'Failed to fetch write-ins' });
+  }
+};
+
+// Merge one write-in spelling into another (Officer only)
+exports.mergeWriteIns = async (req, res) => {
+  try {
+    const electionId = req.election.id;
+    const { positionId } = req.body;
+    // Keys or the names as typed are both accepted
+    const fromKey = normalizeWriteIn(req.body.fromKey);
+    const toKey = normalizeWriteIn(req.body.toKey);
+
+    if (!positionId || !fromKey || !toKey) {
+      return res.status(400).json({ error: 'positionId, fromKey and toKey are required' });
+    }
+
+    if (fromKey === toKey) {
+      return res.status(400).json({ error: 'Cannot merge a write-in into itself' });
+    }
+
+    const position = await prisma.position.findUnique({
+      where: { id: positionId, electionId },
+      include: {
+        writeInMerges: true,
+      },
+    });
+
+    if (!position) {
+      return res.status(404).json({ error: 'Position not found' });
+    }
+
+    if (!(await ensureNotFrozen(electionId, res))) return;
+
+    const keys = await prisma.vote.findMany({
+      where: { positionId, writeInKey: { in: [fromKey, toKey] } },
+      select: { writeInKey: true },
+      distinct: ['writeInKey'],
+    });
+
+    if (keys.length !== 2) {
+      return res.status(400).json({ error: 'Both write-ins must have been entered for this position' });
+    }
+
+    const mergeMap = new Map(position.writeInMerges.map((merge) => [merge.fromKey, merge.toKey]));
+
+    if (mergeMap.has(fromKey)) {
+      return res.status(409).json({
+        error: `"${fromKey}" is already merged into "${mergeMap.get(fromKey)}"`,
+        hint: 'Undo the existing merge first',
+      });
+    }
+
+    if (resolveWriteInKey(mergeMap, toKey) === fromKey) {
+      return res.status(400).json({ error: `"${toKey}" is already counted as "${fromKey}"` });
+    }
+
+    const merge = await prisma.writeInMerge.create({
+      data: {
+        positionId,
+        fromKey,
+        toKey,
+        mergedBy: req.user.id,
+      },
+    });
+
+    await logAudit({
+      actorType: 'officer',
+      actorId: req.user.id,
+      electionId,
+      action: 'MERGE_WRITE_INS',
+      entity: 'position',
+      entityId: positionId,
+      payload: { mergeId: merge.id, fromKey, toKey },
+    });
+
+    res.status(201).json({
+      message: 'Write-ins merged successfully',
+      merge,
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'This write-in has already been merged' });
+    }
+    console.error('Merge write-ins error:', error);
+    res.status(500).json({ error: 'Failed to merge write-ins' });
+  }
+};
+
+// Undo a merge (Officer only)
+exports.deleteMerge = async (req, res) => {
+  try {
+    const electionId = req.election.id;
+    const { mergeId } = req.params;
+
+    const merge = await prisma.writeInMerge.findUnique({
+      where: { id: mergeId, position: { electionId } },
+    });
+
+    if (!merge) {
+      return res.status(404).json({ error: 'Merge not found' });
+    }
+
+    if (!(await ensureNotFrozen(electionId, res))) return;
+
+    await prisma.writeInMerge.delete({
+      where: { id: mergeId },
+    });
+
+    await logAudit({
+      actorType: 'officer',
+      actorId: req.user.id,
+      electionId,
+      action: 'UNMERGE_WRITE_INS',
+      entity: 'position',
+      entityId: merge.positionId,
+      payload: { mergeId, fromKey: merge.fromKey, toKey: merge.toKey },
+    });
+
+    res.json({ message: 'Merge undone successfully' });
+  } catch (error) {
+    console.error('Delete merge error:', error);
+    res.status(500).json({ error: 'Failed to undo merge' });
+  }
+};
@@ -0,0 +1,46 @@
+const { prisma } = require('../config/prisma');
+const { isActionAllowed, stateError } = require('../utils/electionLifecycle');
+
+// Resolve the election from the :electionId route parameter
+// Routers mounted under /api/elections/:electionId must use mergeParams
+const loadElection = async (req, res, next) => {
+  try {
+    const { electionId } = req.params;
+
+    if (!electionId) {
+      return res.status(400).json({ error: 'Election ID is required' });
+    }
+
+    const election = await prisma.election.findUnique({
+      where: { id: electionId },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    req.election = election;
+    next();
+  } catch (error) {
+    console.error('Load election error:', error);
+    return res.status(500).json({ error: 'Failed to load election' });
+  }
+};
+
+// Reject the request unless the election's lifecycle state allows the action
+// Must run after loadElection
+const requireElectionState = (action) => {
+  return (req, res, next) => {
+    if (!req.election) {
+      return res.status(400).json({ error: 'Election is required' });
+    }
+
+    if (!isActionAllowed(req.election.status, action)) {
+      return res.status(409).json(stateError(req.election, action));
+    }
+
+    next();
+  };
+};
+
+module.exports = { loadElection, requireElectionState };
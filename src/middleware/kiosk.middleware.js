@@ -0,0 +1,43 @@
+const { prisma } = require('../config/prisma');
+const { hashKioskKey } = require('../utils/pollingStations');
+
+// Identify the polling station kiosk from its X-Kiosk-Key header
+// Must run after loadElection: the kiosk has to belong to the election in the route
+const authenticateKiosk = async (req, res, next) => {
+  try {
+    const key = req.get('x-kiosk-key');
+
+    if (!key) {
+      return res.status(401).json({ error: 'Kiosk key is required' });
+    }
+
+    const kiosk = await prisma.kiosk.findUnique({
+      where: { keyHash: hashKioskKey(key) },
+      include: { station: true },
+    });
+
+    if (!kiosk || kiosk.station.electionId !== req.election.id) {
+      return res.status(401).json({ error: 'Invalid kiosk key' });
+    }
+
+    if (!kiosk.active || !kiosk.station.active) {
+      return res.status(403).json({
+        error: 'This kiosk is not active',
+        hint: 'Ask an election administrator to activate the kiosk and its polling station',
+      });
+    }
+
+    prisma.kiosk.update({
+      where: { id: kiosk.id },
+      data: { lastSeenAt: new Date() },
+    }).catch((error) => console.error('Kiosk last seen update error:', error));
+
+    req.kiosk = kiosk;
+    next();
+  } catch (error) {
+    console.error('Kiosk authentication error:', error);
+    return res.status(500).json({ error: 'Kiosk authentication error' });
+  }
+};
+
+module.exports = { authenticateKiosk };
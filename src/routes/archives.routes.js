@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
+const archivesController = require('../controllers/archives.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
+
+// All archive routes require admin authentication
+router.use(authenticate);
+router.use(authorize('ADMIN'));
+router.use(loadElection);
+
+router.get('/', archivesController.getArchives);
+router.post('/', requireElectionState('RESET_VOTING_DATA'), archivesController.createArchive);
+router.get('/:archiveId/download', archivesController.downloadArchive);
+
+module.exports = router;
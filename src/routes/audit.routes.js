@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/audit.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// All audit log routes require admin authentication
+router.use(authenticate);
+router.use(authorize('ADMIN'));
+
+router.get('/', auditController.getAuditLog);
+router.get('/export/:format', auditController.exportAuditLog);
+router.get('/verify', auditController.verifyAuditLog);
+router.get('/anchors', auditController.getAuditAnchors);
+router.post('/anchors', auditController.createAuditAnchor);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
+const bulletinController = require('../controllers/bulletin.controller');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
+
+router.use(loadElection);
+// Hidden while voting is open, when new tracking codes could be matched to voters by time
+router.use(requireElectionState('VIEW_RESULTS'));
+
+// Public routes - No authentication required
+router.get('/', bulletinController.getBulletinBoard);
+router.get('/ballots', bulletinController.getPublishedBallots);
+router.get('/:trackingCode', bulletinController.lookupReceipt);
+
+module.exports = router;
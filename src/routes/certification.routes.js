@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
+const certificationController = require('../controllers/certification.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
+
+router.use(loadElection);
+
+// Public route - Download the signed certified results
+router.get('/document', certificationController.downloadCertifiedResults);
+
+// All other routes require authentication
+router.use(authenticate);
+
+router.get('/', authorize('ADMIN', 'OFFICER'), certificationController.getCertification);
+
+// Freezing and sign-off only while the election is CLOSED
+const canCertify = requireElectionState('CERTIFY_RESULTS');
+router.post('/', authorize('ADMIN'), canCertify, certificationController.freezeResults);
+router.delete('/', authorize('ADMIN'), canCertify, certificationController.discardCertification);
+router.post('/signoff', authorize('OFFICER'), canCertify, certificationController.signOff);
+
+module.exports = router;
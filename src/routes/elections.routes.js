@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const electionsController = require('../controllers/elections.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Public route - List elections (for voters to pick the election they vote in)
+router.get('/public', electionsController.getPublicElections);
+
+// All other routes require authentication
+router.use(authenticate);
+
+router.get('/', electionsController.getAllElections);
+router.get('/:electionId', electionsController.getElectionById);
+
+// Admin only routes
+router.post('/', authorize('ADMIN'), electionsController.createElection);
+router.put('/:electionId', authorize('ADMIN'), electionsController.updateElection);
+router.post('/:electionId/transition', authorize('ADMIN'), electionsController.transitionElection);
+router.delete('/:electionId', authorize('ADMIN'), electionsController.deleteElection);
+
+module.exports = router;
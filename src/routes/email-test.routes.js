@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { testEmailConfig, sendOTPEmail } = require('../utils/emailService');
+const { isDevInboxEnabled, listMessages, getMessage, clearMessages } = require('../utils/devInbox');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
 const crypto = require('crypto');
 
 // Public route to test email configuration
@@ -54,6 +56,38 @@ router.post('/send-test-otp', async (req, res) => {
   }
 });
 
+// Dev inbox - only with EMAIL_TRANSPORT=inbox, never in production, and for admins only
+// (captured emails hold voters' OTPs)
+const requireDevInbox = (req, res, next) => {
+  if (!isDevInboxEnabled()) {
+    return res.status(404).json({
+      error: 'Dev inbox is not enabled',
+      hint: 'Set EMAIL_TRANSPORT=inbox (outside production) to capture emails here',
+    });
+  }
+  next();
+};
+
+// List captured emails, newest first (?to= filters by recipient)
+router.get('/inbox', requireDevInbox, authenticate, authorize('ADMIN'), (req, res) => {
+  const messages = listMessages({ to: req.query.to });
+  res.json({ messages, total: messages.length });
+});
+
+// Read one captured email with its text and HTML body
+router.get('/inbox/:id', requireDevInbox, authenticate, authorize('ADMIN'), (req, res) => {
+  const message = getMessage(req.params.id);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  res.json(message);
+});
+
+// Empty the dev inbox
+router.delete('/inbox', requireDevInbox, authenticate, authorize('ADMIN'), (req, res) => {
+  res.json({ message: 'Dev inbox cleared', deleted: clearMessages() });
+});
+
 module.exports = router;
 
 
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
+const encryptionController = require('../controllers/encryption.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
+
+router.use(loadElection);
+
+// Public route - Election public key, commitments and trustee progress
+router.get('/', encryptionController.getElectionKey);
+
+// All other routes require authentication
+router.use(authenticate);
+
+// The key is set up before voting opens and decrypted once voting has closed
+router.post('/', authorize('ADMIN'), requireElectionState('SETUP_ENCRYPTION'), encryptionController.setupEncryption);
+router.post('/shares', authorize('ADMIN'), requireElectionState('DECRYPT_TALLY'), encryptionController.submitShare);
+
+module.exports = router;
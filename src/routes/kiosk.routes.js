@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
+const stationsController = require('../controllers/polling-stations.controller');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
+const { authenticateKiosk } = require('../middleware/kiosk.middleware');
+
+// Polling station kiosks sign in with their kiosk key (X-Kiosk-Key header)
+router.use(loadElection);
+router.use(requireElectionState('VOTE'));
+router.use(authenticateKiosk);
+
+router.get('/ballot', stationsController.getKioskBallot);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
+const notificationsController = require('../controllers/notifications.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { loadElection } = require('../middleware/election.middleware');
+
+// Notification delivery status is for admins only
+router.use(authenticate);
+router.use(authorize('ADMIN'));
+router.use(loadElection);
+
+router.get('/', notificationsController.getNotifications);
+router.get('/:notificationId', notificationsController.getNotification);
+
+module.exports = router;
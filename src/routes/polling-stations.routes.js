@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
+const stationsController = require('../controllers/polling-stations.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
+
+// All polling station routes require authentication
+router.use(authenticate);
+router.use(loadElection);
+
+router.get('/', authorize('ADMIN', 'OFFICER'), stationsController.getStations);
+
+// Admins set up stations and register kiosks
+router.post('/', authorize('ADMIN'), stationsController.createStation);
+router.patch('/:stationId', authorize('ADMIN'), stationsController.updateStation);
+router.post('/:stationId/kiosks', authorize('ADMIN'), stationsController.createKiosk);
+router.patch('/:stationId/kiosks/:kioskId', authorize('ADMIN'), stationsController.updateKiosk);
+router.post('/:stationId/kiosks/:kioskId/key', authorize('ADMIN'), stationsController.rotateKioskKey);
+
+// Officers check voters in and issue ballots on kiosks while voting is open
+router.get('/:stationId/voters/:regNo', authorize('OFFICER'), stationsController.lookupVoter);
+router.post('/:stationId/kiosks/:kioskId/ballot', authorize('OFFICER'), requireElectionState('VOTE'), stationsController.issueKioskBallot);
+router.delete('/:stationId/kiosks/:kioskId/ballot', authorize('OFFICER'), stationsController.cancelKioskBallot);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
 const positionsController = require('../controllers/positions.controller');
 const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
+
+router.use(loadElection);
 
 // Public route - Get open positions (for candidates)
 router.get('/open', positionsController.getOpenPositions);
@@ -15,11 +18,12 @@ router.get('/', positionsController.getAllPositions);
 // Get position by ID
 router.get('/:id', positionsController.getPositionById);
 
-// Admin only routes
-router.post('/', authorize('ADMIN'), positionsController.createPosition);
-router.put('/:id', authorize('ADMIN'), positionsController.updatePosition);
-router.patch('/:id/extend', authorize('ADMIN'), positionsController.extendTime);
-router.delete('/:id', authorize('ADMIN'), positionsController.deletePosition);
+// Admin only routes - positions are read-only once voting opens
+const canManage = requireElectionState('MANAGE_POSITIONS');
+router.post('/', authorize('ADMIN'), canManage, positionsController.createPosition);
+router.put('/:id', authorize('ADMIN'), canManage, positionsController.updatePosition);
+router.patch('/:id/extend', authorize('ADMIN'), canManage, positionsController.extendTime);
+router.delete('/:id', authorize('ADMIN'), canManage, positionsController.deletePosition);
 
 module.exports = router;
 
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
+const questionsController = require('../controllers/questions.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
+
+// All ballot question routes require authentication
+router.use(authenticate);
+router.use(loadElection);
+
+router.get('/', questionsController.getAllQuestions);
+router.get('/:id', questionsController.getQuestionById);
+
+// Admin only routes - questions are read-only once voting opens
+const canManage = requireElectionState('MANAGE_QUESTIONS');
+router.post('/', authorize('ADMIN'), canManage, questionsController.createQuestion);
+router.put('/:id', authorize('ADMIN'), canManage, questionsController.updateQuestion);
+router.delete('/:id', authorize('ADMIN'), canManage, questionsController.deleteQuestion);
+
+module.exports = router;
@@ -1,14 +1,20 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
 const reportsController = require('../controllers/reports.controller');
 const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
 
-// All report routes require admin authentication
 router.use(authenticate);
+
+// Officers can audit the candidate order of any ballot
+router.get('/ballot-order/:ballotId', authorize('ADMIN', 'OFFICER'), loadElection, reportsController.getBallotOrder);
+
+// All other report routes require admin authentication
 router.use(authorize('ADMIN'));
+router.use(loadElection);
 
 router.get('/turnout', reportsController.getTurnout);
-router.get('/results', reportsController.getResults);
+router.get('/results', requireElectionState('VIEW_RESULTS'), reportsController.getResults);
 router.get('/audit', reportsController.getAuditLog);
 router.get('/export/:type', reportsController.exportReport);
 
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const certificationController = require('../controllers/certification.controller');
+
+// Public routes - anyone can check a certified results file
+router.get('/public-key', certificationController.getSigningKey);
+router.post('/verify', certificationController.verifyCertifiedResults);
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
 const verificationController = require('../controllers/verification.controller');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
+
+router.use(loadElection);
+router.use(requireElectionState('VOTE'));
 
 // Public routes - No authentication required for OTP verification
 router.post('/request-otp', verificationController.requestOTP);
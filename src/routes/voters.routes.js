@@ -1,8 +1,9 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
 const multer = require('multer');
 const votersController = require('../controllers/voters.controller');
 const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
 
 // Configure multer for CSV upload
 const upload = multer({
@@ -22,10 +23,14 @@ const upload = multer({
 // All voter routes require admin authentication
 router.use(authenticate);
 router.use(authorize('ADMIN'));
+router.use(loadElection);
 
-router.post('/import', upload.single('file'), votersController.importCSV);
+router.post('/import', requireElectionState('MANAGE_VOTERS'), upload.single('file'), votersController.importCSV);
 router.get('/', votersController.getAllVoters);
-router.delete('/all', votersController.deleteAllVoters);
+router.get('/lockouts', votersController.getOtpLockouts);
+router.delete('/lockouts/:regNo', votersController.clearOtpLockout);
+router.delete('/:regNo/ballots', votersController.revokeBallotTokens);
+router.delete('/all', requireElectionState('RESET_VOTING_DATA'), votersController.deleteAllVoters);
 
 module.exports = router;
 
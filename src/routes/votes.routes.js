@@ -1,6 +1,10 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
 const votesController = require('../controllers/votes.controller');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
+
+router.use(loadElection);
+router.use(requireElectionState('VOTE'));
 
 // Public routes - No authentication required (uses ballot token)
 router.get('/ballot', votesController.getBallot);
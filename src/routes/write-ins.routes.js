@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Mounted under /api/elections/:electionId
+const writeInsController = require('../controllers/write-ins.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { loadElection, requireElectionState } = require('../middleware/election.middleware');
+
+// All write-in routes require authentication
+router.use(authenticate);
+router.use(loadElection);
+
+// Write-in names are only shown once voting has closed
+router.get('/', authorize('ADMIN', 'OFFICER'), requireElectionState('VIEW_RESULTS'), writeInsController.getWriteIns);
+
+// Officers adjudicate spellings while the election is CLOSED
+const canAdjudicate = requireElectionState('ADJUDICATE_WRITE_INS');
+router.post('/merges', authorize('OFFICER'), canAdjudicate, writeInsController.mergeWriteIns);
+router.delete('/merges/:mergeId', authorize('OFFICER'), canAdjudicate, writeInsController.deleteMerge);
+
+module.exports = router;
@@ -2,12 +2,21 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const { testConnection } = require('./config/prisma');
+const { scheduleAuditAnchors } = require('./utils/auditChain');
+const { scheduleNotificationWorker } = require('./utils/notificationOutbox');
+const { requestContext } = require('./utils/requestContext');
 
 // dotenv is already loaded in prisma.js, but load again to ensure all vars are available
 dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY (number of hops or `true`) makes req.ip the client address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true');
+}
+
 // Middleware
 // CORS - allow frontend origin
 const allowedOrigins = [
@@ -28,7 +37,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'X-Kiosk-Key'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // Request logging middleware (for debugging)
@@ -40,6 +50,9 @@ app.use((req, res, next) => {
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Request id, IP and user for audit entries (utils/requestContext.js)
+app.use(requestContext);
+
 // Serve uploaded files with proper headers
 app.use('/uploads', express.static('uploads', {
   maxAge: '1y', // Cache images for 1 year
@@ -56,12 +69,27 @@ app.use('/uploads', express.static('uploads', {
 app.use('/api/auth', require('./routes/auth.routes'));
 app.use('/api/admin', require('./routes/admin-recovery.routes')); // Admin recovery
 app.use('/api/users', require('./routes/users.routes')); // Admin user management
-app.use('/api/positions', require('./routes/positions.routes'));
 app.use('/api/candidates', require('./routes/candidates.routes'));
-app.use('/api/voters', require('./routes/voters.routes')); // Voter management
-app.use('/api/verify', require('./routes/verification.routes'));
-app.use('/api/vote', require('./routes/votes.routes'));
-app.use('/api/reports', require('./routes/reports.routes'));
+app.use('/api/certification', require('./routes/result-verification.routes')); // Certified results verification
+app.use('/api/reports/audit', require('./routes/audit.routes')); // Audit log search, export and chain verification
+
+// Election-scoped routes (positions, voter roll, verification, voting, reports)
+// Mounted before /api/elections, whose router authenticates everything it sees
+app.use('/api/elections/:electionId/positions', require('./routes/positions.routes'));
+app.use('/api/elections/:electionId/questions', require('./routes/questions.routes')); // Ballot questions (referendums)
+app.use('/api/elections/:electionId/voters', require('./routes/voters.routes')); // Voter management
+app.use('/api/elections/:electionId/verify', require('./routes/verification.routes'));
+app.use('/api/elections/:electionId/notifications', require('./routes/notifications.routes')); // OTP email/SMS delivery status
+app.use('/api/elections/:electionId/vote', require('./routes/votes.routes'));
+app.use('/api/elections/:electionId/stations', require('./routes/polling-stations.routes')); // Polling stations and kiosks (in-person voting)
+app.use('/api/elections/:electionId/kiosk', require('./routes/kiosk.routes')); // Kiosk side of in-person voting
+app.use('/api/elections/:electionId/bulletin', require('./routes/bulletin.routes')); // Public ballot bulletin board
+app.use('/api/elections/:electionId/reports', require('./routes/reports.routes'));
+app.use('/api/elections/:electionId/archives', require('./routes/archives.routes'));
+app.use('/api/elections/:electionId/write-ins', require('./routes/write-ins.routes')); // Write-in adjudication
+app.use('/api/elections/:electionId/certification', require('./routes/certification.routes'));
+app.use('/api/elections/:electionId/encryption', require('./routes/encryption.routes')); // Encrypted ballots and trustee shares
+app.use('/api/elections', require('./routes/elections.routes'));
 app.use('/api/email', require('./routes/email-test.routes')); // Email test endpoint
 
 // Health check
@@ -101,6 +129,12 @@ async function startServer() {
       console.log(`📝 Environment: ${env}`);
       console.log(`🌐 Access at: ${accessUrl}`);
     });
+
+    // Periodically record the head of the audit hash chain
+    scheduleAuditAnchors();
+
+    // Send queued emails and SMS, including any left over from before a restart
+    scheduleNotificationWorker();
   } catch (error) {
     console.error('\n❌ Failed to start server due to database connection error');
     process.exit(1);
@@ -0,0 +1,171 @@
+const { prisma } = require('../config/prisma');
+const { AUDIT_GENESIS_HASH, hashAuditEntry } = require('./auditLogger');
+
+/**
+ * Audit chain verification and anchors
+ *
+ * Verification walks the audit log in sequence order and reports the first entry
+ * where the chain breaks:
+ * - MISSING_ENTRY: a sequence number is missing (an entry was deleted)
+ * - BROKEN_LINK: prevHash does not match the hash of the entry before it
+ * - HASH_MISMATCH: the entry's contents no longer match its hash (it was edited)
+ * - UNHASHED_ENTRY: an entry without a hash after the chain has started
+ * - ANCHOR_MISMATCH: an anchored entry is missing or its hash changed, which catches
+ *   a chain that was rewritten consistently or cut short after the anchor was taken
+ *
+ * Anchors record the head of the chain (seq + hash). One is taken periodically and
+ * whenever a results PDF is produced, so a printed copy pins the log as it was then.
+ * Entries written before the chain was introduced have no hash and are reported
+ * as legacyEntries; they are not covered.
+ *
+ * Configuration from .env:
+ * - AUDIT_ANCHOR_INTERVAL_MINUTES: Minutes between periodic anchors (default: 60, 0 = off)
+ */
+
+const VERIFY_BATCH_SIZE = 1000;
+
+const getAnchorInterval = () => {
+  const minutes = parseInt(process.env.AUDIT_ANCHOR_INTERVAL_MINUTES, 10);
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : 60;
+};
+
+/**
+ * Walk the audit chain and report the first break
+ * @returns {Promise<Object>} { valid, entries, legacyEntries, chainedEntries, head, anchorsChecked, firstBreak }
+ */
+async function verifyAuditChain() {
+  const anchors = await prisma.auditAnchor.findMany({ orderBy: { seq: 'asc' } });
+  const anchoredSeqs = new Set(anchors.map((anchor) => anchor.seq));
+  const seenHashes = new Map();
+
+  let expectedSeq = 1;
+  let expectedPrevHash = AUDIT_GENESIS_HASH;
+  let legacyEntries = 0;
+  let chainedEntries = 0;
+  let head = null;
+  let firstBreak = null;
+
+  const walk = (entry) => {
+    const at = { seq: entry.seq, id: entry.id, action: entry.action, createdAt: entry.createdAt };
+
+    if (entry.seq !== expectedSeq) {
+      return { ...at, reason: 'MISSING_ENTRY', expectedSeq };
+    }
+    if (!entry.hash) {
+      if (chainedEntries > 0) {
+        return { ...at, reason: 'UNHASHED_ENTRY' };
+      }
+      legacyEntries += 1;
+      expectedSeq += 1;
+      return null;
+    }
+    if (entry.prevHash !== expectedPrevHash) {
+      return { ...at, reason: 'BROKEN_LINK' };
+    }
+    if (hashAuditEntry(entry) !== entry.hash) {
+      return { ...at, reason: 'HASH_MISMATCH' };
+    }
+
+    if (anchoredSeqs.has(entry.seq)) {
+      seenHashes.set(entry.seq, entry.hash);
+    }
+    chainedEntries += 1;
+    expectedSeq += 1;
+    expectedPrevHash = entry.hash;
+    head = { seq: entry.seq, hash: entry.hash, createdAt: entry.createdAt };
+    return null;
+  };
+
+  // Walk in batches so the whole log is never held in memory
+  let cursor = 0;
+  while (!firstBreak) {
+    const entries = await prisma.auditLog.findMany({
+      where: { seq: { gt: cursor } },
+      orderBy: { seq: 'asc' },
+      take: VERIFY_BATCH_SIZE,
+    });
+
+    if (entries.length === 0) break;
+
+    for (const entry of entries) {
+      firstBreak = walk(entry);
+      if (firstBreak) break;
+    }
+    cursor = entries[entries.length - 1].seq;
+  }
+
+  // Anchors before the break must match what was walked
+  const verifiedUpTo = firstBreak ? firstBreak.seq - 1 : expectedSeq - 1;
+  const badAnchor = anchors.find((anchor) => {
+    if (anchor.seq <= verifiedUpTo) {
+      return seenHashes.get(anchor.seq) !== anchor.hash;
+    }
+    // Anchored entry past the end of an otherwise intact chain: the log was cut short
+    return !firstBreak;
+  });
+
+  if (badAnchor) {
+    firstBreak = {
+      seq: badAnchor.seq,
+      reason: 'ANCHOR_MISMATCH',
+      anchorId: badAnchor.id,
+      anchoredAt: badAnchor.createdAt,
+    };
+  }
+
+  return {
+    valid: !firstBreak,
+    entries: expectedSeq - 1,
+    legacyEntries,
+    chainedEntries,
+    head,
+    anchorsChecked: anchors.length,
+    firstBreak,
+  };
+}
+
+/**
+ * Record the current head of the chain as an anchor
+ * Reuses the latest anchor if no entry was added since.
+ * @returns {Promise<Object|null>} AuditAnchor record, or null if no entry is chained yet
+ */
+async function createAuditAnchor() {
+  const [head, latest] = await Promise.all([
+    prisma.auditLog.findFirst({
+      where: { hash: { not: null } },
+      orderBy: { seq: 'desc' },
+      select: { seq: true, hash: true },
+    }),
+    prisma.auditAnchor.findFirst({
+      orderBy: { seq: 'desc' },
+    }),
+  ]);
+
+  if (!head) return null;
+  if (latest && latest.seq === head.seq) return latest;
+
+  return prisma.auditAnchor.create({
+    data: { seq: head.seq, hash: head.hash },
+  });
+}
+
+/**
+ * Take an anchor every AUDIT_ANCHOR_INTERVAL_MINUTES
+ * @returns {NodeJS.Timeout|null} Timer (unref'd so it never keeps the process alive)
+ */
+function scheduleAuditAnchors() {
+  const minutes = getAnchorInterval();
+  if (minutes === 0) return null;
+
+  const timer = setInterval(() => {
+    createAuditAnchor().catch((error) => console.error('Audit anchor error:', error));
+  }, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  verifyAuditChain,
+  createAuditAnchor,
+  scheduleAuditAnchors,
+};
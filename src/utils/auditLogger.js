@@ -1,32 +1,131 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../config/prisma');
+const { canonicalJson } = require('./canonicalJson');
+const { getAuditContext } = require('./requestContext');
+
+/**
+ * Audit log (hash chain)
+ *
+ * Every entry gets the next sequence number and the hash of the entry before it:
+ * hash = SHA-256 of the canonical JSON of
+ *   { id, seq, prevHash, actorType, actorId, electionId, action, entity, entityId, payload, createdAt }
+ * plus whichever request fields are set (requestId, ip, userAgent, route, userId), so
+ * editing, deleting or reordering an entry breaks the chain from that point on
+ * (see utils/auditChain.js for verification and anchors). Request fields are picked up
+ * from the current request (utils/requestContext.js); entries written outside a request,
+ * or before these fields existed, leave them out of the hash.
+ *
+ * Entries are appended one at a time in this process; a sequence number taken by
+ * another process in the meantime makes the insert fail on the unique seq and retry.
+ */
+
+// prevHash of the first chained entry
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+const CONTEXT_FIELDS = ['requestId', 'ip', 'userAgent', 'route', 'userId'];
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Hash of an audit entry
+ * @param {Object} entry - Audit entry (stored row or entry about to be stored)
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashAuditEntry = (entry) => {
+  const hashed = {
+    id: entry.id,
+    seq: entry.seq,
+    prevHash: entry.prevHash,
+    actorType: entry.actorType,
+    actorId: entry.actorId,
+    electionId: entry.electionId,
+    action: entry.action,
+    entity: entry.entity,
+    entityId: entry.entityId,
+    payload: entry.payload,
+    createdAt: entry.createdAt,
+  };
+
+  CONTEXT_FIELDS.forEach((field) => {
+    if (entry[field] !== null && entry[field] !== undefined) {
+      hashed[field] = entry[field];
+    }
+  });
+
+  return crypto.createHash('sha256').update(canonicalJson(hashed)).digest('hex');
+};
+
+// Link a new entry to the current head of the chain and store it
+const appendEntry = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    const head = await prisma.auditLog.findFirst({
+      orderBy: { seq: 'desc' },
+      select: { seq: true, hash: true },
+    });
+
+    const entry = {
+      id: crypto.randomUUID(),
+      seq: (head?.seq ?? 0) + 1,
+      // Entries written before the chain was introduced have no hash
+      prevHash: head?.hash ?? AUDIT_GENESIS_HASH,
+      ...fields,
+      createdAt: new Date(),
+    };
+
+    try {
+      return await prisma.auditLog.create({
+        data: {
+          ...entry,
+          payload: entry.payload ?? Prisma.DbNull,
+          hash: hashAuditEntry(entry),
+        },
+      });
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Appends run one after another so two entries never claim the same sequence number
+let appendQueue = Promise.resolve();
 
 /**
  * Log an action to the audit log
  * @param {Object} params - Audit log parameters
  * @param {String} params.actorType - Type of actor (admin, officer, candidate, voter, system)
  * @param {String} params.actorId - ID of the actor (optional)
+ * @param {String} params.electionId - ID of the election the action belongs to (optional)
  * @param {String} params.action - Action performed (e.g., "CREATE_POSITION", "APPROVE_NOMINATION")
  * @param {String} params.entity - Entity type (e.g., "position", "candidate")
  * @param {String} params.entityId - ID of the entity (optional)
  * @param {Object} params.payload - Additional data (optional)
+ * @param {Boolean} params.withoutClient - Leave the client's IP address and user agent out (optional)
  */
-const logAudit = async ({ actorType, actorId, action, entity, entityId, payload }) => {
+const logAudit = async ({ actorType, actorId, electionId, action, entity, entityId, payload, withoutClient }) => {
+  // Read now: the queued append may run after the request has moved on
+  const context = getAuditContext({ withoutClient });
+
+  const append = appendQueue.then(() => appendEntry({
+    actorType,
+    actorId: actorId || null,
+    electionId: electionId || null,
+    action,
+    entity: entity || null,
+    entityId: entityId || null,
+    payload: payload ? JSON.parse(JSON.stringify(payload)) : null,
+    ...context,
+  }));
+  appendQueue = append.catch(() => {});
+
   try {
-    await prisma.auditLog.create({
-      data: {
-        actorType,
-        actorId: actorId || null,
-        action,
-        entity: entity || null,
-        entityId: entityId || null,
-        payload: payload ? JSON.parse(JSON.stringify(payload)) : null
-      }
-    });
+    await append;
   } catch (error) {
     console.error('Failed to log audit:', error);
     // Don't throw - audit logging failure shouldn't break the app
   }
 };
 
-module.exports = { logAudit };
-
+module.exports = { AUDIT_GENESIS_HASH, hashAuditEntry, logAudit };
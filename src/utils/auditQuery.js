@@ -0,0 +1,227 @@
+const { prisma } = require('../config/prisma');
+const { auditIpCandidates } = require('./requestContext');
+
+/**
+ * Audit log queries and exports
+ *
+ * Filters (query string, all optional):
+ * - action: part of the action name (case-insensitive through the column collation)
+ * - actorType, actorId, entity, entityId, electionId, requestId, userId: exact match
+ * - ip: client IP address; also finds entries where the address was stored hashed
+ * - from, to: createdAt range (ISO 8601, both inclusive)
+ * - payloadKey + payloadValue: entries whose payload has this value at the key
+ *   (dot-separated for nested keys, e.g. payloadKey=regNo or payloadKey=from)
+ *
+ * Entries are paged with a cursor on the sequence number (seq), which never changes
+ * once written, so pages stay stable while new entries are appended.
+ * Exports stream every matching entry in batches as CSV or NDJSON.
+ */
+
+const MAX_PAGE_SIZE = 500;
+const EXPORT_BATCH_SIZE = 1000;
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const EXACT_FILTERS = ['actorType', 'actorId', 'entity', 'entityId', 'electionId', 'requestId', 'userId'];
+
+const PAYLOAD_KEY_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+const parseDateFilter = (value, name) => {
+  if (value === undefined) return {};
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? { error: `${name} must be a valid date (ISO 8601)` }
+    : { date };
+};
+
+/**
+ * Build the Prisma where clause for an audit query
+ * @param {Object} query - Request query string
+ * @param {Object} scope - Fixed filters that the query cannot override (e.g. { electionId })
+ * @returns {{where?: Object, error?: string}}
+ */
+function buildAuditWhere(query, scope = {}) {
+  const conditions = [];
+
+  EXACT_FILTERS.forEach((field) => {
+    const value = scope[field] ?? query[field];
+    if (typeof value === 'string' && value.length > 0) {
+      conditions.push({ [field]: value });
+    }
+  });
+
+  // MySQL has no `mode: 'insensitive'`; the default collation already ignores case
+  if (typeof query.action === 'string' && query.action.length > 0) {
+    conditions.push({ action: { contains: query.action } });
+  }
+
+  if (typeof query.ip === 'string' && query.ip.length > 0) {
+    conditions.push({ ip: { in: auditIpCandidates(query.ip) } });
+  }
+
+  const from = parseDateFilter(query.from, 'from');
+  const to = parseDateFilter(query.to, 'to');
+  if (from.error || to.error) {
+    return { error: from.error || to.error };
+  }
+  if (from.date || to.date) {
+    conditions.push({
+      createdAt: {
+        ...(from.date && { gte: from.date }),
+        ...(to.date && { lte: to.date }),
+      },
+    });
+  }
+
+  const { payloadKey, payloadValue } = query;
+  if (payloadKey !== undefined || payloadValue !== undefined) {
+    if (typeof payloadKey !== 'string' || !PAYLOAD_KEY_PATTERN.test(payloadKey) || typeof payloadValue !== 'string') {
+      return { error: 'payloadKey (letters, digits, _ and dots) and payloadValue must be given together' };
+    }
+
+    // Query values are strings; numbers and booleans in the payload match their text form
+    const path = `$.${payloadKey}`;
+    const candidates = [payloadValue];
+    if (payloadValue !== '' && !Number.isNaN(Number(payloadValue))) candidates.push(Number(payloadValue));
+    if (payloadValue === 'true' || payloadValue === 'false') candidates.push(payloadValue === 'true');
+
+    conditions.push({
+      OR: candidates.map((value) => ({ payload: { path, equals: value } })),
+    });
+  }
+
+  return { where: conditions.length > 0 ? { AND: conditions } : {} };
+}
+
+/**
+ * Read one page of audit entries
+ * @param {Object} where - Output of buildAuditWhere
+ * @param {Object} query - Request query string (cursor, limit, order)
+ * @returns {Promise<{logs?: Array, pagination?: Object, error?: string}>}
+ */
+async function findAuditPage(where, query) {
+  const limit = query.limit === undefined ? 50 : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const order = query.order === 'asc' ? 'asc' : 'desc';
+
+  const cursor = query.cursor === undefined ? null : parseInt(query.cursor, 10);
+  if (cursor !== null && !Number.isInteger(cursor)) {
+    return { error: 'cursor must be the nextCursor of a previous page' };
+  }
+
+  const pageWhere = cursor === null
+    ? where
+    : { AND: [where, { seq: order === 'desc' ? { lt: cursor } : { gt: cursor } }] };
+
+  // One extra entry tells whether another page follows
+  const [rows, total] = await Promise.all([
+    prisma.auditLog.findMany({
+      where: pageWhere,
+      orderBy: { seq: order },
+      take: limit + 1,
+    }),
+    prisma.auditLog.count({ where }),
+  ]);
+
+  const logs = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+
+  return {
+    logs,
+    pagination: {
+      limit,
+      order,
+      total,
+      hasMore,
+      nextCursor: hasMore ? logs[logs.length - 1].seq : null,
+    },
+  };
+}
+
+// Quote a CSV cell (RFC 4180)
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const CSV_HEADER = 'Seq,Date,Actor Type,Actor ID,Election ID,Action,Entity,Entity ID,Details,'
+  + 'Request ID,User ID,IP,User Agent,Route,Hash\n';
+
+const csvRow = (log) => [
+  log.seq,
+  log.createdAt,
+  log.actorType,
+  log.actorId,
+  log.electionId,
+  log.action,
+  log.entity,
+  log.entityId,
+  log.payload ? JSON.stringify(log.payload) : '',
+  log.requestId,
+  log.userId,
+  log.ip,
+  log.userAgent,
+  log.route,
+  log.hash,
+].map(csvCell).join(',') + '\n';
+
+const ndjsonRow = (log) => `${JSON.stringify(log)}\n`;
+
+// Wait until the response can take more data (or the client went away)
+const drained = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Stream every matching audit entry to the response, oldest first
+ * Reads EXPORT_BATCH_SIZE entries at a time and waits for the client to keep up,
+ * so memory use does not grow with the size of the log.
+ * @param {Object} res - Express response
+ * @param {Object} where - Output of buildAuditWhere
+ * @param {'csv'|'ndjson'} format - Export format
+ * @param {string} fileName - Download name without extension
+ */
+async function streamAuditExport(res, where, format, fileName) {
+  const toRow = format === 'csv' ? csvRow : ndjsonRow;
+
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `attachment; filename=${fileName}.${format}`);
+
+  if (format === 'csv') {
+    res.write(CSV_HEADER);
+  }
+
+  let cursor = 0;
+  for (;;) {
+    const batch = await prisma.auditLog.findMany({
+      where: { AND: [where, { seq: { gt: cursor } }] },
+      orderBy: { seq: 'asc' },
+      take: EXPORT_BATCH_SIZE,
+    });
+
+    if (batch.length === 0 || res.destroyed) break;
+
+    if (!res.write(batch.map(toRow).join(''))) {
+      await drained(res);
+    }
+    cursor = batch[batch.length - 1].seq;
+  }
+
+  res.end();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildAuditWhere,
+  findAuditPage,
+  streamAuditExport,
+};
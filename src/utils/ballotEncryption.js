@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const { isRankedMethod, QUESTION_CHOICES } = require('./votingMethods');
+
+/**
+ * Encrypted ballots (exponential ElGamal with threshold decryption)
+ *
+ * Group: the RFC 3526 2048-bit MODP group (group 14). g = 2 generates the
+ * subgroup of prime order q = (p - 1) / 2, and all exponents live in Z_q.
+ *
+ * - Election key: at setup a private key x is generated, the public key y = g^x
+ *   is stored and x is split among the trustees with t-of-n Shamir sharing.
+ *   x itself is never stored. Feldman commitments g^a_j to the polynomial
+ *   coefficients let every share be checked when a trustee submits it.
+ * - Ballots: every option of a position (each approved candidate plus an abstain
+ *   slot) and every answer of a question is encrypted as (g^r, g^m * y^r), with
+ *   m = 1 for the chosen options and 0 for the rest.
+ * - Tally: multiplying ciphertexts adds their plaintexts, so only the total of each
+ *   option is decrypted. Each trustee share s_i gives a partial decryption A^s_i of
+ *   the totals when it is submitted; the share itself is then dropped. The partials
+ *   are combined with Lagrange coefficients in the exponent, so neither x nor any
+ *   single ballot is ever decrypted, and nothing stored can decrypt a ballot.
+ *
+ * Ranked methods (IRV, STV) and write-ins cannot be counted from option totals,
+ * so they are not available in encrypted elections.
+ */
+
+const ENCRYPTION_SCHEME = 'elgamal-modp14/v1';
+
+// Slot holding a deliberate blank vote next to the candidate slots
+const ABSTAIN_SLOT = 'abstain';
+
+const PRIME_BUFFER = crypto.getDiffieHellman('modp14').getPrime();
+const P = BigInt(`0x${PRIME_BUFFER.toString('hex')}`);
+const Q = (P - 1n) / 2n;
+const G = 2n;
+
+const toHex = (value) => value.toString(16);
+
+const fromHex = (hex) => BigInt(`0x${hex}`);
+
+const toBuffer = (value) => {
+  const hex = toHex(value);
+  return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+};
+
+const mod = (value, modulus) => ((value % modulus) + modulus) % modulus;
+
+/**
+ * base^exponent mod p
+ * Node's DiffieHellman computes peerKey^privateKey mod p in OpenSSL, which is
+ * several times faster than BigInt square-and-multiply for 2048-bit numbers.
+ * It rejects 1 and p - 1 as peer keys, whose powers are trivial anyway.
+ */
+const dh = crypto.createDiffieHellman(PRIME_BUFFER, toBuffer(G));
+const modPow = (base, exponent) => {
+  const e = mod(exponent, Q);
+  if (e === 0n || base === 1n) return 1n;
+  if (base === P - 1n) return e % 2n === 0n ? 1n : P - 1n;
+
+  dh.setPrivateKey(toBuffer(e));
+  return BigInt(`0x${dh.computeSecret(toBuffer(base)).toString('hex')}`);
+};
+
+const modInverse = (value, modulus) => {
+  let [a, b] = [mod(value, modulus), modulus];
+  let [x, y] = [1n, 0n];
+  while (b !== 0n) {
+    const quotient = a / b;
+    [a, b] = [b, a - quotient * b];
+    [x, y] = [y, x - quotient * y];
+  }
+  return mod(x, modulus);
+};
+
+// Uniform random exponent in [1, q - 1]
+const randomExponent = () => {
+  for (;;) {
+    const bytes = crypto.randomBytes(256);
+    bytes[0] &= 0x7f; // q has 2047 bits
+    const value = BigInt(`0x${bytes.toString('hex')}`);
+    if (value > 0n && value < Q) return value;
+  }
+};
+
+/**
+ * Reason a position cannot be used in an encrypted election
+ * @param {string} votingMethod - Voting method of the position
+ * @param {boolean} allowWriteIns - Whether the position accepts write-ins
+ * @returns {string|null} Error message, or null if the position can be encrypted
+ */
+const validateEncryptedPosition = (votingMethod, allowWriteIns) => {
+  if (isRankedMethod(votingMethod)) {
+    return 'Ranked voting methods (IRV, STV) are not available in elections with encrypted ballots';
+  }
+  if (allowWriteIns) {
+    return 'Write-ins are not available in elections with encrypted ballots';
+  }
+  return null;
+};
+
+/**
+ * Generate an election key and split it among the trustees
+ * @param {number} trustees - Number of shares to create (n)
+ * @param {number} threshold - Shares needed to decrypt (t)
+ * @returns {{publicKey: string, commitments: string[], shares: Array<{trusteeIndex: number, share: string}>}}
+ *   Hex values; the shares are handed to the trustees and never stored
+ */
+const generateElectionKey = (trustees, threshold) => {
+  // f(z) = a_0 + a_1 z + ... + a_{t-1} z^{t-1} over Z_q, with a_0 = x
+  const coefficients = Array.from({ length: threshold }, randomExponent);
+
+  const evaluate = (index) => coefficients.reduceRight(
+    (acc, coefficient) => mod(acc * BigInt(index) + coefficient, Q),
+    0n
+  );
+
+  const commitments = coefficients.map((coefficient) => modPow(G, coefficient));
+
+  return {
+    publicKey: toHex(commitments[0]),
+    commitments: commitments.map(toHex),
+    shares: Array.from({ length: trustees }, (_, i) => ({
+      trusteeIndex: i + 1,
+      share: toHex(evaluate(i + 1)),
+    })),
+  };
+};
+
+/**
+ * Parse a submitted share (hex string)
+ * @param {string} share - Share as handed to the trustee
+ * @returns {bigint|null} Share value, or null if malformed
+ */
+const parseShare = (share) => {
+  if (typeof share !== 'string' || !/^[0-9a-f]{1,512}$/i.test(share.trim())) {
+    return null;
+  }
+  const value = fromHex(share.trim().toLowerCase());
+  return value > 0n && value < Q ? value : null;
+};
+
+/**
+ * Check a share against the Feldman commitments: g^s_i = prod_j C_j^(i^j)
+ * @param {string[]} commitments - Hex commitments stored with the election key
+ * @param {number} trusteeIndex - Index of the trustee (1-based)
+ * @param {bigint} share - Parsed share
+ * @returns {boolean}
+ */
+const verifyShare = (commitments, trusteeIndex, share) => {
+  const index = BigInt(trusteeIndex);
+  let power = 1n;
+  let expected = 1n;
+
+  commitments.forEach((commitment) => {
+    expected = (expected * modPow(fromHex(commitment), power)) % P;
+    power = mod(power * index, Q);
+  });
+
+  return modPow(G, share) === expected;
+};
+
+// Lagrange coefficient of trustee i at z = 0 over the given trustee indices
+const lagrangeCoefficient = (index, indices) => indices.reduce((acc, other) => {
+  if (other === index) return acc;
+  return mod(acc * BigInt(other) * modInverse(BigInt(other - index), Q), Q);
+}, 1n);
+
+/**
+ * Encrypt 0 or 1 under the election public key
+ * @param {string} publicKey - Hex public key
+ * @param {number} value - 0 or 1
+ * @returns {string[]} Ciphertext [g^r, g^m * y^r] as hex
+ */
+const encryptValue = (publicKey, value) => {
+  const r = randomExponent();
+  const a = modPow(G, r);
+  const b = (modPow(G, BigInt(value)) * modPow(fromHex(publicKey), r)) % P;
+  return [toHex(a), toHex(b)];
+};
+
+/**
+ * Encrypt one ballot entry as a 0/1 ciphertext per slot
+ * @param {string} publicKey - Hex public key
+ * @param {string[]} slots - Every option of the position or question
+ * @param {Set<string>} chosen - Slots the voter selected
+ * @returns {Object<string, string[]>} Ciphertext per slot
+ */
+const encryptChoices = (publicKey, slots, chosen) => slots.reduce((acc, slot) => {
+  acc[slot] = encryptValue(publicKey, chosen.has(slot) ? 1 : 0);
+  return acc;
+}, {});
+
+/**
+ * Encrypt the contents of a ballot
+ * Every position on the ballot gets a ciphertext for each of its approved candidates
+ * and for the abstain slot, so the stored entry does not reveal which one was chosen.
+ * @param {string} publicKey - Hex public key of the election
+ * @param {Map<string, string[]>} candidateSlots - Approved candidate IDs per voted position
+ * @param {Array<{positionId, candidateId, abstain}>} selections - Normalised selections
+ * @param {Array<{questionId, choice}>} answers - Question answers
+ * @returns {{votes: Array<{positionId, ciphertexts}>, answers: Array<{questionId, ciphertexts}>}}
+ */
+const encryptBallot = (publicKey, candidateSlots, selections, answers) => ({
+  votes: [...candidateSlots].map(([positionId, candidateIds]) => {
+    const chosen = new Set(selections
+      .filter((selection) => selection.positionId === positionId)
+      .map((selection) => (selection.abstain ? ABSTAIN_SLOT : selection.candidateId)));
+
+    return {
+      positionId,
+      ciphertexts: encryptChoices(publicKey, [...candidateIds, ABSTAIN_SLOT], chosen),
+    };
+  }),
+  answers: answers.map((answer) => ({
+    questionId: answer.questionId,
+    ciphertexts: encryptChoices(publicKey, QUESTION_CHOICES, new Set([answer.choice])),
+  })),
+});
+
+// Homomorphic sum of each slot: (prod a, prod b) encrypts the number of ballots that chose it
+const sumCiphertexts = (entries, slots) => slots.reduce((sums, slot) => {
+  let a = 1n;
+  let b = 1n;
+  entries.forEach((entry) => {
+    if (!entry[slot]) return;
+    a = (a * fromHex(entry[slot][0])) % P;
+    b = (b * fromHex(entry[slot][1])) % P;
+  });
+  sums[slot] = [toHex(a), toHex(b)];
+  return sums;
+}, {});
+
+/**
+ * Multiply the ballots of an encrypted election into one ciphertext per option
+ * @param {Object} params
+ * @param {Array<{id, candidates: Array<{id}>}>} params.positions - Positions with approved candidates
+ * @param {Array<{id}>} params.questions - Ballot questions
+ * @param {Array<{positionId, ciphertexts}>} params.encryptedVotes - Stored encrypted votes
+ * @param {Array<{questionId, ciphertexts}>} params.encryptedResponses - Stored encrypted answers
+ * @returns {Object} { positions: { [id]: { ballots, sums } }, questions: { [id]: { ballots, sums } } },
+ *   sums holding the hex ciphertext of each slot's total
+ */
+const aggregateBallots = ({ positions, questions, encryptedVotes, encryptedResponses }) => ({
+  positions: positions.reduce((acc, position) => {
+    const entries = encryptedVotes
+      .filter((vote) => vote.positionId === position.id)
+      .map((vote) => vote.ciphertexts);
+    const slots = [...position.candidates.map((candidate) => candidate.id), ABSTAIN_SLOT];
+
+    acc[position.id] = { ballots: entries.length, sums: sumCiphertexts(entries, slots) };
+    return acc;
+  }, {}),
+  questions: questions.reduce((acc, question) => {
+    const entries = encryptedResponses
+      .filter((response) => response.questionId === question.id)
+      .map((response) => response.ciphertexts);
+
+    acc[question.id] = { ballots: entries.length, sums: sumCiphertexts(entries, QUESTION_CHOICES) };
+    return acc;
+  }, {}),
+});
+
+// Apply fn({ group, id, slot, sum, ballots }) to every slot total of an aggregate, keeping its shape
+const mapSums = (aggregate, fn) => {
+  const mapGroup = (group) => Object.entries(aggregate[group]).reduce((acc, [id, entry]) => {
+    acc[id] = Object.entries(entry.sums).reduce((values, [slot, sum]) => {
+      values[slot] = fn({ group, id, slot, sum, ballots: entry.ballots });
+      return values;
+    }, {});
+    return acc;
+  }, {});
+
+  return { positions: mapGroup('positions'), questions: mapGroup('questions') };
+};
+
+/**
+ * A trustee's partial decryption of the totals: a^s_i for each slot total (a, b)
+ * It only helps decrypt these totals, never a single ballot, so it can be stored
+ * where the share itself must not be.
+ * @param {Object} aggregate - Output of aggregateBallots
+ * @param {bigint} share - Verified share of the trustee
+ * @returns {Object} { positions: { [id]: { [slot]: hex } }, questions: { [id]: { [slot]: hex } } }
+ */
+const partialDecryption = (aggregate, share) =>
+  mapSums(aggregate, ({ sum: [a] }) => toHex(modPow(fromHex(a), share)));
+
+/**
+ * Decrypt the totals of an encrypted election from threshold partial decryptions
+ * @param {Object} aggregate - Output of aggregateBallots (the same ballots the partials were made from)
+ * @param {Array<{trusteeIndex: number, partial: Object}>} partials - Partial decryptions of
+ *   at least threshold trustees
+ * @returns {Object} Tally stored on the ElectionKey:
+ *   { positions: { [id]: { ballots, abstained, counts } }, questions: { [id]: { YES, NO, ABSTAIN } } }
+ */
+const combinePartialDecryptions = (aggregate, partials) => {
+  const indices = partials.map((partial) => partial.trusteeIndex);
+  const coefficients = partials.map((partial) => lagrangeCoefficient(partial.trusteeIndex, indices));
+
+  const totals = mapSums(aggregate, ({ group, id, slot, sum: [, b], ballots }) => {
+    // a^x from the partial decryptions a^s_i, then g^m = b / a^x
+    const mask = partials.reduce((acc, { trusteeIndex, partial }, i) => {
+      const value = partial[group]?.[id]?.[slot];
+      if (!value) {
+        throw new Error(`Partial decryption of trustee ${trusteeIndex} has no slot ${slot}`);
+      }
+      return (acc * modPow(fromHex(value), coefficients[i])) % P;
+    }, 1n);
+    const target = (fromHex(b) * modInverse(mask, P)) % P;
+
+    // Small discrete log: m is at most the number of ballots
+    let m = 0;
+    let power = 1n;
+    while (power !== target) {
+      if (m >= ballots) {
+        throw new Error(`Decryption of slot ${slot} failed`);
+      }
+      power = (power * G) % P;
+      m += 1;
+    }
+    return m;
+  });
+
+  return {
+    scheme: ENCRYPTION_SCHEME,
+    positions: Object.entries(totals.positions).reduce((acc, [id, counts]) => {
+      const { [ABSTAIN_SLOT]: abstained, ...candidates } = counts;
+      acc[id] = { ballots: aggregate.positions[id].ballots, abstained, counts: candidates };
+      return acc;
+    }, {}),
+    questions: totals.questions,
+  };
+};
+
+module.exports = {
+  ENCRYPTION_SCHEME,
+  validateEncryptedPosition,
+  generateElectionKey,
+  parseShare,
+  verifyShare,
+  encryptBallot,
+  aggregateBallots,
+  partialDecryption,
+  combinePartialDecryptions,
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+/**
+ * Candidate order on the ballot
+ *
+ * Each position has a candidateOrder:
+ * - ALPHABETICAL: every voter sees the same list, sorted by name
+ * - RANDOMIZED: the list is shuffled for each ballot
+ * - ROTATED: the alphabetical list is rotated to start at a different candidate for each ballot
+ *
+ * Orders are deterministic so a voter sees the same order on every reload and an auditor
+ * can reproduce the order of any ballot (scheme 'sha256-ballot-position/v1'):
+ * 1. Base list: approved candidates sorted by name, then id (plain code point comparison)
+ * 2. Seed: SHA-256 of "<ballotId>:<positionId>" (hex)
+ * 3. Random stream: SHA-256 of "<seed>:<counter>" for counter = 0, 1, ..., each digest read as
+ *    eight big-endian uint32 values; a draw below n rejects values >= floor(2^32 / n) * n
+ *    and returns value mod n
+ * 4. RANDOMIZED: Fisher-Yates, for i = n-1 down to 1 swap i with draw(i + 1)
+ *    ROTATED: start the base list at index draw(n)
+ */
+
+const CANDIDATE_ORDERS = ['ALPHABETICAL', 'RANDOMIZED', 'ROTATED'];
+
+const BALLOT_ORDER_SCHEME = 'sha256-ballot-position/v1';
+
+const compareCodePoints = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Step 1: the order every scheme starts from
+const baseOrder = (candidates) =>
+  [...candidates].sort((a, b) => compareCodePoints(a.name, b.name) || compareCodePoints(a.id, b.id));
+
+/**
+ * Seed for one ballot and position
+ * @param {string} ballotId - Ballot ID
+ * @param {string} positionId - Position ID
+ * @returns {string} Hex SHA-256 digest
+ */
+const getOrderSeed = (ballotId, positionId) =>
+  crypto.createHash('sha256').update(`${ballotId}:${positionId}`).digest('hex');
+
+// Step 3: unbiased draws in [0, n) from the seed
+const createDraw = (seed) => {
+  let counter = 0;
+  let values = [];
+
+  const next = () => {
+    if (values.length === 0) {
+      const block = crypto.createHash('sha256').update(`${seed}:${counter}`).digest();
+      counter += 1;
+      values = Array.from({ length: 8 }, (_, idx) => block.readUInt32BE(idx * 4));
+    }
+    return values.shift();
+  };
+
+  return (n) => {
+    const limit = Math.floor(0x100000000 / n) * n;
+    let value = next();
+    while (value >= limit) value = next();
+    return value % n;
+  };
+};
+
+/**
+ * Order a position's candidates for one ballot
+ * @param {Object} position - Position record (id, candidateOrder)
+ * @param {Array<{id, name}>} candidates - Approved candidates of the position
+ * @param {string} ballotId - Ballot ID
+ * @returns {Array} Candidates in ballot order
+ */
+const orderCandidates = (position, candidates, ballotId) => {
+  const ordered = baseOrder(candidates);
+  if (ordered.length < 2 || !position.candidateOrder || position.candidateOrder === 'ALPHABETICAL') {
+    return ordered;
+  }
+
+  const draw = createDraw(getOrderSeed(ballotId, position.id));
+
+  if (position.candidateOrder === 'ROTATED') {
+    const offset = draw(ordered.length);
+    return [...ordered.slice(offset), ...ordered.slice(0, offset)];
+  }
+
+  for (let i = ordered.length - 1; i > 0; i--) {
+    const j = draw(i + 1);
+    [ordered[i], ordered[j]] = [ordered[j], ordered[i]];
+  }
+  return ordered;
+};
+
+module.exports = {
+  CANDIDATE_ORDERS,
+  BALLOT_ORDER_SCHEME,
+  getOrderSeed,
+  orderCandidates,
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { canonicalJson } = require('./canonicalJson');
+
+/**
+ * Ballot receipts and the public bulletin board
+ *
+ * Every cast ballot gets a random tracking code and a commitment to its contents:
+ * contentHash = SHA-256 of the canonical JSON of
+ *   { format, trackingCode, electionId, salt, votes: [...], answers: [...] }
+ * with votes sorted by positionId then rank, and answers by questionId. The salt is
+ * random and never leaves the server: without it the few possible choices could be
+ * hashed one by one until one matched a published hash.
+ *
+ * In elections with encrypted ballots the contents are the ciphertexts instead
+ * (ENCRYPTED_BALLOT_CONTENTS_FORMAT), so the hash commits to what was stored
+ * without the board ever showing a choice in the clear.
+ *
+ * The voter keeps { trackingCode, contentHash } as a receipt. Once voting is over the
+ * bulletin board publishes every tracking code with its hash, so voters can check that
+ * their ballot was counted, and the contents without tracking codes, so anyone can
+ * re-run the tally. A receipt never shows how its ballot was filled in, so it cannot
+ * be used to prove a vote to someone else. Encrypted ballots are published with their
+ * tracking codes, as only ciphertexts are shown.
+ */
+
+const BALLOT_CONTENTS_FORMAT = 'ballot-buddy-ballot/v2';
+const UNSALTED_BALLOT_CONTENTS_FORMAT = 'ballot-buddy-ballot/v1'; // Ballots cast before salts
+const ENCRYPTED_BALLOT_CONTENTS_FORMAT = 'ballot-buddy-encrypted-ballot/v1';
+
+// Plain code point order, so other implementations sort the same way
+const compareCodePoints = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Crockford base32 (no I, L, O, U) keeps codes easy to read out and type
+const TRACKING_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Generate a random tracking code (80 bits, e.g. "7K2M-QX9D-R4TB-W1HC")
+ * @returns {string}
+ */
+const generateTrackingCode = () => {
+  const bytes = crypto.randomBytes(10);
+  let bits = 0;
+  let value = 0;
+  let code = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      code += TRACKING_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  return code.match(/.{4}/g).join('-');
+};
+
+/**
+ * Generate the secret salt of a ballot's content hash (128 bits)
+ * @returns {string} Hex salt
+ */
+const generateContentSalt = () => crypto.randomBytes(16).toString('hex');
+
+// Accept lower case and missing dashes when a voter types their code
+const normalizeTrackingCode = (code) => {
+  const compact = String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+  return compact.length === 16 ? compact.match(/.{4}/g).join('-') : null;
+};
+
+/**
+ * Choices of a ballot in canonical order, without anything that identifies the ballot
+ * @param {Object} params
+ * @param {Array} params.votes - Vote rows or selections (positionId, candidateId, writeInName, rank, abstain)
+ * @param {Array} params.answers - Question responses (questionId, choice)
+ * @returns {Object} { votes, answers }
+ */
+const buildBallotChoices = ({ votes, answers }) => ({
+  votes: votes
+    .map((vote) => ({
+      positionId: vote.positionId,
+      candidateId: vote.candidateId ?? null,
+      writeInName: vote.writeInName ?? null,
+      rank: vote.rank,
+      abstain: vote.abstain,
+    }))
+    .sort((a, b) => compareCodePoints(a.positionId, b.positionId) || a.rank - b.rank),
+  answers: answers
+    .map((answer) => ({ questionId: answer.questionId, choice: answer.choice }))
+    .sort((a, b) => compareCodePoints(a.questionId, b.questionId)),
+});
+
+/**
+ * Build the contents a cast ballot's hash commits to
+ * @param {Object} params
+ * @param {string} params.trackingCode - Tracking code of the ballot
+ * @param {string} params.electionId - Election ID
+ * @param {string|null} params.salt - Content salt (null for ballots cast before salts)
+ * @param {Array} params.votes - Vote rows or selections (positionId, candidateId, writeInName, rank, abstain)
+ * @param {Array} params.answers - Question responses (questionId, choice)
+ * @returns {Object} Contents document
+ */
+const buildBallotContents = ({ trackingCode, electionId, salt, votes, answers }) => ({
+  format: salt ? BALLOT_CONTENTS_FORMAT : UNSALTED_BALLOT_CONTENTS_FORMAT,
+  trackingCode,
+  electionId,
+  ...(salt && { salt }),
+  ...buildBallotChoices({ votes, answers }),
+});
+
+/**
+ * Build the published contents of an encrypted ballot
+ * @param {Object} params
+ * @param {string} params.trackingCode - Tracking code of the ballot
+ * @param {string} params.electionId - Election ID
+ * @param {Array} params.votes - Encrypted votes (positionId, ciphertexts)
+ * @param {Array} params.answers - Encrypted answers (questionId, ciphertexts)
+ * @returns {Object} Contents document
+ */
+const buildEncryptedBallotContents = ({ trackingCode, electionId, votes, answers }) => ({
+  format: ENCRYPTED_BALLOT_CONTENTS_FORMAT,
+  trackingCode,
+  electionId,
+  votes: votes
+    .map((vote) => ({ positionId: vote.positionId, ciphertexts: vote.ciphertexts }))
+    .sort((a, b) => compareCodePoints(a.positionId, b.positionId)),
+  answers: answers
+    .map((answer) => ({ questionId: answer.questionId, ciphertexts: answer.ciphertexts }))
+    .sort((a, b) => compareCodePoints(a.questionId, b.questionId)),
+});
+
+/**
+ * Hash commitment of ballot contents
+ * @param {Object} contents - Output of buildBallotContents or buildEncryptedBallotContents
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashBallotContents = (contents) => crypto.createHash('sha256').update(canonicalJson(contents)).digest('hex');
+
+module.exports = {
+  BALLOT_CONTENTS_FORMAT,
+  ENCRYPTED_BALLOT_CONTENTS_FORMAT,
+  generateTrackingCode,
+  generateContentSalt,
+  normalizeTrackingCode,
+  buildBallotChoices,
+  buildBallotContents,
+  buildEncryptedBallotContents,
+  hashBallotContents,
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/prisma');
+
+/**
+ * Ballot tokens
+ *
+ * A voter gets a ballot token after confirming an OTP. The token is valid for
+ * BALLOT_TOKEN_TTL_MINUTES and only the latest one counts: issuing a new token
+ * revokes the voter's earlier active tokens, and an admin can revoke a voter's
+ * outstanding tokens (e.g. when one may have leaked). A revoked or expired token
+ * cannot be used; the voter verifies again to get a new one.
+ *
+ * Ballot.status: ACTIVE, CONSUMED (the vote was cast) or REVOKED, with revokedReason
+ * REISSUED, ADMIN or CANCELLED (an officer cancelled it at a polling station kiosk).
+ * Expiry is not a status: an ACTIVE ballot past expiresAt is expired.
+ *
+ * Configuration from .env:
+ * - BALLOT_TOKEN_TTL_MINUTES: Minutes a ballot token stays valid (default: 30)
+ */
+
+const getBallotTokenTtl = () => {
+  const minutes = parseInt(process.env.BALLOT_TOKEN_TTL_MINUTES, 10);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : 30;
+};
+
+/**
+ * Issue a new ballot token to a voter, revoking their earlier active ones
+ * @param {Object} voter - EligibleVoter record
+ * @param {Object} [inPerson] - { stationId, kioskId, issuedById, idDocument } for a ballot
+ *   issued by an officer at a polling station (utils/pollingStations.js)
+ * @returns {Promise<Object>} { ballot, revoked } - revoked is the number of tokens revoked
+ * @throws {Error} code ALREADY_VOTED when the voter has a consumed ballot, or KIOSK_BUSY when
+ *   a ballot is already waiting on the kiosk
+ */
+async function issueBallotToken(voter, inPerson = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + getBallotTokenTtl() * 60 * 1000);
+
+  return prisma.$transaction(async (tx) => {
+    if (inPerson.kioskId) {
+      // Touching the kiosk row locks it, so officers issuing to the same kiosk take turns
+      await tx.kiosk.update({ where: { id: inPerson.kioskId }, data: { updatedAt: issuedAt } });
+      const waiting = await tx.ballot.count({
+        where: { kioskId: inPerson.kioskId, status: 'ACTIVE', expiresAt: { gt: issuedAt } },
+      });
+      if (waiting > 0) {
+        const error = new Error('A ballot is already waiting on this kiosk');
+        error.code = 'KIOSK_BUSY';
+        throw error;
+      }
+    }
+
+    const revoked = await tx.ballot.updateMany({
+      where: { voterId: voter.id, status: 'ACTIVE' },
+      data: { status: 'REVOKED', revokedAt: issuedAt, revokedReason: 'REISSUED' },
+    });
+
+    // Checked after the revoke, which locks the voter's ballots: a vote cast with one of
+    // them has either committed by now or will find its ballot revoked
+    const consumed = await tx.ballot.count({ where: { voterId: voter.id, status: 'CONSUMED' } });
+    if (consumed > 0) {
+      const error = new Error('Voter has already voted');
+      error.code = 'ALREADY_VOTED';
+      throw error;
+    }
+
+    const ballot = await tx.ballot.create({
+      data: {
+        electionId: voter.electionId,
+        voterId: voter.id,
+        token,
+        status: 'ACTIVE',
+        issuedAt,
+        expiresAt,
+        ...inPerson,
+      },
+    });
+
+    return { ballot, revoked: revoked.count };
+  });
+}
+
+/**
+ * Revoke every active ballot token of a voter
+ * @param {string} voterId - EligibleVoter ID
+ * @param {string} reason - Recorded as revokedReason (e.g. "ADMIN")
+ * @returns {Promise<number>} Tokens revoked
+ */
+async function revokeBallotTokens(voterId, reason) {
+  const revoked = await prisma.ballot.updateMany({
+    where: { voterId, status: 'ACTIVE' },
+    data: { status: 'REVOKED', revokedAt: new Date(), revokedReason: reason },
+  });
+  return revoked.count;
+}
+
+/**
+ * Why a ballot token cannot be used
+ * @param {Object} ballot - Ballot record
+ * @returns {{status: number, error: string, hint: string}|null} null when the token is usable
+ */
+function ballotTokenError(ballot) {
+  if (ballot.status === 'CONSUMED') {
+    return {
+      status: 400,
+      error: 'This ballot has already been used',
+      hint: 'You can only vote once',
+    };
+  }
+
+  if (ballot.status === 'REVOKED') {
+    return {
+      status: 401,
+      error: 'This ballot token has been revoked',
+      hint: ballot.revokedReason === 'REISSUED'
+        ? 'A newer ballot token was issued. Use the latest one or verify again.'
+        : 'Verify again with a new OTP to get a new ballot token',
+    };
+  }
+
+  if (ballot.expiresAt <= new Date()) {
+    return {
+      status: 401,
+      error: 'This ballot token has expired',
+      hint: 'Verify again with a new OTP to get a new ballot token',
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  getBallotTokenTtl,
+  issueBallotToken,
+  revokeBallotTokens,
+  ballotTokenError,
+};
@@ -0,0 +1,36 @@
+/**
+ * Canonical JSON serialisation
+ *
+ * Produces the same string for the same data regardless of key order:
+ * object keys are sorted, no whitespace, Dates become ISO strings and
+ * undefined values are dropped (as JSON.stringify does).
+ * Used wherever a hash or signature is computed over JSON data.
+ */
+
+const normalise = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalise);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, key) => {
+        acc[key] = normalise(value[key]);
+        return acc;
+      }, {});
+  }
+  return value;
+};
+
+/**
+ * Serialise a value to canonical JSON
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string} Canonical JSON string
+ */
+const canonicalJson = (value) => {
+  // Round-trip through JSON first so Dates, toJSON() and undefined behave as usual
+  const plain = JSON.parse(JSON.stringify(value));
+  return JSON.stringify(normalise(plain));
+};
+
+module.exports = { canonicalJson };
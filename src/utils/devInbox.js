@@ -0,0 +1,72 @@
+/**
+ * Dev inbox: emails captured by the "inbox" mail transport
+ *
+ * Messages are kept in memory (newest first, oldest dropped past the limit) and
+ * listed through /api/email/inbox (admins only), so OTP emails can be read during
+ * development without a mail server. The inbox is off in production.
+ *
+ * Configuration from .env:
+ * - EMAIL_INBOX_LIMIT: Messages kept (default: 200)
+ */
+
+const messages = [];
+let nextId = 1;
+
+const getLimit = () => {
+  const limit = parseInt(process.env.EMAIL_INBOX_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : 200;
+};
+
+/**
+ * Whether the dev inbox is collecting and may be read
+ * @returns {boolean}
+ */
+const isDevInboxEnabled = () =>
+  process.env.EMAIL_TRANSPORT?.trim().toLowerCase() === 'inbox' && process.env.NODE_ENV !== 'production';
+
+/**
+ * Store a sent message
+ * @param {Object} message - { messageId, from, to, cc, bcc, subject, text, html }
+ * @returns {Object} Stored message with its inbox id and receivedAt
+ */
+const captureMessage = (message) => {
+  const stored = { id: String(nextId++), ...message, receivedAt: new Date() };
+  messages.unshift(stored);
+  messages.splice(getLimit());
+  return stored;
+};
+
+/**
+ * Captured messages, newest first
+ * @param {Object} filters - { to }: part of a recipient address (case-insensitive)
+ * @returns {Object[]} Message summaries (without bodies)
+ */
+const listMessages = ({ to } = {}) => {
+  const needle = typeof to === 'string' && to.trim() ? to.trim().toLowerCase() : null;
+  return messages
+    .filter((message) => !needle || message.to.some((address) => address.toLowerCase().includes(needle)))
+    .map(({ id, messageId, from, to: recipients, subject, receivedAt }) => ({
+      id,
+      messageId,
+      from,
+      to: recipients,
+      subject,
+      receivedAt,
+    }));
+};
+
+const getMessage = (id) => messages.find((message) => message.id === id) || null;
+
+const clearMessages = () => {
+  const count = messages.length;
+  messages.length = 0;
+  return count;
+};
+
+module.exports = {
+  isDevInboxEnabled,
+  captureMessage,
+  listMessages,
+  getMessage,
+  clearMessages,
+};
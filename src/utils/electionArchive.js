@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { prisma } = require('../config/prisma');
+const { getTurnoutStats, getElectionResults } = require('./electionReports');
+const { renderResultsPdf } = require('./resultsPdf');
+
+/**
+ * Election Archive
+ *
+ * Writes an immutable snapshot of an election before its data is cleared:
+ * - JSON bundle: election, positions, approved candidates, tallies, turnout and audit trail
+ * - PDF: the same report produced by the results-pdf export
+ * Encrypted ballots that the trustees have not decrypted yet are archived as
+ * sealed results ({ sealed: true }) - the archive never decrypts anything itself.
+ *
+ * Files are written once (never overwritten) and their SHA-256 hashes are stored
+ * on the ElectionArchive row so later downloads can be checked for tampering.
+ *
+ * Configuration from .env:
+ * - ARCHIVE_DIR: Directory for archive files (default: <project>/archives)
+ */
+
+const ARCHIVE_FORMAT = 'ballot-buddy-archive/v1';
+
+const getArchiveDir = () => process.env.ARCHIVE_DIR?.trim() || path.join(__dirname, '../../archives');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Write the results PDF to disk and resolve once the file is flushed
+const writeResultsPdfFile = (filePath, election, results) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const out = fs.createWriteStream(filePath, { flags: 'wx', mode: 0o444 });
+
+    out.on('finish', resolve);
+    out.on('error', reject);
+    doc.on('error', reject);
+    doc.pipe(out);
+
+    renderResultsPdf(doc, election, results).catch(reject);
+  });
+};
+
+/**
+ * Build the JSON snapshot for an election
+ * @param {Object} election - Election record
+ * @returns {Promise<Object>} Snapshot bundle
+ */
+async function buildElectionSnapshot(election) {
+  const [positions, results, turnout, auditTrail] = await Promise.all([
+    prisma.position.findMany({
+      where: { electionId: election.id },
+      include: {
+        candidates: {
+          where: { status: 'APPROVED' },
+          select: {
+            id: true,
+            name: true,
+            program: true,
+            userId: true,
+          },
+        },
+      },
+      orderBy: { name: 'asc' },
+    }),
+    getElectionResults(election.id).catch((error) => {
+      if (error.code === 'RESULTS_SEALED') {
+        return { sealed: true, positions: [], questions: [] };
+      }
+      throw error;
+    }),
+    getTurnoutStats(election.id),
+    prisma.auditLog.findMany({
+      where: { electionId: election.id },
+      orderBy: { seq: 'asc' },
+    }),
+  ]);
+
+  return {
+    format: ARCHIVE_FORMAT,
+    election: {
+      id: election.id,
+      name: election.name,
+      description: election.description,
+      status: election.status,
+      createdAt: election.createdAt,
+    },
+    positions: positions.map((position) => ({
+      id: position.id,
+      name: position.name,
+      seats: position.seats,
+      nominationOpens: position.nominationOpens,
+      nominationCloses: position.nominationCloses,
+      votingOpens: position.votingOpens,
+      votingCloses: position.votingCloses,
+      approvedCandidates: position.candidates,
+    })),
+    results,
+    turnout,
+    auditTrail,
+  };
+}
+
+/**
+ * Archive an election (JSON bundle + results PDF)
+ * @param {Object} params
+ * @param {Object} params.election - Election record
+ * @param {string} params.actorId - Admin creating the archive
+ * @param {string} params.reason - Why the archive was taken (optional)
+ * @returns {Promise<Object>} The ElectionArchive record
+ */
+async function createElectionArchive({ election, actorId, reason }) {
+  const archiveId = crypto.randomUUID();
+  const archivedAt = new Date();
+  const archiveDir = getArchiveDir();
+
+  const snapshot = await buildElectionSnapshot(election);
+  const bundle = {
+    archiveId,
+    archivedAt,
+    archivedBy: actorId || null,
+    reason: reason || null,
+    ...snapshot,
+  };
+
+  await fs.promises.mkdir(archiveDir, { recursive: true });
+
+  const bundleFile = `${archiveId}.json`;
+  const pdfFile = `${archiveId}.pdf`;
+  const bundlePath = path.join(archiveDir, bundleFile);
+  const pdfPath = path.join(archiveDir, pdfFile);
+  const bundleBuffer = Buffer.from(JSON.stringify(bundle, null, 2));
+
+  // 'wx' fails if the file already exists, so an archive is never overwritten
+  await fs.promises.writeFile(bundlePath, bundleBuffer, { flag: 'wx', mode: 0o444 });
+
+  try {
+    await writeResultsPdfFile(pdfPath, election, snapshot.results);
+    const pdfBuffer = await fs.promises.readFile(pdfPath);
+
+    return await prisma.electionArchive.create({
+      data: {
+        id: archiveId,
+        electionId: election.id,
+        electionName: election.name,
+        reason: reason || null,
+        bundleFile,
+        bundleHash: sha256(bundleBuffer),
+        pdfFile,
+        pdfHash: sha256(pdfBuffer),
+        createdBy: actorId || null,
+        createdAt: archivedAt,
+      },
+    });
+  } catch (error) {
+    // No files without an archive row: the names are this archive's own, so nothing else is removed
+    await Promise.all([bundlePath, pdfPath].map((file) => fs.promises.rm(file, { force: true })));
+    throw error;
+  }
+}
+
+/**
+ * Read an archive file and check it against the stored hash
+ * @param {Object} archive - ElectionArchive record
+ * @param {'json'|'pdf'} format - Which file to read
+ * @returns {Promise<{buffer: Buffer, hash: string, intact: boolean}>}
+ */
+async function readArchiveFile(archive, format) {
+  const fileName = format === 'pdf' ? archive.pdfFile : archive.bundleFile;
+  const expectedHash = format === 'pdf' ? archive.pdfHash : archive.bundleHash;
+
+  const buffer = await fs.promises.readFile(path.join(getArchiveDir(), fileName));
+  const hash = sha256(buffer);
+
+  return { buffer, hash, intact: hash === expectedHash };
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  buildElectionSnapshot,
+  createElectionArchive,
+  readArchiveFile,
+};
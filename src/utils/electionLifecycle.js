@@ -0,0 +1,78 @@
+/**
+ * Election lifecycle
+ *
+ * DRAFT → NOMINATIONS → VOTING → CLOSED → CERTIFIED
+ *
+ * Every election moves forward through these states only. The state decides
+ * which actions are allowed; position time windows still apply inside a state.
+ * CLOSED → CERTIFIED happens only through the certification workflow
+ * (officer sign-off on frozen results), never as a manual transition.
+ */
+
+// Allowed transitions (from → [to])
+const ELECTION_TRANSITIONS = {
+  DRAFT: ['NOMINATIONS'],
+  NOMINATIONS: ['VOTING'],
+  VOTING: ['CLOSED'],
+  CLOSED: ['CERTIFIED'],
+  CERTIFIED: [],
+};
+
+// Election states in which each action is permitted
+const ELECTION_ACTIONS = {
+  MANAGE_POSITIONS: ['DRAFT', 'NOMINATIONS'],
+  MANAGE_QUESTIONS: ['DRAFT', 'NOMINATIONS'],
+  MANAGE_VOTERS: ['DRAFT', 'NOMINATIONS'],
+  SETUP_ENCRYPTION: ['DRAFT', 'NOMINATIONS'],
+  RESET_VOTING_DATA: ['DRAFT', 'NOMINATIONS', 'CLOSED', 'CERTIFIED'],
+  SUBMIT_NOMINATION: ['NOMINATIONS'],
+  REVIEW_NOMINATION: ['NOMINATIONS'],
+  VOTE: ['VOTING'],
+  VIEW_RESULTS: ['CLOSED', 'CERTIFIED'],
+  ADJUDICATE_WRITE_INS: ['CLOSED'],
+  DECRYPT_TALLY: ['CLOSED'],
+  CERTIFY_RESULTS: ['CLOSED'],
+};
+
+// States that can only be reached through their own workflow
+const WORKFLOW_ONLY_STATUSES = ['CERTIFIED'];
+
+const ELECTION_STATUSES = Object.keys(ELECTION_TRANSITIONS);
+
+/**
+ * Check whether an election may move from one state to another
+ * @param {string} from - Current election status
+ * @param {string} to - Requested election status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => (ELECTION_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Check whether an action is allowed in the given election state
+ * @param {string} status - Election status
+ * @param {string} action - Key of ELECTION_ACTIONS
+ * @returns {boolean}
+ */
+const isActionAllowed = (status, action) => (ELECTION_ACTIONS[action] || []).includes(status);
+
+/**
+ * Build the error body returned when an action is rejected for the current state
+ * @param {Object} election - Election record
+ * @param {string} action - Key of ELECTION_ACTIONS
+ * @returns {{error: string, status: string, allowedStatuses: string[]}}
+ */
+const stateError = (election, action) => ({
+  error: `This action is not allowed while the election is ${election.status}`,
+  status: election.status,
+  allowedStatuses: ELECTION_ACTIONS[action] || [],
+});
+
+module.exports = {
+  ELECTION_TRANSITIONS,
+  ELECTION_ACTIONS,
+  ELECTION_STATUSES,
+  WORKFLOW_ONLY_STATUSES,
+  canTransition,
+  isActionAllowed,
+  stateError,
+};
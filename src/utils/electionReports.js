@@ -0,0 +1,400 @@
+const { prisma } = require('../config/prisma');
+const { tallyPosition, tallyCounts, tallyQuestion, tallyQuestionCounts } = require('./tally');
+const { groupWriteIns, resolveWriteInKey, writeInEntrantId } = require('./writeIns');
+const { isRestricted, isVoterEligible } = require('./eligibility');
+const { getOtpDeliveryStats } = require('./otpDelivery');
+
+/**
+ * Election report computations shared by the reports controller,
+ * the exports and the election archive.
+ */
+
+const percentage = (part, whole) => (whole > 0 ? parseFloat(((part / whole) * 100).toFixed(2)) : 0);
+
+/**
+ * Error thrown when results are requested while the ballots are still encrypted
+ * (code RESULTS_SEALED; controllers answer 409)
+ */
+const sealedResultsError = () => Object.assign(
+  new Error('Results are encrypted until a quorum of trustees has submitted their key shares'),
+  { code: 'RESULTS_SEALED' }
+);
+
+/**
+ * Decrypted tally of an encrypted election
+ * @param {string} electionId - Election ID
+ * @returns {Promise<{encrypted: boolean, tally: Object|null}>} tally is null until decrypted
+ */
+async function getDecryptedTally(electionId) {
+  const electionKey = await prisma.electionKey.findUnique({
+    where: { electionId },
+    select: { tally: true },
+  });
+
+  return { encrypted: Boolean(electionKey), tally: electionKey?.tally ?? null };
+}
+
+/**
+ * Participation figures for one position
+ * A cast ballot either voted for the position, abstained explicitly or skipped it.
+ * @param {Array<{castBallotId, abstain}>} positionVotes - Vote rows of the position
+ * @param {number} ballotsCast - Consumed ballots in the election
+ */
+function summarizeParticipation(positionVotes, ballotsCast) {
+  const voted = new Set(positionVotes.filter((vote) => !vote.abstain).map((vote) => vote.castBallotId)).size;
+  const abstained = new Set(positionVotes.filter((vote) => vote.abstain).map((vote) => vote.castBallotId)).size;
+
+  return participationFigures(voted, abstained, ballotsCast);
+}
+
+// Participation figures from ballot counts (also used for decrypted totals)
+function participationFigures(voted, abstained, ballotsCast) {
+  const skipped = Math.max(ballotsCast - voted - abstained, 0);
+
+  return {
+    voted,
+    abstained,
+    skipped,
+    participationRate: percentage(voted + abstained, ballotsCast),
+    abstentionRate: percentage(abstained, ballotsCast),
+  };
+}
+
+/**
+ * Size of each position's constituency
+ * Restricted positions only count the voters (and cast ballots) eligible for them.
+ * @param {string} electionId - Election ID
+ * @param {Array} positions - Positions with eligiblePrograms and eligibleGroups
+ * @returns {Promise<Map<string, {eligibleVoters: number, ballotsCast: number}>>}
+ */
+async function getConstituencies(electionId, positions) {
+  const [voters, ballots] = await Promise.all([
+    prisma.eligibleVoter.findMany({
+      where: { electionId, status: 'ELIGIBLE' },
+      select: { program: true, groups: true },
+    }),
+    prisma.ballot.findMany({
+      where: { electionId, status: 'CONSUMED' },
+      select: { voter: { select: { program: true, groups: true } } },
+    }),
+  ]);
+
+  return new Map(positions.map((position) => [position.id, {
+    eligibleVoters: voters.filter((voter) => isVoterEligible(position, voter)).length,
+    ballotsCast: ballots.filter((ballot) => isVoterEligible(position, ballot.voter)).length,
+  }]));
+}
+
+/**
+ * Compute per-position participation for an election
+ * Turnout and participation are measured against the position's own constituency
+ * While encrypted ballots are sealed, abstentions cannot be told apart from votes:
+ * every ballot that holds the position counts as voted and the entry has sealed: true
+ * @param {string} electionId - Election ID
+ * @returns {Promise<Array>} One entry per position
+ */
+async function getPositionParticipation(electionId) {
+  const [positions, votes, encryptedVotes, decrypted] = await Promise.all([
+    prisma.position.findMany({
+      where: { electionId },
+      select: { id: true, name: true, eligiblePrograms: true, eligibleGroups: true },
+      orderBy: { name: 'asc' },
+    }),
+    prisma.vote.findMany({
+      where: { position: { electionId } },
+      select: { castBallotId: true, positionId: true, abstain: true },
+    }),
+    prisma.encryptedVote.findMany({
+      where: { position: { electionId } },
+      select: { positionId: true },
+    }),
+    getDecryptedTally(electionId),
+  ]);
+
+  const constituencies = await getConstituencies(electionId, positions);
+
+  const participationOf = (position, ballotsCast) => {
+    if (!decrypted.encrypted) {
+      return summarizeParticipation(votes.filter((vote) => vote.positionId === position.id), ballotsCast);
+    }
+    if (decrypted.tally) {
+      const { ballots = 0, abstained = 0 } = decrypted.tally.positions[position.id] || {};
+      return participationFigures(ballots - abstained, abstained, ballotsCast);
+    }
+    const ballots = encryptedVotes.filter((vote) => vote.positionId === position.id).length;
+    return { ...participationFigures(ballots, 0, ballotsCast), sealed: true };
+  };
+
+  return positions.map((position) => {
+    const { eligibleVoters, ballotsCast } = constituencies.get(position.id);
+    return {
+      positionId: position.id,
+      positionName: position.name,
+      restricted: isRestricted(position),
+      eligibleVoters,
+      ballotsCast,
+      turnout: percentage(ballotsCast, eligibleVoters),
+      ...participationOf(position, ballotsCast),
+    };
+  });
+}
+
+/**
+ * Compute turnout statistics for an election
+ * @param {string} electionId - Election ID
+ * @returns {Promise<Object>} Turnout figures and percentages
+ */
+async function getTurnoutStats(electionId) {
+  const totalVoters = await prisma.eligibleVoter.count({
+    where: { electionId, status: 'ELIGIBLE' },
+  });
+
+  const verifiedVoters = await prisma.verification.count({
+    where: { verifiedAt: { not: null }, voter: { electionId } },
+  });
+
+  const votesCast = await prisma.ballot.count({
+    where: { electionId, status: 'CONSUMED' },
+  });
+
+  const ballotsIssued = await prisma.ballot.count({
+    where: { electionId },
+  });
+
+  const turnout = totalVoters > 0 ? (votesCast / totalVoters) * 100 : 0;
+  const verificationRate =
+    totalVoters > 0 ? (verifiedVoters / totalVoters) * 100 : 0;
+  const ballotUsageRate =
+    ballotsIssued > 0 ? (votesCast / ballotsIssued) * 100 : 0;
+  const nonVoters = totalVoters - votesCast;
+  const nonVoterPercentage =
+    totalVoters > 0 ? (nonVoters / totalVoters) * 100 : 0;
+
+  const positions = await getPositionParticipation(electionId);
+  const otpDelivery = await getOtpDeliveryStats(electionId);
+
+  return {
+    totalVoters,
+    verifiedVoters,
+    votesCast,
+    ballotsIssued,
+    nonVoters,
+    turnout: parseFloat(turnout.toFixed(2)),
+    verificationRate: parseFloat(verificationRate.toFixed(2)),
+    ballotUsageRate: parseFloat(ballotUsageRate.toFixed(2)),
+    nonVoterPercentage: parseFloat(nonVoterPercentage.toFixed(2)),
+    breakdown: {
+      voted: votesCast,
+      notVoted: nonVoters,
+      verified: verifiedVoters,
+      notVerified: totalVoters - verifiedVoters,
+    },
+    otpDelivery,
+    positions,
+  };
+}
+
+/**
+ * Compute per-position and per-question results for an election
+ * Each position is tallied with its own voting method (see utils/tally.js)
+ * Write-ins are counted per adjudicated group and listed next to the candidates
+ * with isWriteIn: true and a candidateId of the form 'write-in:<key>'
+ * Elections with encrypted ballots are counted from the decrypted totals, and
+ * throw a RESULTS_SEALED error until the trustees have decrypted them
+ * @param {string} electionId - Election ID
+ * @returns {Promise<{positions: Array, questions: Array, summary: Object}>} Ranked candidates per position, question outcomes
+ */
+async function getElectionResults(electionId) {
+  const decrypted = await getDecryptedTally(electionId);
+  if (decrypted.encrypted && !decrypted.tally) {
+    throw sealedResultsError();
+  }
+
+  const positions = await prisma.position.findMany({
+    where: { electionId },
+    include: {
+      candidates: {
+        select: {
+          id: true,
+          name: true,
+          program: true,
+          photoUrl: true,
+        },
+        where: {
+          status: 'APPROVED',
+        },
+      },
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  const votes = await prisma.vote.findMany({
+    where: { position: { electionId } },
+    select: {
+      castBallotId: true,
+      positionId: true,
+      candidateId: true,
+      rank: true,
+      abstain: true,
+      writeInName: true,
+      writeInKey: true,
+    },
+  });
+
+  const writeInMerges = await prisma.writeInMerge.findMany({
+    where: { position: { electionId } },
+    select: { positionId: true, fromKey: true, toKey: true },
+  });
+
+  // Get total votes cast for all positions
+  const totalVotesCast = await prisma.ballot.count({
+    where: { electionId, status: 'CONSUMED' },
+  });
+
+  const constituencies = await getConstituencies(electionId, positions);
+
+  const results = positions.map((position) => {
+    // Ballots cast by this position's constituency
+    const { eligibleVoters, ballotsCast } = constituencies.get(position.id);
+    const positionVotes = votes.filter((vote) => vote.positionId === position.id);
+    const positionMerges = writeInMerges.filter((merge) => merge.positionId === position.id);
+    const mergeMap = new Map(positionMerges.map((merge) => [merge.fromKey, merge.toKey]));
+
+    // Each write-in group takes part in the tally as one more entrant
+    const writeInGroups = groupWriteIns(positionVotes.filter((vote) => vote.writeInKey), positionMerges);
+    const candidatesById = new Map(position.candidates.map((candidate) => [candidate.id, candidate]));
+    writeInGroups.forEach((group) => {
+      candidatesById.set(writeInEntrantId(group.key), {
+        name: group.displayName,
+        program: null,
+        photoUrl: null,
+        isWriteIn: true,
+      });
+    });
+
+    let tally;
+    let participation;
+    if (decrypted.tally) {
+      // Encrypted ballots: only the per-candidate totals were ever decrypted
+      const { ballots = 0, abstained = 0, counts = {} } = decrypted.tally.positions[position.id] || {};
+      tally = tallyCounts([...candidatesById.keys()], counts, ballots - abstained, position.seats);
+      participation = participationFigures(ballots - abstained, abstained, ballotsCast);
+    } else {
+      tally = tallyPosition(
+        position,
+        [...candidatesById.keys()],
+        positionVotes
+          .filter((vote) => !vote.abstain)
+          .map((vote) => (vote.writeInKey
+            ? { ...vote, candidateId: writeInEntrantId(resolveWriteInKey(mergeMap, vote.writeInKey)) }
+            : vote))
+      );
+      participation = summarizeParticipation(positionVotes, ballotsCast);
+    }
+
+    const winners = new Set(tally.winners);
+
+    // Calculate percentages and rankings
+    const candidatesWithStats = tally.ranking.map((candidateId, index) => {
+      const candidate = candidatesById.get(candidateId);
+      const candidateVotes = tally.counts[candidateId];
+      const votePercentage =
+        tally.totalBallots > 0
+          ? ((candidateVotes / tally.totalBallots) * 100).toFixed(2)
+          : '0.00';
+      const overallPercentage =
+        ballotsCast > 0
+          ? ((candidateVotes / ballotsCast) * 100).toFixed(2)
+          : '0.00';
+
+      return {
+        candidateId,
+        name: candidate.name,
+        program: candidate.program,
+        photoUrl: candidate.photoUrl,
+        isWriteIn: Boolean(candidate.isWriteIn),
+        votes: candidateVotes,
+        ...(tally.firstPreferences && { firstPreferences: tally.firstPreferences[candidateId] }),
+        rank: index + 1,
+        votePercentage: parseFloat(votePercentage),
+        overallPercentage: parseFloat(overallPercentage),
+        isWinner: winners.has(candidateId),
+      };
+    });
+
+    return {
+      positionId: position.id,
+      positionName: position.name,
+      seats: position.seats,
+      votingMethod: position.votingMethod,
+      restricted: isRestricted(position),
+      eligibleVoters,
+      ballotsCast,
+      totalVotes: tally.totalBallots,
+      abstentions: participation.abstained,
+      skipped: participation.skipped,
+      participationRate: participation.participationRate,
+      abstentionRate: participation.abstentionRate,
+      candidates: candidatesWithStats,
+      winner: candidatesWithStats.find((candidate) => candidate.isWinner) || null,
+      ...(tally.quota !== undefined && { quota: tally.quota }),
+      ...(tally.rounds && {
+        rounds: tally.rounds,
+        // Seats in the order they were filled
+        seatAllocation: tally.winners.map((candidateId, index) => ({
+          seat: index + 1,
+          candidateId,
+          name: candidatesById.get(candidateId).name,
+          electedInRound: tally.rounds.find((round) => round.elected.includes(candidateId)).round,
+        })),
+      }),
+    };
+  });
+
+  // Ballot questions (referendums)
+  const questions = await prisma.ballotQuestion.findMany({
+    where: { electionId },
+    include: {
+      responses: {
+        select: { choice: true },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const questionResults = questions.map((question) => {
+    const tally = decrypted.tally
+      ? tallyQuestionCounts(question, decrypted.tally.questions[question.id] || { YES: 0, NO: 0, ABSTAIN: 0 })
+      : tallyQuestion(question, question.responses);
+    return {
+      questionId: question.id,
+      title: question.title,
+      text: question.text,
+      threshold: question.threshold,
+      ...tally,
+      skipped: Math.max(totalVotesCast - tally.totalResponses, 0),
+      outcome: tally.passed ? 'PASSED' : 'FAILED',
+    };
+  });
+
+  return {
+    positions: results,
+    questions: questionResults,
+    summary: {
+      totalPositions: positions.length,
+      totalQuestions: questions.length,
+      totalCandidates: positions.reduce(
+        (sum, p) => sum + p.candidates.length,
+        0
+      ),
+      totalVotesCast,
+      totalAbstentions: results.reduce((sum, p) => sum + p.abstentions, 0),
+    },
+  };
+}
+
+module.exports = {
+  getTurnoutStats,
+  getPositionParticipation,
+  getElectionResults,
+};
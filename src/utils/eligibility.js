@@ -0,0 +1,77 @@
+/**
+ * Position eligibility (constituencies)
+ *
+ * A position may restrict who votes on it with eligiblePrograms and/or eligibleGroups.
+ * - Neither set: every voter on the roll may vote
+ * - Otherwise a voter may vote if their program is listed OR they belong to a listed group
+ *
+ * Voter groups come from the `groups` column of the voter CSV, separated by ';' or '|'
+ * (e.g. "Hostel A;Sports Council"). Programs and groups are matched case-insensitively.
+ */
+
+const normalizeLabel = (value) => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const isRestricted = (position) =>
+  (position.eligiblePrograms?.length || 0) + (position.eligibleGroups?.length || 0) > 0;
+
+/**
+ * Validate and clean an eligibility list from a request body
+ * @param {*} value - Array of names, null/[] to clear, undefined when not provided
+ * @param {string} field - Field name for the error message
+ * @returns {{list?: string[]|null, error?: string}} list is undefined when not provided
+ */
+const parseEligibilityList = (value, field) => {
+  if (value === undefined) return {};
+  if (value === null) return { list: null };
+
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || item.trim().length === 0)) {
+    return { error: `${field} must be a list of names` };
+  }
+
+  const list = [];
+  const seen = new Set();
+  value.forEach((item) => {
+    const label = item.trim().replace(/\s+/g, ' ');
+    if (!seen.has(normalizeLabel(label))) {
+      seen.add(normalizeLabel(label));
+      list.push(label);
+    }
+  });
+
+  return { list: list.length > 0 ? list : null };
+};
+
+/**
+ * Split the groups column of a voter CSV row
+ * @param {string} value - Raw CSV value
+ * @returns {string[]|null}
+ */
+const parseVoterGroups = (value) => {
+  if (!value) return null;
+  const groups = parseEligibilityList(value.split(/[;|]/).filter((group) => group.trim()), 'groups').list;
+  return groups || null;
+};
+
+/**
+ * Check whether a voter may vote on a position
+ * @param {Object} position - Position record (eligiblePrograms, eligibleGroups)
+ * @param {Object} voter - EligibleVoter record (program, groups)
+ * @returns {boolean}
+ */
+const isVoterEligible = (position, voter) => {
+  if (!isRestricted(position)) return true;
+  if (!voter) return false;
+
+  const programs = (position.eligiblePrograms || []).map(normalizeLabel);
+  if (voter.program && programs.includes(normalizeLabel(voter.program))) return true;
+
+  const groups = new Set((position.eligibleGroups || []).map(normalizeLabel));
+  return (voter.groups || []).some((group) => groups.has(normalizeLabel(group)));
+};
+
+module.exports = {
+  isRestricted,
+  parseEligibilityList,
+  parseVoterGroups,
+  isVoterEligible,
+};
@@ -1,56 +1,51 @@
-const nodemailer = require('nodemailer');
+const { getTransportName, getTransporter, isGmail } = require('./mailTransport');
 require('dotenv').config();
 
 /**
  * Email Service using NodeMailer
  * 
+ * Mail goes out through the transport chosen with EMAIL_TRANSPORT (SMTP, or the
+ * json/file/inbox transports for development), see utils/mailTransport.js.
+ *
  * Configuration from .env:
- * - EMAIL_HOST: SMTP host (e.g., smtp.gmail.com)
- * - EMAIL_PORT: SMTP port (e.g., 587)
- * - EMAIL_USER: Your email address
- * - EMAIL_APP_PASSWORD: Your app password (not regular password)
  * - EMAIL_FROM: From address (defaults to EMAIL_USER)
  */
 
-// Create transporter
-const createTransporter = () => {
-  const emailUser = process.env.EMAIL_USER?.trim();
-  const emailPassword = process.env.EMAIL_APP_PASSWORD?.trim();
+const NOT_CONFIGURED = 'Email service not configured. Set EMAIL_USER and EMAIL_APP_PASSWORD (or EMAIL_HOST) in .env, or choose another EMAIL_TRANSPORT';
 
-  // Validate configuration
-  if (!emailUser || !emailPassword) {
-    console.warn('⚠️  Email configuration incomplete. EMAIL_USER and EMAIL_APP_PASSWORD must be set in .env');
-    return null;
-  }
-
-  // Remove spaces from app password (Gmail shows it with spaces, but we need without)
-  const cleanPassword = emailPassword.replace(/\s/g, '');
+const fromAddress = () => process.env.EMAIL_FROM || process.env.EMAIL_USER || 'E-Voting System <no-reply@localhost>';
 
-  const config = {
-    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-    port: parseInt(process.env.EMAIL_PORT || '587'),
-    secure: false, // true for 465, false for other ports
-    auth: {
-      user: emailUser,
-      pass: cleanPassword, // App password, not regular password
-    },
-  };
+// Replace an SMTP login failure with a hint on what to check
+const explainSendError = (error) => {
+  if (error.code !== 'EAUTH') {
+    return error;
+  }
 
-  return nodemailer.createTransport(config);
+  const helpfulError = new Error(isGmail()
+    ? 'Gmail authentication failed. Please check:\n' +
+      '1. EMAIL_USER in .env matches your Gmail address\n' +
+      '2. EMAIL_APP_PASSWORD is a valid Gmail App Password (not regular password)\n' +
+      '3. 2-Step Verification is enabled on your Google account\n' +
+      '4. App Password was generated correctly (16 characters, no spaces)\n' +
+      '\nOriginal error: ' + error.message
+    : 'SMTP authentication failed. Please check EMAIL_USER and EMAIL_APP_PASSWORD (or EMAIL_PASS) in .env\n' +
+      '\nOriginal error: ' + error.message);
+  helpfulError.code = 'EAUTH';
+  helpfulError.originalError = error;
+  return helpfulError;
 };
 
-const transporter = createTransporter();
-
 /**
  * Send OTP email to voter
  */
 exports.sendOTPEmail = async (email, otp, regNo) => {
+  const transporter = getTransporter();
   if (!transporter) {
-    throw new Error('Email service not configured. Please set EMAIL_USER and EMAIL_APP_PASSWORD in .env');
+    throw new Error(NOT_CONFIGURED);
   }
 
   const mailOptions = {
-    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    from: fromAddress(),
     to: email,
     subject: 'E-Voting System - Verification OTP',
     html: `
@@ -105,23 +100,7 @@ This is an automated message from the E-Voting System.
     return { success: true, messageId: info.messageId };
   } catch (error) {
     console.error('❌ Failed to send OTP email:', error);
-    
-    // Provide helpful error messages
-    if (error.code === 'EAUTH') {
-      const helpfulError = new Error(
-        'Gmail authentication failed. Please check:\n' +
-        '1. EMAIL_USER in .env matches your Gmail address\n' +
-        '2. EMAIL_APP_PASSWORD is a valid Gmail App Password (not regular password)\n' +
-        '3. 2-Step Verification is enabled on your Google account\n' +
-        '4. App Password was generated correctly (16 characters, no spaces)\n' +
-        '\nOriginal error: ' + error.message
-      );
-      helpfulError.code = 'EAUTH';
-      helpfulError.originalError = error;
-      throw helpfulError;
-    }
-    
-    throw error;
+    throw explainSendError(error);
   }
 };
 
@@ -129,13 +108,14 @@ This is an automated message from the E-Voting System.
  * Send notification email (e.g., nomination approved/rejected)
  */
 exports.sendNotificationEmail = async (email, subject, message) => {
+  const transporter = getTransporter();
   if (!transporter) {
     console.warn('Email service not configured. Skipping notification email.');
     return { success: false, error: 'Email service not configured' };
   }
 
   const mailOptions = {
-    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    from: fromAddress(),
     to: email,
     subject: subject,
     html: `
@@ -166,12 +146,13 @@ exports.sendNotificationEmail = async (email, subject, message) => {
  * Send password reset OTP email
  */
 exports.sendPasswordResetOTP = async (email, otp, userName) => {
+  const transporter = getTransporter();
   if (!transporter) {
-    throw new Error('Email service not configured. Please set EMAIL_USER and EMAIL_APP_PASSWORD in .env');
+    throw new Error(NOT_CONFIGURED);
   }
 
   const mailOptions = {
-    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    from: fromAddress(),
     to: email,
     subject: 'E-Voting System - Password Reset OTP',
     html: `
@@ -224,22 +205,7 @@ This is an automated message from the E-Voting System.
     return { success: true, messageId: info.messageId };
   } catch (error) {
     console.error('❌ Failed to send password reset OTP email:', error);
-    
-    if (error.code === 'EAUTH') {
-      const helpfulError = new Error(
-        'Gmail authentication failed. Please check:\n' +
-        '1. EMAIL_USER in .env matches your Gmail address\n' +
-        '2. EMAIL_APP_PASSWORD is a valid Gmail App Password (not regular password)\n' +
-        '3. 2-Step Verification is enabled on your Google account\n' +
-        '4. App Password was generated correctly (16 characters, no spaces)\n' +
-        '\nOriginal error: ' + error.message
-      );
-      helpfulError.code = 'EAUTH';
-      helpfulError.originalError = error;
-      throw helpfulError;
-    }
-    
-    throw error;
+    throw explainSendError(error);
   }
 };
 
@@ -247,24 +213,27 @@ This is an automated message from the E-Voting System.
  * Test email configuration
  */
 exports.testEmailConfig = async () => {
+  const transporter = getTransporter();
   if (!transporter) {
     return { 
       success: false, 
       error: 'Email service not configured',
-      hint: 'Set EMAIL_USER and EMAIL_APP_PASSWORD in .env file'
+      hint: 'Set EMAIL_USER and EMAIL_APP_PASSWORD (or EMAIL_HOST) in .env file, or choose another EMAIL_TRANSPORT'
     };
   }
 
   try {
     await transporter.verify();
-    return { success: true, message: 'Email configuration is valid' };
+    return { success: true, transport: getTransportName(), message: 'Email configuration is valid' };
   } catch (error) {
     let errorMessage = error.message;
     let hint = '';
     
     if (error.code === 'EAUTH') {
-      errorMessage = 'Gmail authentication failed';
-      hint = 'Check EMAIL_USER and EMAIL_APP_PASSWORD in .env. Make sure you\'re using a Gmail App Password, not your regular password.';
+      errorMessage = isGmail() ? 'Gmail authentication failed' : 'SMTP authentication failed';
+      hint = isGmail()
+        ? 'Check EMAIL_USER and EMAIL_APP_PASSWORD in .env. Make sure you\'re using a Gmail App Password, not your regular password.'
+        : 'Check EMAIL_USER and EMAIL_APP_PASSWORD (or EMAIL_PASS) in .env.';
     } else if (error.code === 'ECONNECTION') {
       errorMessage = 'Cannot connect to email server';
       hint = 'Check EMAIL_HOST and EMAIL_PORT in .env. Verify internet connection.';
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { captureMessage } = require('./devInbox');
+
+/**
+ * Mail transport used by the email service
+ *
+ * EMAIL_TRANSPORT picks how mail leaves the app:
+ * - smtp (default): any SMTP server. EMAIL_USER and EMAIL_APP_PASSWORD (or EMAIL_PASS)
+ *   log in when set; without them EMAIL_HOST is used as an open relay (e.g. a local
+ *   mail catcher). With neither set, email is not configured.
+ * - json: nothing is sent; each message is printed to the console as JSON
+ * - file: nothing is sent; each message is written to EMAIL_FILE_DIR as an .eml file
+ * - inbox: nothing is sent; messages are kept in the dev inbox (utils/devInbox.js,
+ *   GET /api/email/inbox)
+ *
+ * The transporter is created on first use, so the app starts without mail settings.
+ *
+ * Configuration from .env:
+ * - EMAIL_TRANSPORT: smtp, json, file or inbox (default: smtp)
+ * - EMAIL_HOST: SMTP host (default: smtp.gmail.com)
+ * - EMAIL_PORT: SMTP port (default: 587)
+ * - EMAIL_SECURE: true for TLS from the start (default: true on port 465 only; other
+ *   ports upgrade with STARTTLS when the server offers it)
+ * - EMAIL_REQUIRE_TLS: true to refuse sending when STARTTLS is not available
+ * - EMAIL_TLS_REJECT_UNAUTHORIZED: false to accept self-signed certificates
+ * - EMAIL_USER, EMAIL_APP_PASSWORD / EMAIL_PASS: SMTP login
+ * - EMAIL_FILE_DIR: Directory for the file transport (default: ./mail-outbox)
+ */
+
+const EMAIL_TRANSPORTS = ['smtp', 'json', 'file', 'inbox'];
+
+let transporter;
+let transporterName;
+
+/**
+ * Transport selected by EMAIL_TRANSPORT
+ * @returns {string} One of EMAIL_TRANSPORTS
+ */
+const getTransportName = () => {
+  const name = process.env.EMAIL_TRANSPORT?.trim().toLowerCase() || 'smtp';
+  if (!EMAIL_TRANSPORTS.includes(name)) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Use one of: ${EMAIL_TRANSPORTS.join(', ')}`);
+  }
+  return name;
+};
+
+const isGmail = () => (process.env.EMAIL_HOST?.trim() || 'smtp.gmail.com').endsWith('gmail.com');
+
+// SMTP options, or null when email is not configured
+const smtpOptions = () => {
+  const host = process.env.EMAIL_HOST?.trim() || 'smtp.gmail.com';
+  const user = process.env.EMAIL_USER?.trim();
+  let pass = (process.env.EMAIL_APP_PASSWORD || process.env.EMAIL_PASS)?.trim();
+
+  if (user && !pass) return null;
+  if (!user && !process.env.EMAIL_HOST?.trim()) return null;
+
+  // Gmail shows app passwords with spaces, but they must be sent without
+  if (pass && isGmail()) {
+    pass = pass.replace(/\s/g, '');
+  }
+
+  const port = parseInt(process.env.EMAIL_PORT || '587', 10);
+  const secure = process.env.EMAIL_SECURE?.trim()
+    ? process.env.EMAIL_SECURE.trim().toLowerCase() === 'true'
+    : port === 465;
+
+  return {
+    host,
+    port,
+    secure,
+    requireTLS: process.env.EMAIL_REQUIRE_TLS?.trim().toLowerCase() === 'true',
+    tls: {
+      rejectUnauthorized: process.env.EMAIL_TLS_REJECT_UNAUTHORIZED?.trim().toLowerCase() !== 'false',
+    },
+    ...(user && { auth: { user, pass } }),
+  };
+};
+
+/**
+ * Nodemailer transport that hands each message to `deliver` instead of sending it
+ * @param {string} name - Transport name
+ * @param {Function} deliver - async (mail) => void, mail being nodemailer's MailMessage
+ */
+const localTransport = (name, deliver) => ({
+  name,
+  version: '1.0.0',
+  send(mail, callback) {
+    const envelope = mail.message.getEnvelope();
+    const messageId = mail.message.messageId();
+    deliver(mail, { envelope, messageId })
+      .then(() => callback(null, { envelope, messageId, response: `Handled by ${name} transport` }))
+      .catch(callback);
+  },
+  verify(callback) {
+    return callback ? callback(null, true) : Promise.resolve(true);
+  },
+});
+
+const buildRaw = (mail) => new Promise((resolve, reject) => {
+  mail.message.build((error, raw) => (error ? reject(error) : resolve(raw)));
+});
+
+const createTransport = (name) => {
+  if (name === 'smtp') {
+    const options = smtpOptions();
+    return options ? nodemailer.createTransport(options) : null;
+  }
+
+  if (name === 'json') {
+    return nodemailer.createTransport(localTransport('json', async (mail, { envelope, messageId }) => {
+      const { subject, text } = mail.data;
+      console.log('📧 [json mail]', JSON.stringify({ messageId, ...envelope, subject, text }, null, 2));
+    }));
+  }
+
+  if (name === 'file') {
+    const dir = process.env.EMAIL_FILE_DIR?.trim() || path.join(__dirname, '../../mail-outbox');
+    return nodemailer.createTransport(localTransport('file', async (mail) => {
+      const raw = await buildRaw(mail);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.eml`;
+      await fs.promises.writeFile(path.join(dir, fileName), raw);
+      console.log(`📧 [file mail] ${mail.data.subject} → ${path.join(dir, fileName)}`);
+    }));
+  }
+
+  return nodemailer.createTransport(localTransport('inbox', async (mail, { envelope, messageId }) => {
+    const { subject, text, html } = mail.data;
+    const stored = captureMessage({ messageId, from: envelope.from, to: envelope.to, subject, text, html });
+    console.log(`📧 [dev inbox] #${stored.id} ${subject} → ${envelope.to.join(', ')}`);
+  }));
+};
+
+/**
+ * The configured transporter, created on first use
+ * @returns {Object|null} Nodemailer transporter, or null when email is not configured
+ */
+const getTransporter = () => {
+  const name = getTransportName();
+  if (transporterName !== name) {
+    transporter = createTransport(name);
+    transporterName = name;
+
+    if (!transporter) {
+      console.warn('⚠️  Email configuration incomplete. Set EMAIL_USER and EMAIL_APP_PASSWORD (or EMAIL_HOST), or choose another EMAIL_TRANSPORT');
+    } else if (name !== 'smtp' && process.env.NODE_ENV === 'production') {
+      console.warn(`⚠️  EMAIL_TRANSPORT is "${name}" in production: emails are not delivered`);
+    }
+  }
+  return transporter;
+};
+
+module.exports = {
+  EMAIL_TRANSPORTS,
+  getTransportName,
+  getTransporter,
+  isGmail,
+};
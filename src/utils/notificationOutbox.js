@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/prisma');
+const { runOutsideRequest } = require('./requestContext');
+
+/**
+ * Notification outbox
+ *
+ * Emails and SMS are written to the notifications table first and sent by a worker,
+ * so a message survives a restart or a provider timeout. The worker claims due
+ * notifications (a lease in lockedUntil keeps two workers off the same one), sends
+ * them, and records every try in notification_attempts with the provider's message id.
+ * A failed send is retried with a doubling delay until maxAttempts is reached or the
+ * notification expires (an OTP is not worth sending after it expired).
+ *
+ * Statuses: PENDING (waiting to be sent or retried), HELD (a fallback, released when
+ * the notification before it fails its first attempt), SENT, FAILED, EXPIRED and
+ * CANCELLED (the other notification of a fallback pair was sent first).
+ *
+ * The payload can hold an OTP, so it is stored encrypted (AES-256-GCM with a key from
+ * NOTIFICATION_PAYLOAD_SECRET, bound to the notification id) and cleared once the
+ * notification is settled. Without the secret the database alone never yields a code.
+ *
+ * What is sent comes from templates registered with defineNotificationTemplate (see
+ * utils/otpDelivery.js for the OTP template).
+ *
+ * Configuration from .env:
+ * - NOTIFICATION_PAYLOAD_SECRET: Key for stored payloads (required to queue notifications)
+ * - NOTIFICATION_MAX_ATTEMPTS: Tries per notification (default: 5)
+ * - NOTIFICATION_RETRY_SECONDS: Delay before the first retry, doubled for each further one (default: 10)
+ * - NOTIFICATION_POLL_SECONDS: How often the worker looks for due notifications (default: 5)
+ */
+
+const NOTIFICATION_STATUSES = ['HELD', 'PENDING', 'SENT', 'FAILED', 'EXPIRED', 'CANCELLED'];
+const SETTLED_STATUSES = ['SENT', 'FAILED', 'EXPIRED', 'CANCELLED'];
+
+const PAYLOAD_CIPHER = 'aes-256-gcm';
+
+const BATCH_SIZE = 20;
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+const templates = {};
+
+let processing = false;
+let processAgain = false;
+
+const positiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+const getMaxAttempts = () => positiveInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 5);
+
+const retryDelaySeconds = (attempt) =>
+  Math.min(positiveInt(process.env.NOTIFICATION_RETRY_SECONDS, 10) * 2 ** (attempt - 1), MAX_RETRY_DELAY_SECONDS);
+
+const getPayloadKey = () => {
+  const secret = process.env.NOTIFICATION_PAYLOAD_SECRET;
+  if (!secret) {
+    throw new Error('NOTIFICATION_PAYLOAD_SECRET is not set. It encrypts queued notifications, which can hold OTPs.');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a payload for the notifications table
+ * @param {*} payload - JSON-serialisable payload
+ * @param {string} notificationId - Notification the payload belongs to (authenticated with it)
+ * @returns {Object} { cipher, iv, tag, data } (base64)
+ */
+const sealPayload = (payload, notificationId) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(PAYLOAD_CIPHER, getPayloadKey(), iv);
+  cipher.setAAD(Buffer.from(notificationId));
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload ?? null)), cipher.final()]);
+
+  return {
+    cipher: PAYLOAD_CIPHER,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+};
+
+/**
+ * Decrypt a stored notification's payload
+ * @param {Object} notification - Notification record
+ * @returns {*} The payload (null once cleared), or undefined when it cannot be decrypted
+ */
+const openPayload = (notification) => {
+  const stored = notification.payload;
+  if (!stored) return null;
+
+  try {
+    const decipher = crypto.createDecipheriv(PAYLOAD_CIPHER, getPayloadKey(), Buffer.from(stored.iv, 'base64'));
+    decipher.setAAD(Buffer.from(notification.id));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString());
+  } catch (error) {
+    console.error(`Notification ${notification.id} payload cannot be decrypted:`, error.message);
+    return undefined;
+  }
+};
+
+const withPayload = (notification) => ({ ...notification, payload: openPayload(notification) });
+
+// Not claimed by a worker, or the worker's lease ran out (e.g. it was restarted mid-send)
+const unclaimed = (now) => ({ OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] });
+
+/**
+ * Register how a kind of notification is sent
+ * @param {string} name - Template name stored on the notification (e.g. "OTP")
+ * @param {Object} template
+ * @param {Object} template.send - { email, sms }: async (notification) => { provider, status, messageId },
+ *   throwing when the send failed (error.deliveryResult.provider is recorded when present)
+ * @param {Function} [template.onSettled] - async (notification) => void, called once the
+ *   notification is SENT, FAILED or EXPIRED, with its decrypted payload
+ */
+function defineNotificationTemplate(name, { send, onSettled }) {
+  templates[name] = { send, onSettled };
+}
+
+/**
+ * Look for due notifications as soon as possible (outside the current request)
+ */
+function wakeNotificationWorker() {
+  runOutsideRequest(() => {
+    setImmediate(() => {
+      processDueNotifications().catch((error) => console.error('Notification worker error:', error));
+    });
+  });
+}
+
+/**
+ * Add notifications to the outbox and wake the worker
+ * @param {Object[]} notifications - { template, channel, recipient, payload, electionId?,
+ *   verificationId?, expiresAt?, fallback? } in order; a notification with fallback: true
+ *   is HELD and only sent when the one before it fails
+ * @returns {Promise<Object[]>} The queued notifications
+ */
+async function queueNotifications(notifications) {
+  const maxAttempts = getMaxAttempts();
+  const data = [];
+
+  notifications.forEach(({ fallback, payload, ...notification }, index) => {
+    const id = crypto.randomUUID();
+    data.push({
+      id,
+      electionId: null,
+      verificationId: null,
+      expiresAt: null,
+      ...notification,
+      payload: sealPayload(payload, id),
+      status: fallback && index > 0 ? 'HELD' : 'PENDING',
+      fallbackForId: fallback && index > 0 ? data[index - 1].id : null,
+      maxAttempts,
+    });
+  });
+
+  await prisma.notification.createMany({ data });
+  wakeNotificationWorker();
+  return data;
+}
+
+// Record the final status and clear the payload
+const markSettled = (notification, data) => prisma.notification.update({
+  where: { id: notification.id },
+  data: { ...data, payload: Prisma.DbNull, lockedUntil: null },
+});
+
+// Cancel what a sent notification makes unnecessary and let the template react
+async function afterSettled(notification, settled) {
+  // First of a fallback pair to get through: the other one is no longer needed
+  if (settled.status === 'SENT') {
+    const now = new Date();
+    await prisma.notification.updateMany({
+      where: {
+        AND: [
+          { status: { in: ['HELD', 'PENDING'] } },
+          unclaimed(now),
+          {
+            OR: [
+              { fallbackForId: notification.id },
+              ...(notification.fallbackForId ? [{ id: notification.fallbackForId }] : []),
+            ],
+          },
+        ],
+      },
+      data: { status: 'CANCELLED', payload: Prisma.DbNull },
+    });
+  }
+
+  const template = templates[notification.template];
+  if (template?.onSettled) {
+    try {
+      await template.onSettled({ ...settled, payload: notification.payload });
+    } catch (error) {
+      console.error(`Notification ${notification.id} settle hook error:`, error);
+    }
+  }
+}
+
+// Record the final status, clear the payload and let the template react
+async function settleNotification(notification, data) {
+  const settled = await markSettled(notification, data);
+  await afterSettled(notification, settled);
+}
+
+// Send a claimed notification once and record the attempt
+async function sendNotification(notification, attempt) {
+  const sender = templates[notification.template]?.send?.[notification.channel];
+  const startTime = Date.now();
+  let result;
+
+  try {
+    if (!sender) {
+      throw new Error(`No sender for ${notification.template} notifications by ${notification.channel}`);
+    }
+    if (notification.payload === undefined) {
+      throw new Error('Notification payload cannot be decrypted (was NOTIFICATION_PAYLOAD_SECRET changed?)');
+    }
+
+    result = await sender(notification);
+  } catch (error) {
+    const provider = error.deliveryResult?.provider || null;
+    console.error(`⚠️ ${notification.channel} notification ${notification.id} attempt ${attempt} failed:`, error.message);
+
+    await prisma.notificationAttempt.create({
+      data: {
+        notificationId: notification.id,
+        attempt,
+        status: 'FAILED',
+        provider,
+        error: error.message,
+        durationMs: Date.now() - startTime,
+      },
+    });
+
+    // The fallback goes out as soon as the first try fails; this one keeps retrying
+    if (attempt === 1) {
+      const released = await prisma.notification.updateMany({
+        where: { fallbackForId: notification.id, status: 'HELD' },
+        data: { status: 'PENDING', nextAttemptAt: new Date() },
+      });
+      if (released.count > 0) processAgain = true;
+    }
+
+    const nextAttemptAt = new Date(Date.now() + retryDelaySeconds(attempt) * 1000);
+    const outOfTime = notification.expiresAt && nextAttemptAt >= notification.expiresAt;
+
+    // Retrying does not help without a sender or a readable payload
+    if (!sender || notification.payload === undefined || attempt >= notification.maxAttempts || outOfTime) {
+      await settleNotification(notification, { status: 'FAILED', provider, lastError: error.message });
+    } else {
+      await prisma.notification.update({
+        where: { id: notification.id },
+        data: { nextAttemptAt, lockedUntil: null, provider, lastError: error.message },
+      });
+    }
+    return;
+  }
+
+  // Marked SENT before anything else, so a failure recording the rest never causes a resend
+  const provider = result?.provider || null;
+  const providerMessageId = result?.messageId || null;
+  const settled = await markSettled(notification, {
+    status: 'SENT',
+    sentAt: new Date(),
+    provider,
+    providerMessageId,
+    lastError: null,
+  });
+
+  try {
+    await prisma.notificationAttempt.create({
+      data: {
+        notificationId: notification.id,
+        attempt,
+        status: result?.status || 'SENT',
+        provider,
+        providerMessageId,
+        durationMs: Date.now() - startTime,
+      },
+    });
+  } catch (error) {
+    console.error(`Notification ${notification.id} attempt log error:`, error);
+  }
+
+  await afterSettled(notification, settled);
+}
+
+/**
+ * Send every notification that is due, retrying failed ones later
+ * Only one run at a time per process; a call during a run makes it look again.
+ * @returns {Promise<void>}
+ */
+async function processDueNotifications() {
+  if (processing) {
+    processAgain = true;
+    return;
+  }
+  processing = true;
+
+  try {
+    let more = true;
+    while (more) {
+      processAgain = false;
+      const now = new Date();
+
+      // Held fallbacks that were never needed
+      await prisma.notification.updateMany({
+        where: { status: 'HELD', expiresAt: { lte: now } },
+        data: { status: 'EXPIRED', payload: Prisma.DbNull },
+      });
+
+      const expired = (await prisma.notification.findMany({
+        where: { AND: [{ status: 'PENDING', expiresAt: { lte: now } }, unclaimed(now)] },
+        take: BATCH_SIZE,
+      })).map(withPayload);
+      for (const notification of expired) {
+        await settleNotification(notification, { status: 'EXPIRED' });
+      }
+
+      const due = (await prisma.notification.findMany({
+        where: { AND: [{ status: 'PENDING', nextAttemptAt: { lte: now } }, unclaimed(now)] },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: BATCH_SIZE,
+      })).map(withPayload);
+
+      // Claim each one; another worker may have taken it in the meantime
+      const claimed = [];
+      for (const notification of due) {
+        const claim = await prisma.notification.updateMany({
+          where: { AND: [{ id: notification.id, status: 'PENDING', attempts: notification.attempts }, unclaimed(now)] },
+          data: { lockedUntil: new Date(Date.now() + CLAIM_LEASE_MS), attempts: { increment: 1 } },
+        });
+        if (claim.count === 1) claimed.push(notification);
+      }
+
+      await Promise.all(claimed.map((notification) => sendNotification(notification, notification.attempts + 1)));
+
+      more = processAgain || due.length === BATCH_SIZE || expired.length === BATCH_SIZE;
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Run the worker every NOTIFICATION_POLL_SECONDS, starting with what is left from before a restart
+ * @returns {NodeJS.Timeout} Timer (unref'd so it never keeps the process alive)
+ */
+function scheduleNotificationWorker() {
+  const seconds = positiveInt(process.env.NOTIFICATION_POLL_SECONDS, 5);
+
+  wakeNotificationWorker();
+  const timer = setInterval(wakeNotificationWorker, seconds * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  NOTIFICATION_STATUSES,
+  SETTLED_STATUSES,
+  defineNotificationTemplate,
+  queueNotifications,
+  processDueNotifications,
+  scheduleNotificationWorker,
+};
@@ -0,0 +1,244 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('./auditLogger');
+const { sendOTPEmail } = require('./emailService');
+const { sendOTPSMS } = require('./smsService');
+const { getTransportName } = require('./mailTransport');
+const { SETTLED_STATUSES, defineNotificationTemplate, queueNotifications } = require('./notificationOutbox');
+
+/**
+ * OTP delivery channels
+ *
+ * The channel policy decides how a voter's OTP is sent:
+ * - all (default): every channel the voter has contact details for, at the same time
+ * - email: email first, SMS as the fallback
+ * - sms: SMS first, email as the fallback
+ * - voter: the channel the voter asks for (`channel` in the request), the other one as
+ *   the fallback; email first when the voter does not say
+ *
+ * A channel the voter has no contact details for is skipped, so voters with only an
+ * email or only a phone number can still verify. The fallback is used when the first
+ * channel is skipped or its first send fails, unless OTP_FALLBACK=false (e.g. policy "email" without
+ * fallback makes an email address required).
+ *
+ * OTPs are sent through the notification outbox, which retries failed sends until
+ * the OTP expires. Verification.method records the channel the OTP actually went out
+ * on ("email", "sms" or "both"), with deliveryStatus PENDING → SENT or FAILED (once
+ * every channel gave up) and fallbackUsed.
+ *
+ * Configuration from .env:
+ * - OTP_CHANNEL_POLICY: all, email, sms or voter (default: all)
+ * - OTP_FALLBACK: Use the other channel when the first is missing or fails (default: true)
+ */
+
+const OTP_CHANNELS = ['email', 'sms'];
+const CHANNEL_POLICIES = ['all', ...OTP_CHANNELS, 'voter'];
+
+const CHANNEL_LABELS = { email: 'Email', sms: 'SMS' };
+
+// Notification template for OTPs (utils/notificationOutbox.js)
+const OTP_TEMPLATE = 'OTP';
+
+// Voter field each channel sends to
+const CONTACT_FIELDS = { email: 'email', sms: 'phone' };
+
+const getChannelPolicy = () => {
+  const policy = (process.env.OTP_CHANNEL_POLICY || '').trim().toLowerCase();
+  return CHANNEL_POLICIES.includes(policy) ? policy : 'all';
+};
+
+const isFallbackEnabled = () => process.env.OTP_FALLBACK?.trim().toLowerCase() !== 'false';
+
+const otherChannel = (channel) => (channel === 'email' ? 'sms' : 'email');
+
+const hasContact = (voter, channel) => Boolean(voter[CONTACT_FIELDS[channel]]?.trim());
+
+/**
+ * Stored method for the channels an OTP was delivered on
+ * @param {string[]} channels - Channels that succeeded
+ * @returns {string} "email", "sms" or "both"
+ */
+const deliveryMethod = (channels) => (channels.length > 1 ? 'both' : channels[0]);
+
+/**
+ * Decide how to send a voter's OTP
+ * @param {Object} voter - EligibleVoter record
+ * @param {string} [requestedChannel] - Channel the voter asked for (policy "voter")
+ * @returns {{plan?: Object, error?: string, hint?: string}}
+ *   plan: { policy, parallel, primary, channels } - channels in the order they are tried
+ *   (all at once when parallel); primary is the preferred channel (null when parallel)
+ */
+function planOtpDelivery(voter, requestedChannel) {
+  const policy = getChannelPolicy();
+
+  if (requestedChannel !== undefined && policy === 'voter' && !OTP_CHANNELS.includes(requestedChannel)) {
+    return { error: `channel must be one of: ${OTP_CHANNELS.join(', ')}` };
+  }
+
+  if (policy === 'all') {
+    const channels = OTP_CHANNELS.filter((channel) => hasContact(voter, channel));
+    if (channels.length === 0) {
+      return {
+        error: 'Voter has no email address or phone number',
+        hint: 'Contact administrator to add your email address or phone number in the CSV file',
+      };
+    }
+    return { plan: { policy, parallel: true, primary: null, channels } };
+  }
+
+  let primary = policy;
+  if (policy === 'voter') {
+    primary = requestedChannel || 'email';
+  }
+
+  const order = isFallbackEnabled() ? [primary, otherChannel(primary)] : [primary];
+  const channels = order.filter((channel) => hasContact(voter, channel));
+
+  if (channels.length === 0) {
+    const field = primary === 'email' ? 'email address' : 'phone number';
+    return {
+      error: `Voter ${field} not found`,
+      hint: `Contact administrator to update your ${field} in the CSV file`,
+    };
+  }
+
+  return { plan: { policy, parallel: false, primary, channels } };
+}
+
+/**
+ * Queue a voter's OTP in the notification outbox as planned
+ * Parallel plans queue every channel; otherwise the fallback is held until the
+ * first channel fails. The notifications expire with the OTP.
+ * @param {Object} verification - Verification record
+ * @param {Object} voter - EligibleVoter record
+ * @param {Object} plan - Plan from planOtpDelivery
+ * @param {string} otp - The code to send
+ * @returns {Promise<Object[]>} Queued notifications
+ */
+async function queueOtpDelivery(verification, voter, plan, otp) {
+  return queueNotifications(plan.channels.map((channel, index) => ({
+    template: OTP_TEMPLATE,
+    channel,
+    recipient: voter[CONTACT_FIELDS[channel]].trim(),
+    payload: { otp, regNo: voter.regNo, preferred: plan.primary },
+    electionId: voter.electionId,
+    verificationId: verification.id,
+    expiresAt: verification.expiresAt,
+    fallback: !plan.parallel && index > 0,
+  })));
+}
+
+// Record the outcome of one OTP notification on its verification
+async function settleOtpNotification(notification) {
+  const verification = await prisma.verification.findUnique({
+    where: { id: notification.verificationId },
+    include: { notifications: { select: { channel: true, status: true } } },
+  });
+  if (!verification) return;
+
+  const { regNo, preferred } = notification.payload || {};
+  const audit = (action, payload) => logAudit({
+    actorType: 'system',
+    electionId: notification.electionId,
+    action,
+    entity: 'verification',
+    entityId: verification.id,
+    payload: { voterId: verification.voterId, regNo, ...payload },
+  });
+
+  const sent = verification.notifications.filter((sibling) => sibling.status === 'SENT');
+
+  if (notification.status === 'SENT') {
+    // Also a fallback when the voter had no contact details for the preferred channel
+    const fallbackUsed = Boolean(preferred) && notification.channel !== preferred;
+    const channels = OTP_CHANNELS.filter((channel) => sent.some((sibling) => sibling.channel === channel));
+
+    await prisma.verification.update({
+      where: { id: verification.id },
+      data: { method: deliveryMethod(channels), deliveryStatus: 'SENT', ...(fallbackUsed && { fallbackUsed }) },
+    });
+
+    console.log(`✅ OTP sent via ${CHANNEL_LABELS[notification.channel]} (attempt ${notification.attempts})`);
+    if (fallbackUsed) {
+      await audit('OTP_FALLBACK_USED', { preferred, sentVia: notification.channel });
+    }
+    return;
+  }
+
+  await audit(notification.channel === 'email' ? 'OTP_EMAIL_FAILED' : 'OTP_SMS_FAILED', {
+    notificationId: notification.id,
+    attempts: notification.attempts,
+    error: notification.status === 'EXPIRED'
+      ? 'OTP expired before it could be sent'
+      : notification.lastError,
+    ...(notification.channel === 'email'
+      ? { email: notification.recipient }
+      : { note: 'SMS may have been delivered despite API timeout' }),
+  });
+
+  const settled = verification.notifications.every((sibling) => SETTLED_STATUSES.includes(sibling.status));
+  if (sent.length === 0 && settled) {
+    await prisma.verification.update({
+      where: { id: verification.id },
+      data: { deliveryStatus: 'FAILED' },
+    });
+    await audit('OTP_DELIVERY_FAILED', {
+      channels: verification.notifications.map((sibling) => sibling.channel),
+    });
+  }
+}
+
+defineNotificationTemplate(OTP_TEMPLATE, {
+  send: {
+    email: async ({ recipient, payload }) => {
+      const result = await sendOTPEmail(recipient, payload.otp, payload.regNo);
+      return { provider: getTransportName(), status: 'SENT', messageId: result.messageId };
+    },
+    sms: ({ recipient, payload }) => sendOTPSMS(recipient, payload.otp, payload.regNo),
+  },
+  onSettled: settleOtpNotification,
+});
+
+/**
+ * OTP delivery figures for an election's verifications
+ * @param {string} electionId - Election ID
+ * @returns {Promise<Object>} { total, byChannel: { email, sms, both }, fallbacks, pending, failed }
+ */
+async function getOtpDeliveryStats(electionId) {
+  const groups = await prisma.verification.groupBy({
+    by: ['method', 'deliveryStatus', 'fallbackUsed'],
+    where: { voter: { electionId } },
+    _count: { _all: true },
+  });
+
+  const stats = {
+    total: 0,
+    byChannel: { email: 0, sms: 0, both: 0 },
+    fallbacks: 0,
+    pending: 0,
+    failed: 0,
+  };
+
+  groups.forEach((group) => {
+    const count = group._count._all;
+    stats.total += count;
+
+    if (group.deliveryStatus === 'FAILED') {
+      stats.failed += count;
+    } else if (group.deliveryStatus === 'PENDING') {
+      stats.pending += count;
+    } else if (group.method in stats.byChannel) {
+      stats.byChannel[group.method] += count;
+      if (group.fallbackUsed) stats.fallbacks += count;
+    }
+  });
+
+  return stats;
+}
+
+module.exports = {
+  OTP_CHANNELS,
+  CHANNEL_LABELS,
+  planOtpDelivery,
+  queueOtpDelivery,
+  getOtpDeliveryStats,
+};
@@ -0,0 +1,153 @@
+const { prisma } = require('../config/prisma');
+
+/**
+ * OTP brute-force protection
+ *
+ * Two counters limit how many codes can be guessed:
+ * - Per verification: every confirmation attempt is counted before the code is
+ *   checked (so parallel guesses cannot slip past the limit); once the limit is
+ *   reached the OTP is invalidated and the voter must request a new one
+ * - Per voter (reg number): consecutive wrong codes across verifications; reaching
+ *   the threshold locks the reg number out of requesting and confirming OTPs. Each
+ *   lockout lasts twice as long as the one before (up to 24 hours) until an admin
+ *   clears it. A successful verification resets the consecutive wrong codes but not
+ *   the lockout count.
+ *
+ * Configuration from .env:
+ * - OTP_MAX_ATTEMPTS: Wrong codes allowed per OTP before it is invalidated (default: 3)
+ * - OTP_LOCKOUT_THRESHOLD: Consecutive wrong codes per voter before a lockout (default: 5)
+ * - OTP_LOCKOUT_MINUTES: Length of the first lockout in minutes (default: 15)
+ */
+
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+const positiveIntFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const getMaxAttempts = () => positiveIntFromEnv('OTP_MAX_ATTEMPTS', 3);
+const getLockoutThreshold = () => positiveIntFromEnv('OTP_LOCKOUT_THRESHOLD', 5);
+
+// Length of the nth lockout (1-based): doubles each time, capped at a day
+const lockoutMinutes = (lockouts) => Math.min(
+  positiveIntFromEnv('OTP_LOCKOUT_MINUTES', 15) * 2 ** Math.max(lockouts - 1, 0),
+  MAX_LOCKOUT_MINUTES
+);
+
+/**
+ * Seconds until a voter's lockout ends
+ * @param {Object} voter - EligibleVoter record
+ * @returns {number} 0 when the voter is not locked out
+ */
+const lockoutSecondsRemaining = (voter) => {
+  if (!voter.otpLockedUntil) return 0;
+  return Math.max(Math.ceil((voter.otpLockedUntil.getTime() - Date.now()) / 1000), 0);
+};
+
+/**
+ * Count a confirmation attempt against a verification before the code is checked
+ * @param {Object} verification - Verification record
+ * @returns {Promise<boolean>} false when the OTP has no attempts left (it is invalidated)
+ */
+async function reserveOtpAttempt(verification) {
+  const reserved = await prisma.verification.updateMany({
+    where: {
+      id: verification.id,
+      invalidatedAt: null,
+      attempts: { lt: getMaxAttempts() },
+    },
+    data: { attempts: { increment: 1 } },
+  });
+
+  if (reserved.count === 0) {
+    await prisma.verification.updateMany({
+      where: { id: verification.id, invalidatedAt: null },
+      data: { invalidatedAt: new Date() },
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Record a wrong code
+ * Invalidates the OTP when it has used its last attempt and locks the voter out
+ * once they reach the threshold.
+ * @param {Object} voter - EligibleVoter record
+ * @param {Object} verification - Verification record the code was checked against
+ * @returns {Promise<Object>} { attemptsRemaining, otpInvalidated, lockout: null | { lockouts, lockedUntil, minutes } }
+ */
+async function recordOtpFailure(voter, verification) {
+  const maxAttempts = getMaxAttempts();
+  const threshold = getLockoutThreshold();
+
+  const [current, counted] = await Promise.all([
+    prisma.verification.findUnique({
+      where: { id: verification.id },
+      select: { attempts: true },
+    }),
+    prisma.eligibleVoter.update({
+      where: { id: voter.id },
+      data: { otpFailures: { increment: 1 } },
+      select: { otpFailures: true, otpLockouts: true },
+    }),
+  ]);
+
+  const attemptsRemaining = Math.max(maxAttempts - (current?.attempts ?? maxAttempts), 0);
+  const otpInvalidated = attemptsRemaining === 0;
+
+  if (otpInvalidated) {
+    await prisma.verification.updateMany({
+      where: { id: verification.id, invalidatedAt: null },
+      data: { invalidatedAt: new Date() },
+    });
+  }
+
+  if (counted.otpFailures < threshold) {
+    return { attemptsRemaining, otpInvalidated, lockout: null };
+  }
+
+  // Conditional update: of several concurrent failures only one starts the lockout
+  const lockouts = counted.otpLockouts + 1;
+  const minutes = lockoutMinutes(lockouts);
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  const locked = await prisma.eligibleVoter.updateMany({
+    where: { id: voter.id, otpFailures: { gte: threshold } },
+    data: { otpFailures: 0, otpLockouts: { increment: 1 }, otpLockedUntil: lockedUntil },
+  });
+
+  if (locked.count === 0) {
+    return { attemptsRemaining, otpInvalidated, lockout: null };
+  }
+
+  // Outstanding codes are useless to the voter now and must not be guessed after the lockout
+  await prisma.verification.updateMany({
+    where: { voterId: voter.id, verifiedAt: null, invalidatedAt: null },
+    data: { invalidatedAt: new Date() },
+  });
+
+  return { attemptsRemaining: 0, otpInvalidated: true, lockout: { lockouts, lockedUntil, minutes } };
+}
+
+/**
+ * Reset a voter's consecutive failures after a successful verification
+ * The lockout count is kept, so a later lockout still lasts longer.
+ * @param {Object} voter - EligibleVoter record
+ */
+async function recordOtpSuccess(voter) {
+  if (voter.otpFailures > 0 || voter.otpLockedUntil) {
+    await prisma.eligibleVoter.update({
+      where: { id: voter.id },
+      data: { otpFailures: 0, otpLockedUntil: null },
+    });
+  }
+}
+
+module.exports = {
+  lockoutSecondsRemaining,
+  reserveOtpAttempt,
+  recordOtpFailure,
+  recordOtpSuccess,
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/prisma');
+
+/**
+ * Polling stations and kiosks (officer-assisted, in-person voting)
+ *
+ * Voters without phone or email access vote at a polling station. An officer looks
+ * the voter up by registration number, checks their ID and issues a ballot token to
+ * one of the station's kiosks; no OTP is involved. The kiosk signs in with its kiosk
+ * key (X-Kiosk-Key header), picks up the ballot waiting for it and the voter votes
+ * with it as usual. A kiosk holds one waiting ballot at a time.
+ *
+ * The ballot records the station, kiosk, issuing officer and the ID that was checked,
+ * which gives each station and kiosk its own turnout counts.
+ *
+ * Kiosk keys are random, shown once when the kiosk is registered (or the key is
+ * rotated) and stored as a SHA-256 hash.
+ */
+
+const KIOSK_KEY_PREFIX = 'kiosk_';
+
+/**
+ * New random kiosk key
+ * @returns {string}
+ */
+const generateKioskKey = () => KIOSK_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Stored form of a kiosk key
+ * @param {string} key - Kiosk key
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashKioskKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * The ballot waiting on a kiosk (active and not expired)
+ * @param {string} kioskId - Kiosk ID
+ * @returns {Promise<Object|null>} Ballot record
+ */
+async function findWaitingBallot(kioskId) {
+  return prisma.ballot.findFirst({
+    where: { kioskId, status: 'ACTIVE', expiresAt: { gt: new Date() } },
+    orderBy: { issuedAt: 'desc' },
+  });
+}
+
+/**
+ * An election's polling stations and kiosks with their turnout
+ * @param {string} electionId - Election ID
+ * @returns {Promise<Object>} { stations, totals } - each station and kiosk has
+ *   ballotsIssued and votesCast; totals covers every in-person ballot
+ */
+async function getStationTurnout(electionId) {
+  const [stations, groups] = await Promise.all([
+    prisma.pollingStation.findMany({
+      where: { electionId },
+      include: {
+        kiosks: {
+          select: { id: true, name: true, active: true, lastSeenAt: true, createdAt: true },
+          orderBy: { name: 'asc' },
+        },
+      },
+      orderBy: { name: 'asc' },
+    }),
+    prisma.ballot.groupBy({
+      by: ['stationId', 'kioskId', 'status'],
+      where: { electionId, stationId: { not: null } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const countFor = (matches) => groups.filter(matches).reduce(
+    (counts, group) => ({
+      ballotsIssued: counts.ballotsIssued + group._count._all,
+      votesCast: counts.votesCast + (group.status === 'CONSUMED' ? group._count._all : 0),
+    }),
+    { ballotsIssued: 0, votesCast: 0 }
+  );
+
+  return {
+    stations: stations.map((station) => ({
+      ...station,
+      ...countFor((group) => group.stationId === station.id),
+      kiosks: station.kiosks.map((kiosk) => ({
+        ...kiosk,
+        ...countFor((group) => group.kioskId === kiosk.id),
+      })),
+    })),
+    totals: countFor(() => true),
+  };
+}
+
+module.exports = {
+  generateKioskKey,
+  hashKioskKey,
+  findWaitingBallot,
+  getStationTurnout,
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+/**
+ * Request context for audit entries
+ *
+ * The requestContext middleware keeps the current request in AsyncLocalStorage so
+ * logAudit can record where an action came from without every controller passing
+ * it along: request id, IP address, user agent, route and the signed-in user.
+ *
+ * Each request gets an id (a valid incoming X-Request-Id is kept, otherwise a new
+ * UUID) which is echoed in the X-Request-Id response header, so a client report can
+ * be matched to its audit entries.
+ *
+ * Voters never sign in (they use an OTP and a ballot token), so by default the IP
+ * address of requests without a signed-in user is stored as a keyed hash: entries
+ * from the same address can still be grouped and searched (see auditIpCandidates),
+ * but the address itself is not kept next to voter activity. The HMAC key is a secret
+ * of its own; without AUDIT_IP_HASH_SECRET those addresses are not stored at all.
+ *
+ * Configuration from .env:
+ * - AUDIT_IP_HASHING: Which IP addresses are hashed: anonymous (default), all, none
+ * - AUDIT_IP_HASH_SECRET: HMAC key for hashed addresses (required to store them)
+ */
+
+const IP_HASHING_MODES = ['anonymous', 'all', 'none'];
+const HASHED_IP_PREFIX = 'hmac:';
+const MAX_USER_AGENT_LENGTH = 500;
+const MAX_ROUTE_LENGTH = 191;
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,64}$/;
+
+const storage = new AsyncLocalStorage();
+
+let warnedNoHashSecret = false;
+
+const getIpHashing = () => {
+  const mode = (process.env.AUDIT_IP_HASHING || '').toLowerCase();
+  return IP_HASHING_MODES.includes(mode) ? mode : 'anonymous';
+};
+
+/**
+ * Keyed hash of an IP address as stored in the audit log
+ * @param {string} ip - IP address
+ * @returns {string|null} "hmac:" followed by the hex HMAC-SHA256 digest, or null when
+ *   AUDIT_IP_HASH_SECRET is not set
+ */
+const hashIp = (ip) => {
+  const secret = process.env.AUDIT_IP_HASH_SECRET;
+  if (!secret) {
+    if (!warnedNoHashSecret) {
+      console.warn('AUDIT_IP_HASH_SECRET is not set: IP addresses that would be hashed are not stored');
+      warnedNoHashSecret = true;
+    }
+    return null;
+  }
+  return HASHED_IP_PREFIX + crypto.createHmac('sha256', secret).update(ip).digest('hex');
+};
+
+/**
+ * Values an IP address may be stored as, for searching the audit log
+ * @param {string} ip - IP address, or a stored "hmac:" value
+ * @returns {string[]} The address itself and its hash (when it can be computed)
+ */
+const auditIpCandidates = (ip) => {
+  if (ip.startsWith(HASHED_IP_PREFIX)) return [ip];
+  const hashed = hashIp(ip);
+  return hashed ? [ip, hashed] : [ip];
+};
+
+/**
+ * Middleware: run the rest of the request inside its own context
+ * Events on the request stream are emitted from the connection, outside any
+ * context, so they are bound to it too; otherwise handlers reached through
+ * upload middleware (multer) would lose it.
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  res.setHeader('X-Request-Id', requestId);
+  storage.run({ requestId, req }, () => {
+    req.emit = AsyncResource.bind(req.emit, 'RequestContext', req);
+    next();
+  });
+};
+
+// Matched route pattern (e.g. "POST /api/elections/:electionId/vote"), without ids or query
+const routeOf = (req) => {
+  let route = `${req.method} ${req.path}`;
+  if (req.route) {
+    const baseRoute = Object.entries(req.params || {}).reduce(
+      (path, [name, value]) => path.replace(`/${value}`, `/:${name}`),
+      req.baseUrl
+    );
+    const routePath = req.route.path === '/' && baseRoute ? '' : req.route.path;
+    route = `${req.method} ${baseRoute}${routePath}`;
+  }
+  return route.slice(0, MAX_ROUTE_LENGTH);
+};
+
+/**
+ * Request fields for the audit entry being written
+ * @param {Object} [options]
+ * @param {boolean} [options.withoutClient] - Leave out the IP address and user agent
+ * @returns {Object} { requestId, ip, userAgent, route, userId } (all null outside a request)
+ */
+const getAuditContext = ({ withoutClient = false } = {}) => {
+  const context = storage.getStore();
+  if (!context) {
+    return { requestId: null, ip: null, userAgent: null, route: null, userId: null };
+  }
+
+  const { requestId, req } = context;
+  const userId = req.user?.id || null;
+  const ipHashing = getIpHashing();
+
+  let ip = withoutClient ? null : req.ip || null;
+  if (ip && (ipHashing === 'all' || (ipHashing === 'anonymous' && !userId))) {
+    ip = hashIp(ip);
+  }
+
+  return {
+    requestId,
+    ip,
+    userAgent: withoutClient ? null : req.get('user-agent')?.slice(0, MAX_USER_AGENT_LENGTH) || null,
+    route: routeOf(req),
+    userId,
+  };
+};
+
+/**
+ * Run work that outlives the request (e.g. a background worker) outside its context,
+ * so audit entries it writes are not attributed to the request that started it
+ * @param {Function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+const runOutsideRequest = (fn) => storage.exit(fn);
+
+module.exports = {
+  requestContext,
+  getAuditContext,
+  runOutsideRequest,
+  auditIpCandidates,
+};
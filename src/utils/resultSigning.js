@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { canonicalJson } = require('./canonicalJson');
+require('dotenv').config();
+
+/**
+ * Result Signing (Ed25519)
+ *
+ * Certified result documents are signed over their canonical JSON so anyone
+ * holding the public key can confirm a downloaded results file is unaltered.
+ *
+ * Configuration from .env (one of):
+ * - RESULTS_SIGNING_PRIVATE_KEY: Ed25519 private key in PEM format (\n may be escaped)
+ * - RESULTS_SIGNING_KEY_FILE: Path to a PEM file holding the private key
+ *
+ * Generate a key with:
+ *   openssl genpkey -algorithm ed25519 -out results-signing.pem
+ */
+
+const SIGNATURE_ALGORITHM = 'Ed25519';
+
+const loadPrivateKey = () => {
+  const inlineKey = process.env.RESULTS_SIGNING_PRIVATE_KEY?.trim();
+  const keyFile = process.env.RESULTS_SIGNING_KEY_FILE?.trim();
+
+  let pem;
+  if (inlineKey) {
+    pem = inlineKey.replace(/\\n/g, '\n');
+  } else if (keyFile) {
+    pem = fs.readFileSync(keyFile, 'utf8');
+  } else {
+    throw new Error(
+      'Result signing key not configured. Please set RESULTS_SIGNING_PRIVATE_KEY or RESULTS_SIGNING_KEY_FILE in .env file.'
+    );
+  }
+
+  const privateKey = crypto.createPrivateKey(pem);
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('Result signing key must be an Ed25519 private key');
+  }
+  return privateKey;
+};
+
+/**
+ * Short, stable identifier for a public key (first 16 hex chars of SHA-256 over its DER)
+ * @param {crypto.KeyObject} publicKey
+ * @returns {string}
+ */
+const getKeyId = (publicKey) =>
+  crypto
+    .createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .substring(0, 16);
+
+/**
+ * Get the configured public key
+ * @returns {{publicKeyPem: string, keyId: string, algorithm: string}}
+ */
+const getPublicKey = () => {
+  const publicKey = crypto.createPublicKey(loadPrivateKey());
+  return {
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+    keyId: getKeyId(publicKey),
+    algorithm: SIGNATURE_ALGORITHM,
+  };
+};
+
+/**
+ * Sign a document over its canonical JSON
+ * @param {Object} document - Document to sign
+ * @returns {{signature: string, keyId: string, algorithm: string}} Base64 signature
+ */
+const signDocument = (document) => {
+  const privateKey = loadPrivateKey();
+  const signature = crypto.sign(null, Buffer.from(canonicalJson(document)), privateKey);
+
+  return {
+    signature: signature.toString('base64'),
+    keyId: getKeyId(crypto.createPublicKey(privateKey)),
+    algorithm: SIGNATURE_ALGORITHM,
+  };
+};
+
+/**
+ * Verify a document signature
+ * @param {Object} document - Signed document
+ * @param {string} signature - Base64 signature
+ * @param {string} publicKeyPem - Public key to verify with (defaults to the configured key)
+ * @returns {boolean}
+ */
+const verifyDocument = (document, signature, publicKeyPem) => {
+  const publicKey = publicKeyPem
+    ? crypto.createPublicKey(publicKeyPem)
+    : crypto.createPublicKey(loadPrivateKey());
+
+  return crypto.verify(
+    null,
+    Buffer.from(canonicalJson(document)),
+    publicKey,
+    Buffer.from(signature, 'base64')
+  );
+};
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  getPublicKey,
+  signDocument,
+  verifyDocument,
+};
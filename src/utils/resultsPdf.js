@@ -0,0 +1,414 @@
+const { loadCandidatePhoto } = require('./pdfHelpers');
+const { createAuditAnchor } = require('./auditChain');
+
+const METHOD_LABELS = {
+  PLURALITY: 'Plurality',
+  IRV: 'Instant-runoff (ranked choice)',
+  STV: 'Single transferable vote (Droop quota)',
+  BLOCK: 'Block vote (select up to the number of seats)',
+  APPROVAL: 'Approval (select any number)',
+};
+
+// STV counts carry fractional ballot weights
+const formatVotes = (votes) => (Number.isInteger(votes) ? String(votes) : votes.toFixed(2));
+
+/**
+ * Render the round-by-round table of a ranked position
+ * One row per candidate with their votes in each round, plus exhausted ballots,
+ * then the events of each count (elections, surplus transfers, exclusions)
+ * and, for multi-seat positions, the final seat allocation.
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} position - Position entry from getElectionResults (with rounds)
+ */
+function renderRoundsTable(doc, position) {
+  const names = new Map(position.candidates.map((c) => [c.candidateId, c.name]));
+  const rounds = position.rounds;
+  const tableLeft = 50;
+  const nameWidth = 150;
+  const columnWidth = Math.min(60, (doc.page.width - 100 - nameWidth) / Math.max(rounds.length, 1));
+  const rowHeight = 16;
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > doc.page.height - 60) {
+      doc.addPage();
+      doc.y = 50;
+    }
+  };
+
+  const drawRow = (label, cells, bold = false) => {
+    ensureSpace(rowHeight);
+    const y = doc.y;
+    doc.fillColor('#000000')
+      .fontSize(9)
+      .font(bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, tableLeft, y, { width: nameWidth - 5, ellipsis: true, lineBreak: false });
+    cells.forEach((cell, idx) => {
+      doc.text(cell, tableLeft + nameWidth + idx * columnWidth, y, {
+        width: columnWidth,
+        align: 'center',
+        lineBreak: false,
+      });
+    });
+    doc.y = y + rowHeight;
+  };
+
+  const drawLine = (text) => {
+    ensureSpace(rowHeight);
+    doc.fillColor('#000000')
+      .fontSize(9)
+      .font('Helvetica')
+      .text(text, 50, doc.y, { width: doc.page.width - 100 });
+  };
+
+  const describeTransfers = (transfers) => {
+    const moves = Object.entries(transfers)
+      .filter(([, count]) => count > 0)
+      .map(([target, count]) => `${formatVotes(count)} to ${target === 'exhausted' ? 'exhausted' : names.get(target)}`);
+    return moves.length > 0 ? ` - transferred ${moves.join(', ')}` : '';
+  };
+
+  ensureSpace(40);
+  doc.fillColor('#000000')
+    .fontSize(12)
+    .font('Helvetica-Bold')
+    .text('Round-by-round Count:', 50, doc.y);
+  doc.y += 20;
+
+  if (position.quota !== undefined) {
+    drawLine(`Quota: ${position.quota} (Droop: valid ballots / (seats + 1), rounded down, + 1)`);
+    doc.y += 6;
+  }
+
+  drawRow('Candidate', rounds.map((round) => `R${round.round}`), true);
+
+  position.candidates.forEach((candidate) => {
+    drawRow(
+      candidate.name,
+      rounds.map((round) => {
+        if (!(candidate.candidateId in round.tallies)) return '-';
+        const votes = formatVotes(round.tallies[candidate.candidateId]);
+        if (round.elected.includes(candidate.candidateId)) return `${votes} (W)`;
+        if (round.eliminated === candidate.candidateId) return `${votes} (X)`;
+        return votes;
+      })
+    );
+  });
+
+  drawRow('Exhausted', rounds.map((round) => formatVotes(round.exhausted)));
+
+  doc.y += 8;
+  rounds.forEach((round) => {
+    const events = [];
+    if (round.elected.length > 0) {
+      events.push(`${round.elected.map((id) => names.get(id)).join(', ')} elected`);
+    }
+    if (round.surplusOf) {
+      events.push(`surplus of ${names.get(round.surplusOf)}${describeTransfers(round.transfers)}`);
+    }
+    if (round.eliminated) {
+      events.push(`${names.get(round.eliminated)} eliminated${describeTransfers(round.transfers)}`);
+    }
+    if (events.length > 0) {
+      drawLine(`Round ${round.round}: ${events.join('; ')}`);
+    }
+  });
+
+  doc.fontSize(8)
+    .text('(W) elected, (X) eliminated at the end of the round', 50, doc.y + 4);
+  doc.y += 20;
+
+  if (position.seats > 1 && position.seatAllocation) {
+    ensureSpace(40);
+    doc.fillColor('#000000')
+      .fontSize(12)
+      .font('Helvetica-Bold')
+      .text('Seat Allocation:', 50, doc.y);
+    doc.y += 18;
+
+    position.seatAllocation.forEach((seat) => {
+      drawLine(`Seat ${seat.seat}: ${seat.name} (elected in round ${seat.electedInRound})`);
+    });
+    doc.y += 12;
+  }
+}
+
+/**
+ * Render the election results report into a PDFKit document
+ * Used by the results-pdf export and by the election archive
+ * @param {PDFDocument} doc - PDFKit document (already piped to its destination)
+ * @param {Object} election - Election record
+ * @param {{positions: Array}} results - Output of getElectionResults ({ sealed: true } while encrypted ballots are undecrypted)
+ * @returns {Promise<void>} Resolves once doc.end() has been called
+ */
+async function renderResultsPdf(doc, election, results) {
+  const { positions, questions = [] } = results;
+
+  // Simple Header
+  doc.fillColor('#000000')
+    .fontSize(24)
+    .font('Helvetica-Bold')
+    .text('Election Results Report', 50, 50, { align: 'center', width: doc.page.width - 100 });
+
+  doc.fontSize(12)
+    .font('Helvetica')
+    .fillColor('#000000')
+    .text(election.name, 50, 80, { align: 'center', width: doc.page.width - 100 });
+
+  doc.fontSize(10)
+    .font('Helvetica')
+    .fillColor('#000000')
+    .text(`Generated: ${new Date().toLocaleString()}`, 50, 98, { align: 'center', width: doc.page.width - 100 });
+
+  doc.y = 125;
+
+  if (results.sealed) {
+    doc.fillColor('#000000')
+      .fontSize(12)
+      .font('Helvetica')
+      .text('The ballots of this election are encrypted and the trustees have not decrypted the tally yet.', 50, doc.y, {
+        width: doc.page.width - 100,
+      });
+    doc.y += 30;
+  }
+
+  // Process each position
+  for (let index = 0; index < positions.length; index++) {
+    const position = positions[index];
+
+    if (index > 0) {
+      doc.addPage();
+      doc.y = 50;
+    }
+
+    // Simple Position Header
+    doc.fillColor('#000000')
+      .fontSize(18)
+      .font('Helvetica-Bold')
+      .text(position.positionName.toUpperCase(), 50, doc.y);
+
+    doc.fontSize(10)
+      .font('Helvetica')
+      .fillColor('#000000')
+      .text(`Seats Available: ${position.seats}`, 50, doc.y + 5);
+
+    doc.fontSize(10)
+      .font('Helvetica')
+      .text(`Voting Method: ${METHOD_LABELS[position.votingMethod] || position.votingMethod}`, 50, doc.y + 2);
+
+    doc.y += 20;
+
+    if (position.candidates.length === 0) {
+      doc.fillColor('#000000')
+        .fontSize(12)
+        .font('Helvetica')
+        .text('No candidates for this position.', 50, doc.y);
+      doc.y += 30;
+      continue;
+    }
+
+    // Candidate details section (candidates are already ranked)
+    const sortedCandidates = position.candidates;
+    let currentY = doc.y;
+
+    // Process candidates sequentially to handle async photo loading
+    for (let idx = 0; idx < sortedCandidates.length; idx++) {
+      const candidate = sortedCandidates[idx];
+
+      // Check if we need a new page
+      if (currentY > doc.page.height - 150) {
+        doc.addPage();
+        currentY = 50;
+      }
+
+      // Simple candidate entry
+      const photoX = 50;
+      const photoY = currentY;
+      const photoSize = 60;
+
+      // Candidate photo
+      try {
+        const photoBuffer = await loadCandidatePhoto(candidate.photoUrl, candidate.name);
+        if (photoBuffer) {
+          doc.image(photoBuffer, photoX, photoY, {
+            width: photoSize,
+            height: photoSize,
+            fit: [photoSize, photoSize],
+          });
+        }
+      } catch (photoError) {
+        console.warn(`Photo error for ${candidate.name}:`, photoError.message);
+      }
+
+      // Candidate information (right side of photo)
+      const infoX = photoX + photoSize + 15;
+      const infoY = currentY;
+
+      // Rank
+      doc.fillColor('#000000')
+        .fontSize(12)
+        .font('Helvetica-Bold')
+        .text(`Rank: ${candidate.rank}`, infoX, infoY);
+
+      // Candidate name
+      doc.fillColor('#000000')
+        .fontSize(14)
+        .font('Helvetica-Bold')
+        .text(candidate.name, infoX, infoY + 18);
+
+      // Program (write-ins are marked instead)
+      if (candidate.isWriteIn) {
+        doc.fillColor('#000000')
+          .fontSize(10)
+          .font('Helvetica-Oblique')
+          .text('Write-in', infoX, infoY + 35);
+      } else if (candidate.program) {
+        doc.fillColor('#000000')
+          .fontSize(10)
+          .font('Helvetica')
+          .text(candidate.program, infoX, infoY + 35);
+      }
+
+      // Votes and percentage
+      doc.fillColor('#000000')
+        .fontSize(12)
+        .font('Helvetica')
+        .text(`Votes: ${candidate.votes}`, infoX, infoY + 48);
+
+      doc.fillColor('#000000')
+        .fontSize(12)
+        .font('Helvetica')
+        .text(`Percentage: ${candidate.votePercentage.toFixed(2)}%`, infoX, infoY + 62);
+
+      // Winner declaration
+      if (candidate.isWinner) {
+        doc.fillColor('#000000')
+          .fontSize(12)
+          .font('Helvetica-Bold')
+          .text('WINNER', infoX, infoY + 78);
+      }
+
+      currentY += photoSize + 30;
+    }
+
+    doc.y = currentY;
+    doc.moveDown(1);
+
+    // Simple Summary
+    doc.fillColor('#000000')
+      .fontSize(12)
+      .font('Helvetica-Bold')
+      .text('Summary:', 50, doc.y);
+
+    doc.y += 20;
+    doc.fillColor('#000000')
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Total Candidates: ${sortedCandidates.length}`, 50, doc.y);
+
+    doc.y += 15;
+    doc.fillColor('#000000')
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Total Votes Cast: ${position.totalVotes}`, 50, doc.y);
+
+    doc.y += 15;
+    doc.fillColor('#000000')
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Abstentions: ${position.abstentions} (${position.abstentionRate}%)`, 50, doc.y);
+
+    doc.y += 15;
+    doc.fillColor('#000000')
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Participation: ${position.participationRate}% of ballots cast (${position.skipped} skipped)`, 50, doc.y);
+
+    if (position.restricted) {
+      doc.y += 15;
+      doc.fillColor('#000000')
+        .fontSize(10)
+        .font('Helvetica')
+        .text(`Constituency: ${position.eligibleVoters} eligible voters, ${position.ballotsCast} ballots cast`, 50, doc.y);
+    }
+
+    doc.y += 15;
+    doc.fillColor('#000000')
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Seats Available: ${position.seats}`, 50, doc.y);
+
+    doc.y += 30;
+
+    if (position.rounds && position.rounds.length > 0) {
+      renderRoundsTable(doc, position);
+    }
+  }
+
+  // Ballot questions (referendums) on their own page
+  if (questions.length > 0) {
+    if (positions.length > 0) {
+      doc.addPage();
+      doc.y = 50;
+    }
+
+    doc.fillColor('#000000')
+      .fontSize(18)
+      .font('Helvetica-Bold')
+      .text('BALLOT QUESTIONS', 50, doc.y);
+    doc.y += 15;
+
+    questions.forEach((question) => {
+      if (doc.y > doc.page.height - 160) {
+        doc.addPage();
+        doc.y = 50;
+      }
+
+      doc.fillColor('#000000')
+        .fontSize(14)
+        .font('Helvetica-Bold')
+        .text(question.title, 50, doc.y);
+
+      doc.fontSize(10)
+        .font('Helvetica')
+        .text(question.text, 50, doc.y + 4, { width: doc.page.width - 100 });
+
+      const threshold = question.threshold === 'TWO_THIRDS' ? 'Two-thirds majority' : 'Simple majority';
+      doc.y += 6;
+      doc.text(`Threshold: ${threshold}`, 50, doc.y);
+      doc.text(`Yes: ${question.yes}   No: ${question.no}   Abstain: ${question.abstain}   Skipped: ${question.skipped}`, 50, doc.y + 2);
+      doc.text(`Yes share of decisive votes: ${question.yesPercentage.toFixed(2)}%`, 50, doc.y + 2);
+
+      doc.fontSize(12)
+        .font('Helvetica-Bold')
+        .text(`Outcome: ${question.outcome}`, 50, doc.y + 4);
+
+      doc.y += 25;
+    });
+  }
+
+  // Simple Footer
+  const footerY = doc.page.height - 30;
+  doc.fillColor('#000000')
+    .fontSize(8)
+    .font('Helvetica')
+    .text(`Generated on ${new Date().toLocaleString()}`, 50, footerY, {
+      align: 'center',
+      width: doc.page.width - 100
+    });
+
+  // Pin the audit log as it was when this report was produced (checked by /api/reports/audit/verify)
+  const anchor = await createAuditAnchor().catch((error) => {
+    console.error('Audit anchor error:', error);
+    return null;
+  });
+  if (anchor) {
+    doc.text(`Audit log anchor: entry #${anchor.seq}, SHA-256 ${anchor.hash}`, 50, footerY - 12, {
+      align: 'center',
+      width: doc.page.width - 100
+    });
+  }
+
+  doc.end();
+}
+
+module.exports = { renderResultsPdf };
@@ -0,0 +1,63 @@
+const axios = require('axios');
+
+/**
+ * Africa's Talking provider
+ *
+ * Configuration from .env:
+ * - AT_USERNAME: Africa's Talking username ("sandbox" uses the sandbox API)
+ * - AT_API_KEY: Africa's Talking API key
+ * - SMS_FROM: Sender ID or short code (optional)
+ *
+ * API Documentation: https://developers.africastalking.com/docs/sms/sending
+ */
+
+const name = 'africastalking';
+
+// Per-recipient status codes that mean the message was accepted
+const SENT_CODES = [100, 101]; // Processed, Sent
+const QUEUED_CODES = [102]; // Queued
+
+const getConfigError = () => (process.env.AT_USERNAME?.trim() && process.env.AT_API_KEY?.trim()
+  ? null
+  : 'AT_USERNAME and AT_API_KEY must be set (Africa\'s Talking credentials)');
+
+async function send({ to, message, timeout }) {
+  const username = process.env.AT_USERNAME.trim();
+  const url = username === 'sandbox'
+    ? 'https://api.sandbox.africastalking.com/version1/messaging'
+    : 'https://api.africastalking.com/version1/messaging';
+
+  const form = new URLSearchParams({ username, to, message });
+  if (process.env.SMS_FROM?.trim()) {
+    form.set('from', process.env.SMS_FROM.trim());
+  }
+
+  const response = await axios.post(url, form.toString(), {
+    headers: {
+      apiKey: process.env.AT_API_KEY.trim(),
+      Accept: 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    timeout,
+  });
+
+  const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+  if (!recipient) {
+    return {
+      status: 'FAILED',
+      error: `Africa's Talking rejected the message: ${response.data?.SMSMessageData?.Message || 'no recipients'}`,
+    };
+  }
+
+  const messageId = recipient.messageId && recipient.messageId !== 'None' ? recipient.messageId : null;
+
+  if (SENT_CODES.includes(recipient.statusCode)) {
+    return { status: 'SENT', messageId, cost: recipient.cost || null };
+  }
+  if (QUEUED_CODES.includes(recipient.statusCode)) {
+    return { status: 'QUEUED', messageId, cost: recipient.cost || null };
+  }
+  return { status: 'FAILED', messageId, error: `Africa's Talking status: ${recipient.status}` };
+}
+
+module.exports = { name, getConfigError, send };
@@ -0,0 +1,85 @@
+const axios = require('axios');
+
+/**
+ * Generic HTTP provider for gateways without their own adapter
+ *
+ * The request body is a template with {{to}}, {{message}}, {{from}} and {{apiKey}}
+ * placeholders, escaped for the content type (JSON string or URL-encoded form), e.g.
+ *   SMS_HTTP_BODY={"msisdn":"{{to}}","text":"{{message}}","key":"{{apiKey}}"}
+ * Any 2xx response counts as sent.
+ *
+ * Configuration from .env:
+ * - SMS_HTTP_URL: Gateway URL (required; placeholders are allowed here too, URL-encoded)
+ * - SMS_HTTP_METHOD: HTTP method (default: POST)
+ * - SMS_HTTP_CONTENT_TYPE: application/json (default) or application/x-www-form-urlencoded
+ * - SMS_HTTP_BODY: Body template (default: {"to":"{{to}}","message":"{{message}}"})
+ * - SMS_HTTP_HEADERS: Extra headers as JSON, placeholders allowed (e.g. {"Authorization":"Bearer {{apiKey}}"})
+ * - SMS_HTTP_ID_PATH: Dot path of the message id in the JSON response (optional, e.g. data.id)
+ * - SMS_API_KEY, SMS_FROM: Values for {{apiKey}} and {{from}}
+ */
+
+const name = 'http';
+
+const DEFAULT_BODY = '{"to":"{{to}}","message":"{{message}}"}';
+const FORM_CONTENT_TYPE = 'application/x-www-form-urlencoded';
+
+const escapers = {
+  json: (value) => JSON.stringify(value).slice(1, -1),
+  form: encodeURIComponent,
+  raw: (value) => value,
+};
+
+const fillTemplate = (template, values, escape) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? escape(values[key]) : match));
+
+const getIn = (data, path) => path.split('.').reduce((value, key) => value?.[key], data);
+
+const getConfigError = () => {
+  if (!process.env.SMS_HTTP_URL?.trim()) {
+    return 'SMS_HTTP_URL must be set for the http SMS provider';
+  }
+  if (process.env.SMS_HTTP_HEADERS?.trim()) {
+    try {
+      JSON.parse(process.env.SMS_HTTP_HEADERS);
+    } catch (error) {
+      return 'SMS_HTTP_HEADERS must be a JSON object';
+    }
+  }
+  return null;
+};
+
+async function send({ to, message, timeout }) {
+  const values = {
+    to,
+    message,
+    from: process.env.SMS_FROM?.trim() || '',
+    apiKey: process.env.SMS_API_KEY?.trim() || '',
+  };
+
+  const contentType = process.env.SMS_HTTP_CONTENT_TYPE?.trim() || 'application/json';
+  const bodyEscape = contentType === FORM_CONTENT_TYPE ? escapers.form : escapers.json;
+
+  const headers = Object.entries(JSON.parse(process.env.SMS_HTTP_HEADERS?.trim() || '{}')).reduce(
+    (acc, [header, value]) => ({ ...acc, [header]: fillTemplate(String(value), values, escapers.raw) }),
+    { 'Content-Type': contentType }
+  );
+
+  const response = await axios.request({
+    method: (process.env.SMS_HTTP_METHOD?.trim() || 'POST').toLowerCase(),
+    url: fillTemplate(process.env.SMS_HTTP_URL.trim(), values, escapers.form),
+    headers,
+    data: fillTemplate(process.env.SMS_HTTP_BODY?.trim() || DEFAULT_BODY, values, bodyEscape),
+    // Send the filled-in template as it is
+    transformRequest: [(data) => data],
+    timeout,
+  });
+
+  const idPath = process.env.SMS_HTTP_ID_PATH?.trim();
+  const messageId = idPath && response.data && typeof response.data === 'object'
+    ? getIn(response.data, idPath) ?? null
+    : null;
+
+  return { status: 'SENT', messageId: messageId === null ? null : String(messageId) };
+}
+
+module.exports = { name, getConfigError, send };
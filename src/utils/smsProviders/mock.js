@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mock provider for local and staging runs: nothing is sent
+ *
+ * Each message is printed to the console and appended as one JSON line to
+ * <SMS_MOCK_DIR>/sms-outbox.ndjson, so OTPs can be read without spending SMS credit.
+ *
+ * Configuration from .env:
+ * - SMS_MOCK_DIR: Directory for the outbox file (default: ./sms-outbox)
+ * - SMS_MOCK_FAIL: true makes every send fail, e.g. to try the email fallback
+ */
+
+const name = 'mock';
+
+const getOutboxDir = () => process.env.SMS_MOCK_DIR?.trim() || path.join(__dirname, '../../../sms-outbox');
+
+const getConfigError = () => null;
+
+async function send({ to, message }) {
+  if (process.env.SMS_MOCK_FAIL?.trim().toLowerCase() === 'true') {
+    return { status: 'FAILED', error: 'Mock SMS provider is set to fail (SMS_MOCK_FAIL=true)' };
+  }
+
+  const entry = {
+    messageId: `mock-${crypto.randomUUID()}`,
+    to,
+    message,
+    sentAt: new Date().toISOString(),
+  };
+
+  const dir = getOutboxDir();
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.appendFile(path.join(dir, 'sms-outbox.ndjson'), `${JSON.stringify(entry)}\n`);
+
+  console.log(`📨 [mock SMS] to ${to}:\n${message}`);
+
+  return { status: 'SENT', messageId: entry.messageId };
+}
+
+module.exports = { name, getConfigError, send };
@@ -0,0 +1,67 @@
+const axios = require('axios');
+
+/**
+ * Twilio provider
+ *
+ * Configuration from .env:
+ * - TWILIO_ACCOUNT_SID: Account SID
+ * - TWILIO_AUTH_TOKEN: Auth token
+ * - TWILIO_MESSAGING_SERVICE_SID: Messaging service to send from (or set SMS_FROM)
+ * - SMS_FROM: Twilio phone number to send from
+ *
+ * API Documentation: https://www.twilio.com/docs/messaging/api/message-resource
+ */
+
+const name = 'twilio';
+
+// Message statuses right after creation
+const QUEUED_STATUSES = ['accepted', 'scheduled', 'queued', 'sending'];
+const SENT_STATUSES = ['sent', 'delivered'];
+
+const getConfigError = () => {
+  if (!process.env.TWILIO_ACCOUNT_SID?.trim() || !process.env.TWILIO_AUTH_TOKEN?.trim()) {
+    return 'TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN must be set';
+  }
+  if (!process.env.TWILIO_MESSAGING_SERVICE_SID?.trim() && !process.env.SMS_FROM?.trim()) {
+    return 'Set TWILIO_MESSAGING_SERVICE_SID or SMS_FROM (the Twilio number to send from)';
+  }
+  return null;
+};
+
+async function send({ to, message, timeout }) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID.trim();
+  const messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID?.trim();
+
+  const form = new URLSearchParams({ To: to, Body: message });
+  if (messagingServiceSid) {
+    form.set('MessagingServiceSid', messagingServiceSid);
+  } else {
+    form.set('From', process.env.SMS_FROM.trim());
+  }
+
+  const response = await axios.post(
+    `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`,
+    form.toString(),
+    {
+      auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN.trim() },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout,
+    }
+  );
+
+  const { sid, status, error_code: errorCode, error_message: errorMessage, price } = response.data || {};
+
+  if (SENT_STATUSES.includes(status)) {
+    return { status: 'SENT', messageId: sid, cost: price || null };
+  }
+  if (QUEUED_STATUSES.includes(status)) {
+    return { status: 'QUEUED', messageId: sid, cost: price || null };
+  }
+  return {
+    status: 'FAILED',
+    messageId: sid || null,
+    error: `Twilio status: ${status}${errorCode ? ` (${errorCode}: ${errorMessage})` : ''}`,
+  };
+}
+
+module.exports = { name, getConfigError, send };
@@ -0,0 +1,49 @@
+const axios = require('axios');
+
+/**
+ * YoolaSMS provider
+ *
+ * Configuration from .env:
+ * - SMS_API_URL: YoolaSMS API endpoint URL (default: https://yoolasms.com/api/v1/send)
+ * - SMS_API_KEY: Your YoolaSMS API key (required)
+ *
+ * API Documentation: https://yoolasms.com/api/v1/send
+ */
+
+const name = 'yoola';
+
+const getConfigError = () => (process.env.SMS_API_KEY?.trim()
+  ? null
+  : 'SMS_API_KEY is not set (YoolaSMS API key)');
+
+async function send({ to, message, timeout }) {
+  const response = await axios.request({
+    method: 'post',
+    maxBodyLength: Infinity,
+    url: process.env.SMS_API_URL?.trim() || 'https://yoolasms.com/api/v1/send',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    data: JSON.stringify({
+      phone: to,
+      message,
+      api_key: process.env.SMS_API_KEY.trim(),
+    }),
+    timeout,
+  });
+
+  const data = response.data || {};
+  const messageId = data.message_id || data.id || data.data?.message_id || null;
+
+  // YoolaSMS reports success in a few different shapes
+  const success = data.status === 'success'
+    || data.success === true
+    || Boolean(data.message_id)
+    || data.data?.status === 'success';
+
+  return success
+    ? { status: 'SENT', messageId }
+    : { status: 'FAILED', messageId, error: `SMS API returned error: ${JSON.stringify(data)}` };
+}
+
+module.exports = { name, getConfigError, send };
@@ -1,229 +1,154 @@
-const axios = require('axios');
 require('dotenv').config();
 
 /**
- * SMS Service using YoolaSMS API (Axios)
- * 
+ * SMS Service
+ *
+ * Sends SMS through the provider chosen with SMS_PROVIDER. Each provider in
+ * utils/smsProviders/ exports { name, getConfigError(), send({ to, message, timeout }) }
+ * and reports back { status: 'SENT' | 'QUEUED' | 'FAILED', messageId, cost?, error? };
+ * this module adds the provider name and recipient and turns request errors (timeouts,
+ * rejected credentials, ...) into the same delivery result.
+ *
  * Configuration from .env:
- * - SMS_API_URL: YoolaSMS API endpoint URL (default: https://yoolasms.com/api/v1/send)
- * - SMS_API_KEY: Your YoolaSMS API key (required)
- * 
- * This service uses Axios to make HTTP requests to YoolaSMS API
- * API Documentation: https://yoolasms.com/api/v1/send
+ * - SMS_PROVIDER: yoola (default), http, africastalking, twilio or mock
+ * - SMS_DEFAULT_COUNTRY_CODE: Country code for local numbers (default: 256)
+ * - SMS_TIMEOUT_MS: Provider request timeout in milliseconds (default: 30000)
+ * Each provider reads its own settings (see the files in utils/smsProviders/).
  */
 
+const providers = {
+  yoola: require('./smsProviders/yoola'),
+  http: require('./smsProviders/httpTemplate'),
+  africastalking: require('./smsProviders/africasTalking'),
+  twilio: require('./smsProviders/twilio'),
+  mock: require('./smsProviders/mock'),
+};
+
+const SMS_PROVIDERS = Object.keys(providers);
+
+const getTimeout = () => {
+  const timeout = parseInt(process.env.SMS_TIMEOUT_MS, 10);
+  return Number.isInteger(timeout) && timeout > 0 ? timeout : 30000;
+};
+
 /**
- * Send OTP via SMS
- * @param {string} phoneNumber - Phone number in international format (e.g., +256701234567)
- * @param {string} otp - 6-digit OTP code
- * @param {string} regNo - Voter registration number
- * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ * Provider selected by SMS_PROVIDER
+ * @returns {Object} Provider module
  */
-exports.sendOTPSMS = async (phoneNumber, otp, regNo) => {
-  // Default to YoolaSMS endpoint if not specified
-  const smsApiUrl = process.env.SMS_API_URL?.trim() || 'https://yoolasms.com/api/v1/send';
-  const smsApiKey = process.env.SMS_API_KEY?.trim();
-
-  // Validate configuration
-  if (!smsApiKey) {
-    throw new Error(
-      'SMS service not configured. Please set SMS_API_KEY in .env file.\n' +
-      'Example:\n' +
-      'SMS_API_URL=https://yoolasms.com/api/v1/send (optional, this is the default)\n' +
-      'SMS_API_KEY=your_yoolasms_api_key_here'
-    );
+const getSmsProvider = () => {
+  const providerName = process.env.SMS_PROVIDER?.trim().toLowerCase() || 'yoola';
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new Error(`Unknown SMS_PROVIDER "${providerName}". Use one of: ${SMS_PROVIDERS.join(', ')}`);
   }
+  return provider;
+};
 
-  // Format phone number (ensure it starts with +)
-  let formattedPhone = phoneNumber.trim();
-  if (!formattedPhone.startsWith('+')) {
-    // If phone doesn't start with +, assume it's a local number and add country code
-    // Default to Uganda (+256) if no country code provided
-    if (formattedPhone.startsWith('0')) {
-      formattedPhone = '+256' + formattedPhone.substring(1);
-    } else if (!formattedPhone.startsWith('256')) {
-      formattedPhone = '+256' + formattedPhone;
-    } else {
-      formattedPhone = '+' + formattedPhone;
-    }
-  }
+if (process.env.NODE_ENV === 'production' && process.env.SMS_PROVIDER?.trim().toLowerCase() === 'mock') {
+  console.warn('⚠️  SMS_PROVIDER is "mock" in production: SMS messages are written to disk, not sent');
+}
 
-  // Create SMS message
-  const message = `Your E-Voting verification code is: ${otp}\nReg No: ${regNo}\nValid for 5 minutes. Do not share this code.`;
+/**
+ * Format a phone number in international format (+<country code><number>)
+ * Local numbers (leading 0 or no country code) get SMS_DEFAULT_COUNTRY_CODE.
+ * @param {string} phoneNumber - Phone number as stored on the voter roll
+ * @returns {string}
+ */
+const formatPhoneNumber = (phoneNumber) => {
+  const countryCode = (process.env.SMS_DEFAULT_COUNTRY_CODE?.trim() || '256').replace(/^\+/, '');
+  const phone = phoneNumber.trim().replace(/[\s-]/g, '');
+
+  if (phone.startsWith('+')) return phone;
+  if (phone.startsWith('0')) return `+${countryCode}${phone.substring(1)}`;
+  if (phone.startsWith(countryCode)) return `+${phone}`;
+  return `+${countryCode}${phone}`;
+};
 
-  console.log('📱 Sending SMS:', {
-    to: formattedPhone,
-    apiUrl: smsApiUrl,
-    messageLength: message.length,
-    timeout: 30000,
-  });
+// Explain a failed provider request in the delivery result
+const describeRequestError = (error, provider) => {
+  if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+    return `SMS API request to ${provider.name} timed out. The SMS provider may be slow or unreachable.`;
+  }
 
-  try {
-    // YoolaSMS API format
-    const requestData = JSON.stringify({
-      phone: formattedPhone,
-      message: message,
-      api_key: smsApiKey,
-    });
-
-    const config = {
-      method: 'post',
-      maxBodyLength: Infinity,
-      url: smsApiUrl,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      data: requestData,
-      timeout: 30000, // 30 second timeout (increased for slow SMS providers)
-    };
-
-    const startTime = Date.now();
-    const response = await axios.request(config);
-    const duration = Date.now() - startTime;
-    console.log(`✅ SMS API responded in ${duration}ms`);
-
-    // Handle YoolaSMS response
-    if (response.status === 200 || response.status === 201) {
-      const responseData = response.data;
-      
-      // YoolaSMS typically returns success in response.data
-      // Check for common success indicators
-      if (responseData.status === 'success' || 
-          responseData.success === true || 
-          responseData.message_id ||
-          (responseData.data && responseData.data.status === 'success')) {
-        console.log('✅ OTP SMS sent successfully:', formattedPhone);
-        return {
-          success: true,
-          messageId: responseData.message_id || responseData.id || responseData.data?.message_id || 'N/A',
-        };
-      } else {
-        // Log the actual response for debugging
-        console.error('SMS API response:', JSON.stringify(responseData));
-        throw new Error(`SMS API returned error: ${JSON.stringify(responseData)}`);
-      }
-    } else {
-      throw new Error(`SMS API returned status ${response.status}`);
-    }
-  } catch (error) {
-    console.error('❌ Failed to send OTP SMS:', error.message);
-    console.error('Error details:', {
-      code: error.code,
-      message: error.message,
-      timeout: error.code === 'ECONNABORTED',
-    });
-    
-    // Check if it's a timeout error
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      console.error('⏱️ SMS API timeout - provider may be slow or unreachable');
-      throw new Error(
-        'SMS API request timed out. The SMS provider may be slow or unreachable.\n' +
-        'Please check:\n' +
-        '1. SMS_API_URL in .env is correct\n' +
-        '2. Internet connection is active\n' +
-        '3. SMS provider service is available\n' +
-        '4. Try again in a few moments'
-      );
+  if (error.response) {
+    const { status, data } = error.response;
+    if (status === 401 || status === 403) {
+      return `SMS API authentication failed (${provider.name}). Check the provider credentials in .env.\n`
+        + `Provider response: ${JSON.stringify(data)}`;
     }
-    
-    // Provide helpful error messages
-    if (error.response) {
-      // Server responded with error status
-      const status = error.response.status;
-      const data = error.response.data;
-      
-      if (status === 401 || status === 403) {
-        throw new Error(
-          'SMS API authentication failed. Please check:\n' +
-          '1. SMS_API_KEY in .env is correct\n' +
-          '2. API key has proper permissions\n' +
-          `\nProvider response: ${JSON.stringify(data)}`
-        );
-      } else if (status === 400) {
-        throw new Error(
-          `Invalid SMS request. Please check phone number format.\n` +
-          `Provider response: ${JSON.stringify(data)}`
-        );
-      } else {
-        throw new Error(
-          `SMS API error (${status}): ${JSON.stringify(data)}`
-        );
-      }
-    } else if (error.request) {
-      // Request was made but no response received
-      throw new Error(
-        'SMS API request failed - no response from server.\n' +
-        'Please check:\n' +
-        '1. SMS_API_URL in .env is correct\n' +
-        '2. Internet connection is active\n' +
-        '3. SMS provider service is available'
-      );
-    } else {
-      // Error setting up request
-      throw error;
+    if (status === 400) {
+      return `Invalid SMS request. Please check phone number format.\nProvider response: ${JSON.stringify(data)}`;
     }
+    return `SMS API error (${status}): ${JSON.stringify(data)}`;
+  }
+
+  if (error.request) {
+    return `SMS API request failed - no response from ${provider.name}. Check the provider URL and the internet connection.`;
   }
+
+  return error.message;
 };
 
 /**
  * Send SMS with custom message
- * @param {string} phoneNumber - Phone number in international format
+ * @param {string} phoneNumber - Phone number (local numbers get SMS_DEFAULT_COUNTRY_CODE)
  * @param {string} message - Message to send
- * @returns {Promise<{success: boolean, messageId?: string}>}
+ * @returns {Promise<Object>} Delivery result
+ *   { success: true, provider, status: 'SENT' | 'QUEUED', messageId, to, cost }
+ * @throws {Error} code SMS_DELIVERY_FAILED, with the failed delivery result as error.deliveryResult
  */
 exports.sendSMS = async (phoneNumber, message) => {
-  // Default to YoolaSMS endpoint if not specified
-  const smsApiUrl = process.env.SMS_API_URL?.trim() || 'https://yoolasms.com/api/v1/send';
-  const smsApiKey = process.env.SMS_API_KEY?.trim();
+  const provider = getSmsProvider();
 
-  if (!smsApiKey) {
-    throw new Error('SMS service not configured. Please set SMS_API_KEY in .env file.');
+  const configError = provider.getConfigError();
+  if (configError) {
+    throw new Error(`SMS service not configured (${provider.name}): ${configError}`);
   }
 
-  let formattedPhone = phoneNumber.trim();
-  if (!formattedPhone.startsWith('+')) {
-    if (formattedPhone.startsWith('0')) {
-      formattedPhone = '+256' + formattedPhone.substring(1);
-    } else if (!formattedPhone.startsWith('256')) {
-      formattedPhone = '+256' + formattedPhone;
-    } else {
-      formattedPhone = '+' + formattedPhone;
-    }
-  }
+  const to = formatPhoneNumber(phoneNumber);
+  const startTime = Date.now();
 
+  let outcome;
   try {
-    // YoolaSMS API format
-    const requestData = JSON.stringify({
-      phone: formattedPhone,
-      message: message,
-      api_key: smsApiKey,
-    });
-
-    const config = {
-      method: 'post',
-      maxBodyLength: Infinity,
-      url: smsApiUrl,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      data: requestData,
-      timeout: 30000, // 30 second timeout (increased for slow SMS providers)
-    };
-
-    const response = await axios.request(config);
-
-    if (response.status === 200 || response.status === 201) {
-      const responseData = response.data;
-      return {
-        success: true,
-        messageId: responseData.message_id || responseData.id || responseData.data?.message_id || 'N/A',
-      };
-    } else {
-      throw new Error(`SMS API returned status ${response.status}`);
-    }
+    outcome = await provider.send({ to, message, timeout: getTimeout() });
   } catch (error) {
-    console.error('Failed to send SMS:', error.message);
+    outcome = { status: 'FAILED', error: describeRequestError(error, provider) };
+  }
+
+  const result = {
+    success: outcome.status !== 'FAILED',
+    provider: provider.name,
+    status: outcome.status,
+    messageId: outcome.messageId || null,
+    to,
+    cost: outcome.cost || null,
+    ...(outcome.error && { error: outcome.error }),
+  };
+
+  if (!result.success) {
+    console.error(`❌ SMS via ${provider.name} failed:`, result.error);
+    const error = new Error(result.error);
+    error.code = 'SMS_DELIVERY_FAILED';
+    error.deliveryResult = result;
     throw error;
   }
+
+  console.log(`✅ SMS ${result.status.toLowerCase()} via ${provider.name} in ${Date.now() - startTime}ms:`, to);
+  return result;
+};
+
+/**
+ * Send OTP via SMS
+ * @param {string} phoneNumber - Phone number (local numbers get SMS_DEFAULT_COUNTRY_CODE)
+ * @param {string} otp - 6-digit OTP code
+ * @param {string} regNo - Voter registration number
+ * @returns {Promise<Object>} Delivery result (see sendSMS)
+ */
+exports.sendOTPSMS = async (phoneNumber, otp, regNo) => {
+  const message = `Your E-Voting verification code is: ${otp}\nReg No: ${regNo}\nValid for 5 minutes. Do not share this code.`;
+  return exports.sendSMS(phoneNumber, message);
 };
 
+exports.SMS_PROVIDERS = SMS_PROVIDERS;
+exports.getSmsProvider = getSmsProvider;
+exports.formatPhoneNumber = formatPhoneNumber;
@@ -0,0 +1,448 @@
+/**
+ * Tallying
+ *
+ * Pure functions that count the stored vote rows of one position according to
+ * its voting method. They know nothing about Prisma so the same code runs for
+ * live results, certification and archives.
+ *
+ * Every tally returns:
+ * - totalBallots: ballots that expressed a choice for the position
+ * - counts: { candidateId: votes credited in the final count (or when excluded) }
+ * - ranking: candidate IDs, best placed first
+ * - winners: candidate IDs that won a seat
+ * - rounds: per-round breakdown (ranked methods only)
+ *
+ * A round records the tallies at the start of the count, the candidates
+ * elected on them, and the one transfer made at the end of the count:
+ * { round, tallies, exhausted, elected: [ids], surplusOf, eliminated, transfers }
+ */
+
+// STV ballot weights are fixed-point (1 ballot = 10000 units) so recounts are exact
+const WEIGHT_SCALE = 10000;
+
+const toVotes = (units) => units / WEIGHT_SCALE;
+
+// Group vote rows into ranked preference lists, one per ballot
+const groupBallots = (votes) => {
+  const byBallot = new Map();
+  votes.forEach((vote) => {
+    if (!byBallot.has(vote.castBallotId)) {
+      byBallot.set(vote.castBallotId, []);
+    }
+    byBallot.get(vote.castBallotId).push(vote);
+  });
+
+  return [...byBallot.values()].map((rows) =>
+    rows.sort((a, b) => a.rank - b.rank).map((row) => row.candidateId)
+  );
+};
+
+const zeroCounts = (candidateIds) =>
+  candidateIds.reduce((acc, id) => {
+    acc[id] = 0;
+    return acc;
+  }, {});
+
+/**
+ * Most votes wins: top `seats` candidates win
+ * Also counts block and approval positions, where a ballot holds one row per
+ * selected candidate
+ * @param {string[]} candidateIds - Approved candidates for the position
+ * @param {Array<{castBallotId, candidateId, rank}>} votes - Stored vote rows
+ * @param {number} seats - Seats to fill
+ */
+function tallyPlurality(candidateIds, votes, seats) {
+  const counts = zeroCounts(candidateIds);
+  votes.forEach((vote) => {
+    if (vote.candidateId in counts) {
+      counts[vote.candidateId] += 1;
+    }
+  });
+
+  return tallyCounts(candidateIds, counts, new Set(votes.map((vote) => vote.castBallotId)).size, seats);
+}
+
+/**
+ * Rank candidates from vote totals that are already counted
+ * Used for plurality-style positions and for the decrypted totals of encrypted ballots
+ * @param {string[]} candidateIds - Approved candidates for the position
+ * @param {Object<string, number>} counts - Votes per candidate (missing = 0)
+ * @param {number} totalBallots - Ballots that voted for the position
+ * @param {number} seats - Seats to fill
+ */
+function tallyCounts(candidateIds, counts, totalBallots, seats) {
+  const allCounts = candidateIds.reduce((acc, id) => {
+    acc[id] = counts[id] || 0;
+    return acc;
+  }, {});
+
+  const ranking = [...candidateIds].sort((a, b) => allCounts[b] - allCounts[a]);
+
+  return {
+    totalBallots,
+    counts: allCounts,
+    ranking,
+    winners: ranking.slice(0, seats),
+  };
+}
+
+/**
+ * Pick the candidate to exclude among those tied on the fewest votes.
+ * Ties are broken by the earlier round in which they had fewer votes, then by
+ * candidate ID so that a recount always produces the same result.
+ */
+const pickLowest = (continuing, tallies, rounds) => {
+  const lowestCount = Math.min(...continuing.map((id) => tallies[id]));
+  let tied = continuing.filter((id) => tallies[id] === lowestCount);
+
+  for (let r = rounds.length - 1; r >= 0 && tied.length > 1; r--) {
+    const earlier = rounds[r].tallies;
+    const fewest = Math.min(...tied.map((id) => earlier[id]));
+    tied = tied.filter((id) => earlier[id] === fewest);
+  }
+
+  return [...tied].sort()[0];
+};
+
+/**
+ * Instant-runoff: ballots count for their highest-ranked continuing candidate.
+ * Each round the candidate with the fewest votes is eliminated and their
+ * ballots transfer to the next continuing preference, until one candidate holds
+ * a majority of the continuing ballots.
+ * @param {string[]} candidateIds - Approved candidates for the position
+ * @param {Array<{castBallotId, candidateId, rank}>} votes - Stored vote rows
+ */
+function tallyInstantRunoff(candidateIds, votes) {
+  const known = new Set(candidateIds);
+  const ballots = groupBallots(votes)
+    .map((preferences) => preferences.filter((id) => known.has(id)))
+    .filter((preferences) => preferences.length > 0);
+
+  const rounds = [];
+  const eliminated = [];
+  let continuing = [...candidateIds];
+  let winner = null;
+
+  const topChoice = (preferences) => preferences.find((id) => continuing.includes(id)) || null;
+
+  while (continuing.length > 0) {
+    const tallies = zeroCounts(continuing);
+    let exhausted = 0;
+    ballots.forEach((preferences) => {
+      const choice = topChoice(preferences);
+      if (choice) {
+        tallies[choice] += 1;
+      } else {
+        exhausted += 1;
+      }
+    });
+
+    const activeBallots = ballots.length - exhausted;
+    const round = {
+      round: rounds.length + 1,
+      tallies,
+      exhausted,
+      activeBallots,
+      elected: [],
+      surplusOf: null,
+      eliminated: null,
+      transfers: null,
+    };
+    rounds.push(round);
+
+    const leader = [...continuing].sort((a, b) => tallies[b] - tallies[a])[0];
+    if (activeBallots === 0) {
+      break;
+    }
+    if (tallies[leader] * 2 > activeBallots || continuing.length === 1) {
+      winner = leader;
+      round.elected.push(leader);
+      break;
+    }
+
+    // Eliminate the weakest candidate and record where their ballots go next
+    const loser = pickLowest(continuing, tallies, rounds.slice(0, -1));
+    const heldByLoser = ballots.filter((preferences) => topChoice(preferences) === loser);
+
+    continuing = continuing.filter((id) => id !== loser);
+    eliminated.push(loser);
+
+    const transfers = { exhausted: 0 };
+    heldByLoser.forEach((preferences) => {
+      const next = topChoice(preferences);
+      const key = next || 'exhausted';
+      transfers[key] = (transfers[key] || 0) + 1;
+    });
+
+    round.eliminated = loser;
+    round.transfers = transfers;
+  }
+
+  // Each candidate is credited with their votes in the last round they took part in
+  const counts = zeroCounts(candidateIds);
+  rounds.forEach((round) => {
+    Object.keys(round.tallies).forEach((id) => {
+      counts[id] = round.tallies[id];
+    });
+  });
+
+  // Winner first, then remaining candidates by final votes, then the eliminated (last out first)
+  const stillStanding = continuing
+    .filter((id) => id !== winner)
+    .sort((a, b) => counts[b] - counts[a]);
+  const ranking = [...(winner ? [winner] : []), ...stillStanding, ...[...eliminated].reverse()];
+
+  return {
+    totalBallots: ballots.length,
+    counts,
+    firstPreferences: rounds.length > 0 ? rounds[0].tallies : zeroCounts(candidateIds),
+    ranking,
+    winners: winner ? [winner] : [],
+    rounds,
+  };
+}
+
+/**
+ * Single Transferable Vote (Droop quota, weighted inclusive Gregory method)
+ *
+ * - Quota = floor(valid ballots / (seats + 1)) + 1
+ * - A candidate reaching the quota is elected. All of their ballots transfer to
+ *   the next continuing preference at (current weight x surplus / total)
+ * - With no surplus to transfer, the candidate with the fewest votes is
+ *   excluded and their ballots transfer at their current weight
+ * - Once the continuing candidates just fill the remaining seats, they are elected
+ * Fractions below one weight unit are truncated and reported as lostToRounding.
+ * @param {string[]} candidateIds - Approved candidates for the position
+ * @param {Array<{castBallotId, candidateId, rank}>} votes - Stored vote rows
+ * @param {number} seats - Seats to fill
+ */
+function tallySingleTransferableVote(candidateIds, votes, seats) {
+  const known = new Set(candidateIds);
+  const ballots = groupBallots(votes)
+    .map((preferences) => preferences.filter((id) => known.has(id)))
+    .filter((preferences) => preferences.length > 0);
+
+  const quota = Math.floor(ballots.length / (seats + 1)) + 1;
+  const quotaUnits = quota * WEIGHT_SCALE;
+
+  const piles = new Map(candidateIds.map((id) => [id, []]));
+  const elected = [];
+  const excluded = [];
+  const surplusTransferred = new Set();
+  let continuing = [...candidateIds];
+  let pendingSurplus = [];
+  let exhausted = 0;
+  let lostToRounding = 0;
+  const rounds = [];
+
+  const pileUnits = (id) => piles.get(id).reduce((sum, parcel) => sum + parcel.weight, 0);
+  const countOf = (id) => (surplusTransferred.has(id) ? quotaUnits : pileUnits(id));
+
+  // Hand a parcel to its highest continuing preference; returns where it went
+  const place = (parcel) => {
+    const next = parcel.preferences.find((id) => continuing.includes(id));
+    if (next) {
+      piles.get(next).push(parcel);
+      return next;
+    }
+    exhausted += parcel.weight;
+    return 'exhausted';
+  };
+
+  const transferParcels = (parcels, weightOf) => {
+    const moved = {};
+    parcels.forEach((parcel) => {
+      const weight = weightOf(parcel);
+      const target = place({ preferences: parcel.preferences, weight });
+      moved[target] = (moved[target] || 0) + weight;
+    });
+    return Object.keys(moved).reduce((acc, key) => {
+      acc[key] = toVotes(moved[key]);
+      return acc;
+    }, { exhausted: 0 });
+  };
+
+  ballots.forEach((preferences) => place({ preferences, weight: WEIGHT_SCALE }));
+
+  while (ballots.length > 0) {
+    const units = candidateIds
+      .filter((id) => !excluded.includes(id))
+      .reduce((acc, id) => {
+        acc[id] = countOf(id);
+        return acc;
+      }, {});
+
+    const round = {
+      round: rounds.length + 1,
+      tallies: Object.keys(units).reduce((acc, id) => {
+        acc[id] = toVotes(units[id]);
+        return acc;
+      }, {}),
+      exhausted: toVotes(exhausted),
+      lostToRounding: toVotes(lostToRounding),
+      elected: [],
+      surplusOf: null,
+      eliminated: null,
+      transfers: null,
+    };
+    rounds.push(round);
+
+    // Elect everyone at or above the quota, highest first
+    const reached = continuing
+      .filter((id) => units[id] >= quotaUnits)
+      .sort((a, b) => units[b] - units[a]);
+    reached.forEach((id) => {
+      elected.push(id);
+      round.elected.push(id);
+    });
+    continuing = continuing.filter((id) => !reached.includes(id));
+    pendingSurplus = [...pendingSurplus, ...reached];
+
+    if (elected.length >= seats) {
+      break;
+    }
+
+    if (continuing.length <= seats - elected.length) {
+      [...continuing]
+        .sort((a, b) => units[b] - units[a])
+        .forEach((id) => {
+          elected.push(id);
+          round.elected.push(id);
+        });
+      continuing = [];
+      break;
+    }
+
+    // Transfer the largest outstanding surplus first
+    pendingSurplus.sort((a, b) => pileUnits(b) - pileUnits(a));
+    let surplusCandidate = null;
+    while (pendingSurplus.length > 0 && !surplusCandidate) {
+      const next = pendingSurplus.shift();
+      if (pileUnits(next) > quotaUnits) {
+        surplusCandidate = next;
+      } else {
+        surplusTransferred.add(next);
+      }
+    }
+
+    if (surplusCandidate) {
+      const total = pileUnits(surplusCandidate);
+      const surplus = total - quotaUnits;
+      const parcels = piles.get(surplusCandidate);
+      piles.set(surplusCandidate, []);
+      surplusTransferred.add(surplusCandidate);
+
+      let transferred = 0;
+      round.surplusOf = surplusCandidate;
+      round.transfers = transferParcels(parcels, (parcel) => {
+        const weight = Math.floor((parcel.weight * surplus) / total);
+        transferred += weight;
+        return weight;
+      });
+      lostToRounding += surplus - transferred;
+      continue;
+    }
+
+    // No surplus left: exclude the weakest continuing candidate
+    const current = continuing.reduce((acc, id) => {
+      acc[id] = units[id];
+      return acc;
+    }, {});
+    const loser = pickLowest(continuing, current, rounds.slice(0, -1));
+    const parcels = piles.get(loser);
+    piles.set(loser, []);
+    continuing = continuing.filter((id) => id !== loser);
+    excluded.push(loser);
+
+    round.eliminated = loser;
+    round.transfers = transferParcels(parcels, (parcel) => parcel.weight);
+  }
+
+  // Each candidate is credited with their votes in the last round they took part in
+  const counts = zeroCounts(candidateIds);
+  rounds.forEach((round) => {
+    Object.keys(round.tallies).forEach((id) => {
+      counts[id] = round.tallies[id];
+    });
+  });
+
+  const stillStanding = continuing.sort((a, b) => counts[b] - counts[a]);
+  const ranking = [...elected, ...stillStanding, ...[...excluded].reverse()];
+
+  return {
+    totalBallots: ballots.length,
+    quota,
+    counts,
+    firstPreferences: rounds.length > 0 ? rounds[0].tallies : zeroCounts(candidateIds),
+    ranking,
+    winners: elected,
+    rounds,
+  };
+}
+
+/**
+ * Tally a yes/no ballot question
+ * Abstentions are reported but do not count towards the threshold:
+ * - SIMPLE_MAJORITY passes when YES > NO
+ * - TWO_THIRDS passes when YES >= 2/3 of YES + NO
+ * @param {Object} question - BallotQuestion record (threshold)
+ * @param {Array<{choice}>} responses - Stored responses for the question
+ */
+function tallyQuestion(question, responses) {
+  const counts = { YES: 0, NO: 0, ABSTAIN: 0 };
+  responses.forEach((response) => {
+    counts[response.choice] += 1;
+  });
+
+  return tallyQuestionCounts(question, counts);
+}
+
+/**
+ * Outcome of a ballot question from answer totals that are already counted
+ * @param {Object} question - BallotQuestion record (threshold)
+ * @param {{YES: number, NO: number, ABSTAIN: number}} counts - Answers per choice
+ */
+function tallyQuestionCounts(question, counts) {
+  const decisive = counts.YES + counts.NO;
+  const passed =
+    question.threshold === 'TWO_THIRDS'
+      ? decisive > 0 && counts.YES * 3 >= decisive * 2
+      : counts.YES > counts.NO;
+
+  return {
+    totalResponses: counts.YES + counts.NO + counts.ABSTAIN,
+    yes: counts.YES,
+    no: counts.NO,
+    abstain: counts.ABSTAIN,
+    yesPercentage: decisive > 0 ? parseFloat(((counts.YES / decisive) * 100).toFixed(2)) : 0,
+    passed,
+  };
+}
+
+/**
+ * Tally one position with its configured voting method
+ * @param {Object} position - Position record (votingMethod, seats)
+ * @param {string[]} candidateIds - Approved candidates for the position
+ * @param {Array<{castBallotId, candidateId, rank}>} votes - Stored vote rows for the position
+ */
+function tallyPosition(position, candidateIds, votes) {
+  switch (position.votingMethod) {
+    case 'IRV':
+      return tallyInstantRunoff(candidateIds, votes);
+    case 'STV':
+      return tallySingleTransferableVote(candidateIds, votes, position.seats);
+    // PLURALITY, BLOCK and APPROVAL all count one vote per selected candidate
+    default:
+      return tallyPlurality(candidateIds, votes, position.seats);
+  }
+}
+
+module.exports = {
+  tallyPlurality,
+  tallyCounts,
+  tallyInstantRunoff,
+  tallySingleTransferableVote,
+  tallyPosition,
+  tallyQuestion,
+  tallyQuestionCounts,
+};
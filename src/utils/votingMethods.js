@@ -0,0 +1,200 @@
+/**
+ * Voting methods
+ *
+ * Each position has a votingMethod that decides what a voter may submit for it
+ * and how it is tallied (see utils/tally.js):
+ * - PLURALITY: one candidate, most votes wins
+ * - IRV: instant-runoff, voter ranks candidates in order of preference (single seat only)
+ * - STV: single transferable vote, ranked, fills every seat using a Droop quota
+ * - BLOCK: voter selects up to `seats` candidates, the top `seats` win
+ * - APPROVAL: voter selects any number of candidates, the top `seats` win
+ *
+ * A ballot entry is { positionId, candidateId }, { positionId, ranking: [candidateId, ...] }
+ * for ranked methods, or { positionId, candidateIds: [candidateId, ...] } for multi-select methods.
+ * Under any method { positionId, abstain: true } records a deliberate blank vote.
+ *
+ * Positions with allowWriteIns also accept names that are not on the ballot:
+ * { positionId, writeIn: 'Name' } for plurality, or writeIns: ['Name', ...] next to
+ * candidateIds for multi-select methods. Ranked methods do not take write-ins.
+ *
+ * Ballot questions (referendums) are answered separately with { questionId, choice }.
+ */
+
+const { WRITE_IN_MAX_LENGTH, normalizeWriteIn } = require('./writeIns');
+
+const VOTING_METHODS = ['PLURALITY', 'IRV', 'STV', 'BLOCK', 'APPROVAL'];
+
+// Methods where the voter submits an ordered ranking
+const RANKED_METHODS = ['IRV', 'STV'];
+
+// Methods where the voter selects several candidates (unordered)
+const MULTI_SELECT_METHODS = ['BLOCK', 'APPROVAL'];
+
+// Answers to a ballot question, and the YES share of YES + NO needed to pass
+const QUESTION_CHOICES = ['YES', 'NO', 'ABSTAIN'];
+const QUESTION_THRESHOLDS = ['SIMPLE_MAJORITY', 'TWO_THIRDS'];
+
+const isRankedMethod = (votingMethod) => RANKED_METHODS.includes(votingMethod);
+
+const isMultiSelectMethod = (votingMethod) => MULTI_SELECT_METHODS.includes(votingMethod);
+
+/**
+ * Maximum number of candidates a voter may select for a position
+ * @param {Object} position - Position record
+ * @returns {number|null} Limit, or null when unlimited (approval, rankings)
+ */
+const getSelectionLimit = (position) => {
+  if (position.votingMethod === 'APPROVAL' || isRankedMethod(position.votingMethod)) return null;
+  if (position.votingMethod === 'BLOCK') return position.seats;
+  return 1;
+};
+
+/**
+ * Check a position's voting method against its seat count and write-in setting
+ * @param {string} votingMethod - Requested voting method
+ * @param {number} seats - Number of seats
+ * @param {boolean} allowWriteIns - Whether the position accepts write-ins
+ * @returns {string|null} Error message, or null if valid
+ */
+const validatePositionMethod = (votingMethod, seats, allowWriteIns = false) => {
+  if (!VOTING_METHODS.includes(votingMethod)) {
+    return `Invalid voting method. Must be one of ${VOTING_METHODS.join(', ')}`;
+  }
+
+  if (votingMethod === 'IRV' && seats !== 1) {
+    return 'Instant-runoff voting is only available for single-seat positions';
+  }
+
+  if (allowWriteIns && isRankedMethod(votingMethod)) {
+    return 'Write-ins are not available for ranked voting methods';
+  }
+
+  return null;
+};
+
+/**
+ * Turn a ballot entry into the vote rows to store for a position
+ * @param {Object} position - Position record
+ * @param {Object} entry - Ballot entry submitted by the voter
+ * @returns {{selections?: Array<{candidateId: string|null, writeInName?: string, writeInKey?: string, rank: number, abstain: boolean}>, error?: string}}
+ */
+const normalizeBallotEntry = (position, entry) => {
+  const hasWriteIns = entry.writeIn !== undefined || entry.writeIns !== undefined;
+
+  if (entry.abstain === true) {
+    if (entry.candidateId || entry.ranking !== undefined || entry.candidateIds !== undefined || hasWriteIns) {
+      return { error: `Either abstain or choose candidates for ${position.name}, not both` };
+    }
+    return { selections: [{ candidateId: null, rank: 1, abstain: true }] };
+  }
+
+  if (hasWriteIns && !position.allowWriteIns) {
+    return { error: `${position.name} does not accept write-in candidates` };
+  }
+
+  // Write-in names → { writeInName, writeInKey }, or an error message
+  const readWriteIns = (names) => {
+    const writeIns = [];
+    for (const name of names) {
+      const writeInName = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+      const writeInKey = normalizeWriteIn(writeInName);
+      if (!writeInKey) {
+        return { error: `Write-in names for ${position.name} must contain letters or digits` };
+      }
+      if (writeInName.length > WRITE_IN_MAX_LENGTH) {
+        return { error: `Write-in names for ${position.name} can be at most ${WRITE_IN_MAX_LENGTH} characters` };
+      }
+      if (writeIns.some((writeIn) => writeIn.writeInKey === writeInKey)) {
+        return { error: `Each write-in can only be entered once for ${position.name}` };
+      }
+      writeIns.push({ writeInName, writeInKey });
+    }
+    return { writeIns };
+  };
+
+  const choose = (candidateIds, writeIns = []) => ({
+    selections: [
+      ...candidateIds.map((candidateId) => ({ candidateId })),
+      ...writeIns.map((writeIn) => ({ candidateId: null, ...writeIn })),
+    ].map((selection, index) => ({ ...selection, rank: index + 1, abstain: false })),
+  });
+
+  if (isRankedMethod(position.votingMethod)) {
+    // A single candidateId is accepted as a ranking of one
+    const ranking = Array.isArray(entry.ranking)
+      ? entry.ranking
+      : entry.candidateId ? [entry.candidateId] : [];
+
+    if (ranking.length === 0) {
+      return { error: `Rank at least one candidate for ${position.name}` };
+    }
+
+    if (new Set(ranking).size !== ranking.length) {
+      return { error: `Each candidate can only be ranked once for ${position.name}` };
+    }
+
+    return choose(ranking);
+  }
+
+  if (entry.ranking !== undefined) {
+    return { error: `${position.name} does not accept a ranking. Choose one candidate.` };
+  }
+
+  if (isMultiSelectMethod(position.votingMethod)) {
+    const candidateIds = Array.isArray(entry.candidateIds)
+      ? entry.candidateIds
+      : entry.candidateId ? [entry.candidateId] : [];
+    const written = readWriteIns(Array.isArray(entry.writeIns) ? entry.writeIns : entry.writeIn !== undefined ? [entry.writeIn] : []);
+    const limit = getSelectionLimit(position);
+
+    if (written.error) {
+      return { error: written.error };
+    }
+
+    if (candidateIds.length === 0 && written.writeIns.length === 0) {
+      return { error: `Choose at least one candidate for ${position.name}` };
+    }
+
+    if (new Set(candidateIds).size !== candidateIds.length) {
+      return { error: `Each candidate can only be selected once for ${position.name}` };
+    }
+
+    if (limit !== null && candidateIds.length + written.writeIns.length > limit) {
+      return { error: `You can select at most ${limit} candidate${limit === 1 ? '' : 's'} for ${position.name}` };
+    }
+
+    // Rank only keeps the rows unique per ballot; selections are unordered
+    return choose(candidateIds, written.writeIns);
+  }
+
+  if (entry.candidateIds !== undefined || entry.writeIns !== undefined) {
+    return { error: `${position.name} accepts a single candidate only` };
+  }
+
+  if (entry.writeIn !== undefined) {
+    if (entry.candidateId) {
+      return { error: `Either choose a candidate or write one in for ${position.name}, not both` };
+    }
+    const written = readWriteIns([entry.writeIn]);
+    return written.error ? { error: written.error } : choose([], written.writeIns);
+  }
+
+  if (!entry.candidateId) {
+    return { error: `Choose a candidate for ${position.name}` };
+  }
+
+  return choose([entry.candidateId]);
+};
+
+module.exports = {
+  VOTING_METHODS,
+  RANKED_METHODS,
+  MULTI_SELECT_METHODS,
+  QUESTION_CHOICES,
+  QUESTION_THRESHOLDS,
+  isRankedMethod,
+  isMultiSelectMethod,
+  getSelectionLimit,
+  validatePositionMethod,
+  normalizeBallotEntry,
+};
@@ -0,0 +1,101 @@
+/**
+ * Write-in votes
+ *
+ * A write-in is stored on the Vote row as the name the voter typed (writeInName)
+ * plus a normalised key (writeInKey) so trivial spelling differences group together:
+ * accents stripped, lower-cased, punctuation removed, whitespace collapsed. Letters
+ * of any script are kept, so names in non-Latin scripts get a key too.
+ *
+ * Officers merge remaining spellings during adjudication (WriteInMerge: fromKey → toKey).
+ * Tallies count every write-in under its resolved key as one entrant.
+ */
+
+const WRITE_IN_MAX_LENGTH = 100;
+
+// Entrant IDs used for write-ins in tallies (approved candidates use their own IDs)
+const WRITE_IN_PREFIX = 'write-in:';
+
+const writeInEntrantId = (key) => `${WRITE_IN_PREFIX}${key}`;
+
+// Drop the combining marks a character decomposes into (é → e). Marks that are
+// characters of their own, such as Devanagari vowel signs, are part of the name.
+const stripAccents = (char) => {
+  const decomposed = char.normalize('NFKD');
+  return decomposed === char ? char : decomposed.replace(/\p{M}/gu, '');
+};
+
+/**
+ * Normalise a written-in name into its grouping key
+ * @param {string} name - Name as typed by the voter
+ * @returns {string} Key ('' if nothing usable remains)
+ */
+const normalizeWriteIn = (name) =>
+  Array.from(String(name || '').normalize('NFC'), stripAccents)
+    .join('')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Follow merges from a key to the key it is finally counted under
+ * @param {Map<string, string>} merges - fromKey → toKey for one position
+ * @param {string} key - Normalised key
+ * @returns {string}
+ */
+const resolveWriteInKey = (merges, key) => {
+  const seen = new Set();
+  let current = key;
+  while (merges.has(current) && !seen.has(current)) {
+    seen.add(current);
+    current = merges.get(current);
+  }
+  return current;
+};
+
+/**
+ * Group write-in votes of one position by resolved key
+ * The display name of a group is its most common spelling.
+ * @param {Array<{writeInName, writeInKey}>} votes - Write-in vote rows
+ * @param {Array<{fromKey, toKey}>} merges - Merges for the position
+ * @returns {Array<{key, displayName, votes, keys: string[], spellings: Array<{name, count}>}>}
+ */
+const groupWriteIns = (votes, merges) => {
+  const mergeMap = new Map(merges.map((merge) => [merge.fromKey, merge.toKey]));
+  const groups = new Map();
+
+  votes.forEach((vote) => {
+    const key = resolveWriteInKey(mergeMap, vote.writeInKey);
+    if (!groups.has(key)) {
+      groups.set(key, { key, votes: 0, keys: new Set(), spellings: new Map() });
+    }
+    const group = groups.get(key);
+    group.votes += 1;
+    group.keys.add(vote.writeInKey);
+    group.spellings.set(vote.writeInName, (group.spellings.get(vote.writeInName) || 0) + 1);
+  });
+
+  return [...groups.values()]
+    .map((group) => {
+      const spellings = [...group.spellings.entries()]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+      return {
+        key: group.key,
+        displayName: spellings[0].name,
+        votes: group.votes,
+        keys: [...group.keys].sort(),
+        spellings,
+      };
+    })
+    .sort((a, b) => b.votes - a.votes || a.key.localeCompare(b.key));
+};
+
+module.exports = {
+  WRITE_IN_MAX_LENGTH,
+  WRITE_IN_PREFIX,
+  writeInEntrantId,
+  normalizeWriteIn,
+  resolveWriteInKey,
+  groupWriteIns,
+};